@@ -8,7 +8,7 @@
  */
 
 const readline = require('readline')
-const { Database, Schema, DataTypes, DefaultSchemas } = require('../lib/index')
+const { Database, Schema, DefaultSchemas, parseDataType } = require('../lib/index')
 
 class DatabaseCLI {
   constructor() {
@@ -75,6 +75,9 @@ class DatabaseCLI {
         case 'create':
           await this.handleCreate(args.slice(1))
           break
+        case 'alter':
+          await this.handleAlter(args.slice(1))
+          break
         case 'use':
           await this.handleUse(args.slice(1))
           break
@@ -87,6 +90,9 @@ class DatabaseCLI {
         case 'select':
           await this.handleSelect(args.slice(1).join(' '))
           break
+        case 'explain':
+          await this.handleExplain(args.slice(1))
+          break
         case 'range':
           await this.handleRange(args.slice(1))
           break
@@ -99,12 +105,25 @@ class DatabaseCLI {
         case 'count':
           await this.handleCount()
           break
+        case 'aggregate':
+          await this.handleAggregate(args.slice(1).join(' '))
+          break
+        case 'sql':
+          // Quotes mean something in SQL, so take the rest of the line as typed
+          await this.handleSql(input.trim().slice(command.length).trim())
+          break
         case 'stats':
           await this.handleStats()
           break
         case 'benchmark':
           await this.handleBenchmark(args.slice(1))
           break
+        case 'vacuum':
+          await this.handleVacuum(args[1])
+          break
+        case 'check':
+          await this.handleCheck(args[1])
+          break
         case 'export':
           await this.handleExport(args.slice(1))
           break
@@ -130,6 +149,11 @@ class DatabaseCLI {
 
     for (let i = 0; i < input.length; i++) {
       const char = input[i]
+      if (!current && !inQuotes && (char === '{' || char === '[')) {
+        // JSON runs to the end of the line and keeps its quotes
+        args.push(input.slice(i).trim())
+        return args
+      }
       if (char === '"' || char === "'") {
         inQuotes = !inQuotes
       } else if (char === ' ' && !inQuotes) {
@@ -164,21 +188,27 @@ class DatabaseCLI {
 ║                                                                ║
 ║ Table Operations:                                              ║
 ║   create table <name> <schema>     Create new table            ║
+║   alter table <name> <changes>     Change columns of a table   ║
 ║   use table <name>                 Switch to table             ║
 ║   schema <predefined_name>         Use predefined schema       ║
 ║                                                                ║
 ║ Data Operations:                                               ║
 ║   insert <json_data>               Insert record               ║
-║   select [conditions]              Select records              ║
+║   select [key | query]             Select records              ║
+║   explain select [key | query]     Show how a select is run    ║
 ║   range <start> <end> [limit]      Range query (B+ tree)       ║
 ║   update <key> <json_data>         Update record               ║
 ║   delete <key>                     Delete record               ║
 ║   count                            Count records               ║
+║   aggregate <json>                 Group records, with metrics ║
+║   sql <statement>                  Run one SQL statement       ║
 ║                                                                ║
 ║ Performance & Utilities:                                       ║
 ║   benchmark <operation> <count>    Run benchmarks              ║
 ║   export <table> <file>            Export table data           ║
 ║   import <table> <file>            Import table data           ║
+║   vacuum <table>                   Compact a table file        ║
+║   check [table]                    Check tables for corruption ║
 ║                                                                ║
 ║ System:                                                        ║
 ║   help                             Show this help              ║
@@ -188,7 +218,16 @@ class DatabaseCLI {
 Examples:
   connect mydb bplus
   create table users {"id": "UINT32", "name": "VARCHAR(50)", "email": "VARCHAR(100)"}
+  create table people {"id": "UINT32", "age": {"type": "UINT8", "max": 150, "nullable": true}}
+  create table notes {"id": {"type": "UINT32", "autoIncrement": true}, "text": "VARCHAR(200)"}
+  create table orders {"id": "UUID", "placed_at": "TIMESTAMP", "total": "DECIMAL(10,2)", "size": "ENUM('S','M','L')"}
+  alter table users {"addColumn": {"name": "age", "type": "UINT8", "nullable": true}, "renameColumn": {"from": "email", "to": "mail"}}
+  use table users
   insert {"id": 1, "name": "John", "email": "john@example.com"}
+  select {"name": {"$like": "Jo%"}, "$or": [{"id": {"$in": [1, 2, 3]}}, {"email": {"$exists": false}}]}
+  explain select {"id": {"$gte": 10, "$lt": 20}}
+  aggregate {"groupBy": ["name"], "metrics": {"n": {"$count": true}, "top": {"$max": "id"}}, "having": {"n": {"$gt": 1}}}
+  sql SELECT name, COUNT(*) AS n FROM users WHERE id > 10 GROUP BY name ORDER BY n DESC LIMIT 5
   range 1 100 10
   benchmark range 1000
 `)
@@ -210,8 +249,7 @@ Examples:
     }
 
     this.indexType = indexType
-    this.database = new Database(dbName, './data', { indexType: this.indexType })
-    await this.database.connect()
+    this.database = await Database.connect(dbName, './data', { indexType: this.indexType })
     this.isConnected = true
     
     console.log(`✓ Connected to database: ${dbName}`)
@@ -290,10 +328,60 @@ Examples:
       if (tableStats.info.maxLeafSize) {
         console.log(`  Max Leaf Size: ${tableStats.info.maxLeafSize}`)
       }
+      if (tableStats.pages) {
+        console.log(`  Pages: ${tableStats.pages.usedPages} used, ${tableStats.pages.freePages} free (${tableStats.pages.totalPages} total)`)
+      }
       console.log()
     }
   }
 
+  async handleVacuum(tableName) {
+    if (!this.isConnected) {
+      console.log('Please connect to a database first')
+      return
+    }
+
+    if (!tableName) {
+      console.log('Usage: vacuum <table>')
+      return
+    }
+
+    const table = await this.database.getTable(tableName)
+    if (typeof table.vacuum !== 'function') {
+      console.log('Vacuum is only supported for B+ tree tables')
+      return
+    }
+
+    const report = await table.vacuum()
+    console.log(`✓ Vacuumed table: ${tableName}`)
+    console.log(`  Pages: ${report.pagesBefore} → ${report.pagesAfter}`)
+    console.log(`  Reclaimed: ${report.bytesReclaimed} bytes (${report.bytesBefore} → ${report.bytesAfter})`)
+  }
+
+  async handleCheck(tableName) {
+    if (!this.isConnected) {
+      console.log('Please connect to a database first')
+      return
+    }
+
+    const reports = tableName
+      ? [await (await this.database.getTable(tableName)).verify()]
+      : await this.database.check()
+
+    for (const report of reports) {
+      if (report.ok) {
+        console.log(`✓ ${report.table}: ok (${report.records} records, ${report.pages} pages)`)
+        continue
+      }
+
+      console.log(`✗ ${report.table}: ${report.errors.length} problem(s) found`)
+      report.errors.forEach(error => console.log(`  - ${error}`))
+    }
+
+    const damaged = reports.filter(report => !report.ok).length
+    console.log(damaged ? `\n${damaged} of ${reports.length} table(s) damaged` : `\nAll ${reports.length} table(s) ok`)
+  }
+
   async handleBenchmark(args) {
     if (!this.currentTable) {
       console.log('Please select a table first')
@@ -394,6 +482,145 @@ Examples:
   // Additional methods for create, use, schema, insert, select, etc.
   // (Similar to the existing REPL implementations but unified)
 
+  async handleUse(args) {
+    if (!this.isConnected) {
+      console.log('Please connect to a database first')
+      return
+    }
+
+    if (args[0] !== 'table' || !args[1]) {
+      console.log('Usage: use table <name>')
+      return
+    }
+
+    try {
+      this.currentTable = await this.database.getTable(args[1])
+      console.log(`✓ Switched to table: ${args[1]}`)
+    } catch (error) {
+      console.error(`Failed to switch table: ${error.message}`)
+    }
+  }
+
+  /**
+   * select                 every record
+   * select <key>           one record by primary key
+   * select <query_json>    records matching a where clause, e.g.
+   *                        {"age": {"$gte": 18}, "name": {"$like": "J%"}}
+   */
+  async handleSelect(conditions) {
+    if (!this.currentTable) {
+      console.log('Please select a table first')
+      return
+    }
+
+    try {
+      const results = await this.currentTable.read(this.parseSelect(conditions))
+
+      console.log(`\nFound ${results.length} record(s):`)
+      results.forEach((record, index) => {
+        console.log(`${index + 1}. ${JSON.stringify(record, null, 2)}`)
+      })
+    } catch (error) {
+      console.error(`Select failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * aggregate <json>   { where, groupBy, metrics, having } as taken by
+   *                    Table#aggregate
+   */
+  async handleAggregate(json) {
+    if (!this.currentTable) {
+      console.log('Please select a table first')
+      return
+    }
+
+    if (!json) {
+      console.log('Usage: aggregate {"groupBy": [...], "metrics": {"name": {"$count": true}}, "where": {...}, "having": {...}}')
+      return
+    }
+
+    try {
+      const results = await this.currentTable.aggregate(JSON.parse(json))
+
+      console.log(`\n${results.length} group(s):`)
+      results.forEach(row => console.log(`  ${JSON.stringify(row)}`))
+    } catch (error) {
+      console.error(`Aggregate failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * sql <statement>   one statement in the SQL dialect of Database#sql
+   */
+  async handleSql(text) {
+    if (!this.isConnected) {
+      console.log('Please connect to a database first')
+      return
+    }
+
+    if (!text) {
+      console.log('Usage: sql <statement>, e.g. sql SELECT * FROM users WHERE id < 10')
+      return
+    }
+
+    try {
+      const result = await this.database.sql(text)
+
+      if (Array.isArray(result)) {
+        console.log(`\n${result.length} row(s):`)
+        result.forEach(row => console.log(`  ${JSON.stringify(row)}`))
+      } else {
+        console.log(`✓ ${JSON.stringify(result)}`)
+      }
+    } catch (error) {
+      console.error(`SQL failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * explain select [key | query_json]
+   */
+  async handleExplain(args) {
+    if (!this.currentTable) {
+      console.log('Please select a table first')
+      return
+    }
+
+    if (args[0] !== 'select') {
+      console.log('Usage: explain select [key | query_json]')
+      return
+    }
+
+    try {
+      const { plan, actualRows, returnedRows, pagesTouched, sort, alternatives } =
+        await this.currentTable.explain(this.parseSelect(args.slice(1).join(' ')))
+
+      const describe = (candidate) => `${candidate.access}${candidate.field ? ` on '${candidate.field}'` : ''}`
+      console.log(`\nAccess path:     ${describe(plan)}${plan.filtered ? ', then filtered' : ''}`)
+      console.log(`Estimated rows:  ${plan.estimatedRows} (cost ${plan.estimatedCost} pages)`)
+      console.log(`Actual rows:     ${actualRows}, ${returnedRows} returned`)
+      console.log(`Pages touched:   ${pagesTouched}`)
+      if (plan.order) console.log(`Order:           ${plan.order}${sort ? ` (${sort})` : ''}`)
+      if (alternatives.length > 0) {
+        console.log('Also considered:')
+        alternatives.forEach(candidate => {
+          console.log(`  ${describe(candidate)}: ~${candidate.estimatedRows} rows, cost ${candidate.estimatedCost} pages`)
+        })
+      }
+    } catch (error) {
+      console.error(`Explain failed: ${error.message}`)
+    }
+  }
+
+  // Read conditions for a select: nothing, a key, a composite key array or a where clause
+  parseSelect(conditions) {
+    if (!conditions) return {}
+    if (conditions.startsWith('{')) return { where: JSON.parse(conditions) }
+    if (conditions.startsWith('[')) return { key: JSON.parse(conditions) } // composite key
+    return { key: /^-?\d+$/.test(conditions) ? parseInt(conditions) : conditions }
+  }
+
   async handleCreate(args) {
     if (!this.isConnected) {
       console.log('Please connect to a database first')
@@ -423,40 +650,52 @@ Examples:
     }
   }
 
+  async handleAlter(args) {
+    if (!this.isConnected) {
+      console.log('Please connect to a database first')
+      return
+    }
+
+    if (args[0] !== 'table' || args.length < 3) {
+      console.log('Usage: alter table <name> <changes_json>')
+      console.log('  changes: addColumn, dropColumn, renameColumn, changeType (see docs/guides/TABLES.md)')
+      return
+    }
+
+    const tableName = args[1]
+
+    try {
+      const changes = JSON.parse(args.slice(2).join(' '))
+      const table = await this.database.getTable(tableName)
+      if (typeof table.alter !== 'function') {
+        console.log('Alter is only supported for B+ tree tables')
+        return
+      }
+
+      const info = await table.alter(changes)
+      console.log(`✓ Altered table: ${tableName} (schema version ${info.schemaVersion}, ${info.records} rows rewritten)`)
+      console.log(`  Columns: ${info.schema.map(field => `${field.name} ${field.type}`).join(', ')}`)
+    } catch (error) {
+      console.error(`Failed to alter table: ${error.message}`)
+    }
+  }
+
   createSchemaFromJson(schemaData) {
     const fields = {}
     
-    for (const [fieldName, typeString] of Object.entries(schemaData)) {
-      fields[fieldName] = this.parseDataType(typeString)
+    for (const [fieldName, spec] of Object.entries(schemaData)) {
+      // Either a type name or field options such as { "type", "nullable", "default", "min", "max", "pattern" }
+      fields[fieldName] = spec !== null && typeof spec === 'object'
+        ? { ...spec, type: this.parseDataType(spec.type) }
+        : this.parseDataType(spec)
     }
     
     return new Schema(fields)
   }
 
+  // Any type name the schema understands, e.g. DECIMAL(10,2) or ENUM('a','b')
   parseDataType(typeString) {
-    if (typeString === 'INT32') return DataTypes.INT32
-    if (typeString === 'UINT32') return DataTypes.UINT32
-    if (typeString === 'INT64') return DataTypes.INT64
-    if (typeString === 'FLOAT') return DataTypes.FLOAT
-    if (typeString === 'DOUBLE') return DataTypes.DOUBLE
-    if (typeString === 'BOOLEAN') return DataTypes.BOOLEAN
-    
-    const varcharMatch = typeString.match(/VARCHAR\((\d+)\)/)
-    if (varcharMatch) {
-      return DataTypes.VARCHAR(parseInt(varcharMatch[1]))
-    }
-    
-    const jsonMatch = typeString.match(/JSON\((\d+)\)/)
-    if (jsonMatch) {
-      return DataTypes.JSON(parseInt(jsonMatch[1]))
-    }
-    
-    const binaryMatch = typeString.match(/BINARY\((\d+)\)/)
-    if (binaryMatch) {
-      return DataTypes.BINARY(parseInt(binaryMatch[1]))
-    }
-    
-    throw new Error(`Unknown data type: ${typeString}`)
+    return parseDataType(typeString)
   }
 }
 
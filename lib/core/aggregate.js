@@ -0,0 +1,188 @@
+/**
+ * Aggregations
+ *
+ * Table#aggregate groups records by the values of `groupBy` fields and
+ * computes named metrics for each group:
+ *
+ *   metrics: { n: { $count: true }, total: { $sum: 'price' }, avg: { $avg: 'price' } }
+ *
+ * Metric operators: $count (true for every record, or a field name for its
+ * non-null values), $sum, $avg, $min and $max. Nulls are skipped, so $sum,
+ * $avg, $min and $max of a group without values are null. DECIMAL fields
+ * sum exactly and stay decimal strings; averages are numbers.
+ *
+ * Records are added one at a time, so only one accumulator per group is
+ * held in memory. `having` is a where clause (see ./query) over the result
+ * rows, which hold the group fields and the metrics.
+ */
+
+const { compileWhere, queryError } = require('./query')
+const { recordComparator } = require('./sort')
+const { compareValues } = require('../index/key-codec')
+const { parseDecimal, formatDecimal } = require('../schema/values')
+
+const METRIC_OPERATORS = ['$count', '$sum', '$avg', '$min', '$max']
+
+const isNumeric = (type) => !!type.integer || type.name === 'FLOAT' || type.name === 'DOUBLE' || type.scale !== undefined
+
+/**
+ * A string identifying a list of field values, for grouping them in a Map.
+ * INT64 values past 2^53 are BigInts, which JSON cannot hold, so they go in
+ * as their digits.
+ */
+const valuesKey = (values) => JSON.stringify(values.map(value =>
+  (value instanceof Date ? value.toISOString()
+    : Buffer.isBuffer(value) ? value.toString('hex')
+      : typeof value === 'bigint' ? `${value}n`
+        : value)))
+
+// Accumulators count the non-null values they are given
+const counter = () => ({ count: 0, add() {}, result() { return this.count } })
+
+/**
+ * `{ field, create, typed }` for one metric, e.g. { $sum: 'price' }: the
+ * field it reads (null to count records), a factory for its accumulator, and
+ * whether results have the field's type (and so compare in its order)
+ */
+function compileMetric(name, spec, typeFor, compareFor) {
+  const entries = spec && typeof spec === 'object' && !Array.isArray(spec) ? Object.entries(spec) : []
+  if (entries.length !== 1 || !METRIC_OPERATORS.includes(entries[0][0])) {
+    throw queryError(`Metric '${name}' needs exactly one of ${METRIC_OPERATORS.join(' ')}`)
+  }
+  const [op, field] = entries[0]
+
+  if (op === '$count' && field === true) {
+    return { field: null, create: counter }
+  }
+  if (typeof field !== 'string') {
+    throw queryError(`'${op}' in metric '${name}' needs a field name`)
+  }
+  const type = typeFor(field)
+  if (!type) {
+    throw queryError(`Metric '${name}' uses unknown field '${field}'`)
+  }
+
+  switch (op) {
+    case '$count':
+      return { field, create: counter }
+
+    case '$sum':
+    case '$avg': {
+      if (!isNumeric(type)) {
+        throw queryError(`'${op}' in metric '${name}' needs a numeric field, not ${type.name} '${field}'`)
+      }
+      // Decimals add up as scaled integers
+      const scale = type.scale
+      const toNumber = scale === undefined ? Number : (value) => parseDecimal(value, 18, scale)
+      const format = (sum, count) => {
+        if (count === 0) return null
+        if (scale === undefined) return op === '$sum' ? sum : sum / count
+        return op === '$sum' ? formatDecimal(sum, scale) : Number(sum) / 10 ** scale / count
+      }
+      return {
+        field,
+        typed: op === '$sum',
+        create: () => ({
+          count: 0,
+          sum: scale === undefined ? 0 : 0n,
+          add(value) { this.sum += toNumber(value) },
+          result() { return format(this.sum, this.count) }
+        })
+      }
+    }
+
+    default: {
+      const compare = compareFor(field) || compareValues
+      const better = op === '$min' ? (a, b) => compare(a, b) < 0 : (a, b) => compare(a, b) > 0
+      return {
+        field,
+        typed: true,
+        create: () => ({
+          count: 0,
+          best: null,
+          add(value) { if (this.best === null || better(value, this.best)) this.best = value },
+          result() { return this.best }
+        })
+      }
+    }
+  }
+}
+
+/**
+ * Compile an aggregation. `typeFor(field)` gives a field's DataType (or
+ * nothing for unknown fields) and `compareFor(field)` its value order.
+ * Returns `{ add(record), results() }`; results are ordered by group.
+ */
+function compileAggregation({ groupBy = [], metrics = {}, having } = {}, typeFor, compareFor) {
+  const groupFields = Array.isArray(groupBy) ? groupBy : [groupBy]
+  for (const field of groupFields) {
+    if (typeof field !== 'string' || !typeFor(field)) {
+      throw queryError(`Cannot group by unknown field '${field}'`)
+    }
+  }
+  if (!metrics || typeof metrics !== 'object' || Array.isArray(metrics)) {
+    throw queryError('metrics must map names to metric operators')
+  }
+
+  const metricNames = Object.keys(metrics)
+  for (const name of metricNames) {
+    if (groupFields.includes(name)) throw queryError(`Metric '${name}' has the name of a group field`)
+  }
+  const factories = metricNames.map(name => ({ name, ...compileMetric(name, metrics[name], typeFor, compareFor) }))
+  const matchesHaving = compileWhere(having, name => {
+    if (groupFields.includes(name)) return compareFor(name)
+    const metric = factories.find(factory => factory.name === name)
+    return metric && metric.typed ? compareFor(metric.field) : null
+  })
+
+  const groups = new Map() // group key -> { values, accumulators }
+
+  const valueOf = (record, field) => (record[field] === undefined ? null : record[field])
+
+  return {
+    add(record) {
+      const values = groupFields.map(field => valueOf(record, field))
+      const id = valuesKey(values)
+
+      let group = groups.get(id)
+      if (!group) {
+        group = { values, accumulators: factories.map(({ create }) => create()) }
+        groups.set(id, group)
+      }
+
+      factories.forEach(({ field }, i) => {
+        const accumulator = group.accumulators[i]
+        if (field === null) {
+          accumulator.count++
+          return
+        }
+        const value = valueOf(record, field)
+        if (value === null) return
+        accumulator.count++
+        accumulator.add(value)
+      })
+    },
+
+    results() {
+      // Without groupBy there is always exactly one group, even for no records
+      if (groupFields.length === 0 && groups.size === 0) {
+        groups.set('[]', { values: [], accumulators: factories.map(({ create }) => create()) })
+      }
+
+      const rows = [...groups.values()].map(({ values, accumulators }) => {
+        const row = {}
+        groupFields.forEach((field, i) => { row[field] = values[i] })
+        factories.forEach(({ name }, i) => { row[name] = accumulators[i].result() })
+        return row
+      })
+
+      const order = recordComparator(groupFields.map(field => ({ field, dir: 'asc' })), compareFor)
+      return rows.filter(matchesHaving).sort(order)
+    }
+  }
+}
+
+module.exports = {
+  compileAggregation,
+  valuesKey,
+}
@@ -9,8 +9,11 @@ const path = require('path')
 const fs = require('fs/promises')
 
 // Import both table implementations
-const BTreeTable = require('../../src/table')
-const BPlusTable = require('./table')
+const { Table: BPlusTable } = require('./table')
+const { Transaction } = require('./transaction')
+const { runQuery } = require('./join')
+const { executeSql } = require('../sql/index')
+const { connectWAL } = require('../storage/wal')
 
 class Database {
   constructor(name, dbDir = './data', options = {}) {
@@ -18,7 +21,11 @@ class Database {
     this.dbDir = dbDir
     this.indexType = options.indexType || 'bplus' // Default to B+ tree
     this.tables = new Map()
+    this.unknownTables = new Set() // table files on disk without a stored schema
     this.isConnected = false
+    this.txLog = null
+    this.committedTransactions = new Set()
+    this._commitQueue = Promise.resolve()
     this.options = {
       immediateSync: true,
       ...options
@@ -33,11 +40,59 @@ class Database {
 
     // Ensure data directory exists
     await fs.mkdir(this.dbDir, { recursive: true })
+
+    // Transaction log: tables replay a logged batch only if its commit is here
+    this.txLog = connectWAL(path.join(this.dbDir, `${this.name}.txlog`), {
+      immediateSync: this.options.immediateSync
+    })
+    await this.txLog.open()
+
+    for (const record of await this.txLog.records()) {
+      this.committedTransactions.add(record.tx)
+    }
+
+    if (this.indexType === 'bplus') {
+      await this._discoverTables()
+    }
     
     this.isConnected = true
     console.log(`📦 Connected to database: ${this.name}`)
     console.log(`   Index Type: ${this.indexType === 'bplus' ? 'B+ Tree' : 'B-Tree'}`)
     console.log(`   Directory: ${this.dbDir}`)
+    if (this.tables.size > 0) {
+      console.log(`   Tables: ${this.listTables().join(', ')}`)
+    }
+  }
+
+  /**
+   * Reopen every table file in the data directory using its stored schema
+   */
+  async _discoverTables() {
+    const files = await fs.readdir(this.dbDir)
+
+    for (const file of files.filter(f => f.endsWith('.db'))) {
+      const name = file.slice(0, -'.db'.length)
+      if (this.tables.has(name)) continue
+
+      try {
+        this.tables.set(name, await this._openTable(name, null))
+      } catch (error) {
+        // Written before schemas were stored, in an older file format, or not a B+ tree table
+        this.unknownTables.add(name)
+      }
+    }
+  }
+
+  async _openTable(name, schema, tableOptions = {}) {
+    const table = new BPlusTable(name, schema, this.dbDir, {
+      ...this.options,
+      ...tableOptions,
+      committedTransactions: this.committedTransactions,
+      writeLock: fn => this._withCommitLock(fn)
+    })
+
+    await table.open()
+    return table
   }
 
   /**
@@ -56,10 +111,8 @@ class Database {
     let table
     
     if (this.indexType === 'bplus') {
-      table = new BPlusTable(name, schema, this.dbDir, {
-        ...this.options,
-        ...tableOptions
-      })
+      table = await this._openTable(name, schema, tableOptions)
+      this.unknownTables.delete(name)
     } else {
       // Use original B-tree implementation
       const { Table: OriginalTable } = require('../../src/table')
@@ -67,9 +120,9 @@ class Database {
         ...this.options,
         ...tableOptions
       })
+      await table.open()
     }
 
-    await table.open()
     this.tables.set(name, table)
     
     return table
@@ -84,18 +137,24 @@ class Database {
     }
 
     if (!this.tables.has(name)) {
-      // Try to load existing table
+      // Try to load existing table (possibly created by another process)
       const tablePath = path.join(this.dbDir, `${name}.db`)
       
       try {
         await fs.access(tablePath)
-        throw new Error(`Table '${name}' exists but schema unknown. Use createTable with schema.`)
       } catch (accessError) {
         if (accessError.code === 'ENOENT') {
           throw new Error(`Table '${name}' does not exist`)
         }
         throw accessError
       }
+
+      if (this.indexType !== 'bplus') {
+        throw new Error(`Table '${name}' exists but schema unknown. Use createTable with schema.`)
+      }
+
+      this.tables.set(name, await this._openTable(name, null))
+      this.unknownTables.delete(name)
     }
 
     return this.tables.get(name)
@@ -110,25 +169,171 @@ class Database {
     }
 
     const table = this.tables.get(name)
-    if (table) {
-      await table.close()
+    if (table || this.unknownTables.has(name)) {
+      if (table) {
+        await table.close()
+      }
       this.tables.delete(name)
+      this.unknownTables.delete(name)
       
-      // Remove database file
-      const tablePath = path.join(this.dbDir, `${name}.db`)
+      // Remove database file, its write-ahead log and its index files
+      const files = (await fs.readdir(this.dbDir)).filter(file =>
+        file === `${name}.db` || file === `${name}.wal` ||
+        (file.startsWith(`${name}.`) && file.endsWith('.idx')))
+
+      for (const file of files) {
+        try {
+          await fs.unlink(path.join(this.dbDir, file))
+        } catch (error) {
+          // File might not exist, that's ok
+        }
+      }
+    }
+  }
+
+  /**
+   * Check every table for corruption (see Table#verify). A table that
+   * cannot even be opened is reported with the error that stopped it.
+   */
+  async check() {
+    if (!this.isConnected) {
+      throw new Error('Database not connected. Call connect() first.')
+    }
+
+    if (this.indexType !== 'bplus') {
+      throw new Error('Integrity checks require the B+ tree index type')
+    }
+
+    const reports = []
+    for (const name of this.listTables()) {
       try {
-        await fs.unlink(tablePath)
+        reports.push(await (await this.getTable(name)).verify())
       } catch (error) {
-        // File might not exist, that's ok
+        reports.push({ table: name, ok: false, pages: 0, records: null, errors: [error.message] })
       }
     }
+
+    return reports
   }
 
   /**
-   * List all tables
+   * Read rows joined across tables (see ./join):
+   *
+   *   await db.query({
+   *     from: 'events',
+   *     join: [{ table: 'users', on: { 'events.user_id': 'users.id' }, type: 'left' }],
+   *     where: { 'users.country': 'NL' },
+   *     select: ['events.id', 'users.name']
+   *   })
+   *
+   * Rows hold table-qualified field names, e.g. { 'events.id': 1, 'users.name': 'Ann' }.
+   */
+  async query(spec) {
+    this._assertQueryable()
+    return (await runQuery(this, spec)).rows
+  }
+
+  /**
+   * Run a join query and report how each join was done instead of the rows
+   */
+  async explainQuery(spec) {
+    this._assertQueryable()
+    const { rows, joins } = await runQuery(this, spec)
+    return { joins, returnedRows: rows.length }
+  }
+
+  /**
+   * Run one SQL statement (see ../sql), with `params` for its ? placeholders:
+   *
+   *   await db.sql('SELECT name FROM users WHERE age > ? ORDER BY name', [30])
+   *
+   * SELECT resolves to rows, other statements to a result object.
+   */
+  async sql(text, params = []) {
+    this._assertQueryable()
+    return await executeSql(this, text, params)
+  }
+
+  _assertQueryable() {
+    if (!this.isConnected) {
+      throw new Error('Database not connected. Call connect() first.')
+    }
+
+    if (this.indexType !== 'bplus') {
+      throw new Error('Queries across tables and SQL require the B+ tree index type')
+    }
+  }
+
+  /**
+   * Run `fn` inside a transaction that spans any number of tables.
+   * Commits when `fn` resolves, rolls back and rethrows when it rejects.
+   *
+   *   await db.transaction(async tx => {
+   *     await tx.table('orders').create({ id: 1, item_id: 7, qty: 2 })
+   *     await tx.table('inventory').update(7, { stock: 8 })
+   *   })
+   */
+  async transaction(fn) {
+    const tx = this.beginTransaction()
+
+    try {
+      const result = await fn(tx)
+      await tx.commit()
+      return result
+    } catch (error) {
+      if (tx.isActive()) {
+        await tx.rollback()
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Start a transaction that is committed or rolled back explicitly
+   */
+  beginTransaction() {
+    if (!this.isConnected) {
+      throw new Error('Database not connected. Call connect() first.')
+    }
+
+    if (this.indexType !== 'bplus') {
+      throw new Error('Transactions require the B+ tree index type')
+    }
+
+    return new Transaction(this)
+  }
+
+  async _withCommitLock(fn) {
+    const run = this._commitQueue.then(fn)
+    this._commitQueue = run.catch(() => {})
+    return await run
+  }
+
+  async _logCommit(txId) {
+    await this.txLog.log({ tx: txId, status: 'commit' })
+    this.committedTransactions.add(txId)
+  }
+
+  /**
+   * Forget commit records once no table log can still reference them
+   */
+  async _pruneTransactionLog() {
+    const files = await fs.readdir(this.dbDir)
+
+    for (const file of files.filter(f => f.endsWith('.wal'))) {
+      const { size } = await fs.stat(path.join(this.dbDir, file))
+      if (size > 0) return
+    }
+
+    await this.txLog.reset()
+    this.committedTransactions.clear()
+  }
+
+  /**
+   * List all tables on disk, including ones whose schema is unknown
    */
   listTables() {
-    return Array.from(this.tables.keys())
+    return [...this.tables.keys(), ...this.unknownTables].sort()
   }
 
   /**
@@ -157,6 +362,10 @@ class Database {
     }
     
     this.tables.clear()
+
+    await this._pruneTransactionLog()
+    await this.txLog.close()
+
     this.isConnected = false
     
     console.log(`📦 Closed database: ${this.name}`)
@@ -190,7 +399,8 @@ class Database {
     for (const [name, table] of this.tables) {
       stats.tables[name] = {
         info: table.getInfo(),
-        recordCount: await table.count()
+        recordCount: await table.count(),
+        pages: table.pager?.getStats ? table.pager.getStats() : null
       }
     }
 
@@ -0,0 +1,284 @@
+/**
+ * Joins
+ *
+ * Database#query reads one table and joins others onto it:
+ *
+ *   await db.query({
+ *     from: 'events',
+ *     join: [{ table: 'users', on: { 'events.user_id': 'users.id' }, type: 'left' }],
+ *     where: { 'users.country': 'NL' },
+ *     select: ['events.id', 'users.name'],
+ *     orderBy: 'users.name',
+ *     limit: 10
+ *   })
+ *
+ * Result rows hold every field under its table-qualified name, e.g.
+ * 'users.name'; `as` gives a table another name, so it can be joined to
+ * itself. Unqualified names are accepted where only one table has such a
+ * field. An inner join (the default) drops rows without a match, a left
+ * join keeps them with nulls for the joined table. Null join values never
+ * match.
+ *
+ * Each join looks the matching rows up by primary key, or through a
+ * secondary index on one of the joined columns, when it can (an index
+ * nested-loop join). Otherwise the joined table is read once into a hash
+ * table keyed by the join columns (a hash join). Conditions on a single
+ * table that must hold for every row are applied while reading it, except
+ * on the joined side of a left join, where they must see the nulls.
+ */
+
+const { compileWhere, queryError } = require('./query')
+const { normalizeOrderBy, recordComparator } = require('./sort')
+const { valuesKey } = require('./aggregate')
+
+const JOIN_TYPES = ['inner', 'left']
+
+const asList = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value])
+
+// `{ table, alias }` for a from or join entry: a table name or `{ table, as }`
+function source(entry, what) {
+  const { table, as } = typeof entry === 'string' ? { table: entry } : entry || {}
+  if (typeof table !== 'string') {
+    throw queryError(`'${what}' needs a table name`)
+  }
+  return { table, alias: as || table }
+}
+
+/**
+ * Maps a field name, qualified ('users.name') or not ('name'), to
+ * `{ alias, field, name }` with `name` the qualified name
+ */
+function createResolver(sources, tables) {
+  return (name) => {
+    if (typeof name !== 'string') throw queryError(`Field names must be strings, not ${JSON.stringify(name)}`)
+
+    const dot = name.indexOf('.')
+    if (dot !== -1 && tables.has(name.slice(0, dot))) {
+      const alias = name.slice(0, dot)
+      const field = name.slice(dot + 1)
+      if (!tables.get(alias).schema.getField(field)) {
+        throw queryError(`Unknown field '${field}' in '${alias}'`)
+      }
+      return { alias, field, name }
+    }
+
+    const owners = sources.filter(({ alias }) => tables.get(alias).schema.getField(name))
+    if (owners.length !== 1) {
+      throw queryError(owners.length === 0 ? `Unknown field '${name}'` : `Field '${name}' is ambiguous; qualify it with a table name`)
+    }
+    return { alias: owners[0].alias, field: name, name: `${owners[0].alias}.${name}` }
+  }
+}
+
+// A where clause with every field name qualified
+function qualifyWhere(where, resolve) {
+  if (where === undefined || where === null) return where
+  if (typeof where !== 'object' || Array.isArray(where)) {
+    throw queryError('A where clause must be an object')
+  }
+
+  return Object.fromEntries(Object.entries(where).map(([key, condition]) => {
+    if (key === '$and' || key === '$or') {
+      return [key, Array.isArray(condition) ? condition.map(clause => qualifyWhere(clause, resolve)) : condition]
+    }
+    if (key === '$not') return [key, qualifyWhere(condition, resolve)]
+    if (key.startsWith('$')) return [key, condition] // compileWhere reports it
+    return [resolve(key).name, condition]
+  }))
+}
+
+/**
+ * alias -> where clause (with unqualified names) of the conditions on that
+ * table alone that every row must satisfy: top-level fields and `$and`
+ * members
+ */
+function pushdown(where, resolve) {
+  const clauses = new Map()
+
+  const collect = (clause) => {
+    for (const [key, condition] of Object.entries(clause || {})) {
+      if (key === '$and' && Array.isArray(condition)) {
+        condition.forEach(collect)
+      } else if (!key.startsWith('$')) {
+        const { alias, field } = resolve(key)
+        if (!clauses.has(alias)) clauses.set(alias, [])
+        clauses.get(alias).push({ [field]: condition })
+      }
+    }
+  }
+  collect(where)
+
+  return new Map([...clauses].map(([alias, list]) => [alias, list.length === 1 ? list[0] : { $and: list }]))
+}
+
+// Prefix every field of a record with its table's alias
+const qualify = (record, alias) =>
+  Object.fromEntries(Object.entries(record).map(([field, value]) => [`${alias}.${field}`, value]))
+
+// The fields of a table, all null, for unmatched rows of a left join
+const nullRow = (table, alias) =>
+  Object.fromEntries(table.schema.getFields().map(field => [`${alias}.${field.name}`, null]))
+
+/**
+ * `[{ left, right }]` qualified names for each column pair of a join's
+ * `on`, `right` being the joined table's column
+ */
+function joinColumns(join, resolve, joined) {
+  const pairs = join.on && typeof join.on === 'object' && !Array.isArray(join.on) ? Object.entries(join.on) : []
+  if (pairs.length === 0) {
+    throw queryError(`Join of '${join.alias}' needs an 'on' object mapping columns to columns`)
+  }
+
+  return pairs.map(names => {
+    const [a, b] = names.map(resolve)
+    const right = [a, b].find(column => column.alias === join.alias)
+    const left = right === a ? b : a
+    if (!right || left.alias === join.alias || !joined.includes(left.alias)) {
+      throw queryError(`Join of '${join.alias}' must match its columns to those of tables before it: ${names.join(' = ')}`)
+    }
+    return { left: left.name, right: right.field }
+  })
+}
+
+/**
+ * How to find the rows of `table` whose `fields` equal given values:
+ * `{ strategy, via, find(values) }` using the primary key or a secondary
+ * index, or null when neither covers the fields
+ */
+function indexLookup(table, fields) {
+  const equal = (record, values) => fields.every((field, i) => {
+    const compare = table._valueCompare(field)
+    return compare ? compare(record[field], values[i]) === 0 : record[field] === values[i]
+  })
+  const lookup = async (key) => {
+    const result = await table.bPlusTree.search(key)
+    return result ? [result.value] : []
+  }
+
+  const keyFields = table.schema.primaryKey
+  if (keyFields.length === fields.length && keyFields.every(field => fields.includes(field))) {
+    const order = keyFields.map(field => fields.indexOf(field))
+    return {
+      strategy: 'indexNestedLoop',
+      via: 'primaryKey',
+      find: (values) => lookup(keyFields.length === 1 ? values[0] : order.map(i => values[i]))
+    }
+  }
+
+  const position = fields.findIndex(field => table.indexes.has(field))
+  if (position === -1) return null
+
+  const index = table.indexes.get(fields[position])
+  return {
+    strategy: 'indexNestedLoop',
+    via: fields[position],
+    async find(values) {
+      const records = []
+      for (const key of await index.findKeysBetween(values[position], values[position])) {
+        records.push(...(await lookup(key)).filter(record => equal(record, values)))
+      }
+      return records
+    }
+  }
+}
+
+/**
+ * Run a join query against `db`. Resolves to `{ rows, joins }`, `joins`
+ * saying how each join was done.
+ */
+async function runQuery(db, spec = {}) {
+  const from = source(spec.from, 'from')
+  const joins = asList(spec.join).map(entry => {
+    const type = String((entry && entry.type) || 'inner').toLowerCase()
+    if (!JOIN_TYPES.includes(type)) {
+      throw queryError(`Join type must be one of ${JOIN_TYPES.join(', ')}, not '${entry.type}'`)
+    }
+    return { ...source(entry, 'join'), type, on: entry.on }
+  })
+
+  const sources = [from, ...joins]
+  const tables = new Map()
+  for (const { table, alias } of sources) {
+    if (tables.has(alias)) throw queryError(`Table name '${alias}' is used twice; give one of them another name with 'as'`)
+    tables.set(alias, await db.getTable(table))
+  }
+
+  const resolve = createResolver(sources, tables)
+  const where = qualifyWhere(spec.where, resolve)
+  const matches = compileWhere(where, name => {
+    const { alias, field } = resolve(name)
+    return tables.get(alias)._valueCompare(field)
+  })
+  const pushed = pushdown(where, resolve)
+  const orderBy = normalizeOrderBy(spec.orderBy).map(term => ({ ...term, field: resolve(term.field).name }))
+  const select = spec.select === undefined ? null : asList(spec.select).flatMap(name =>
+    (typeof name === 'string' && name.endsWith('.*') && tables.has(name.slice(0, -2))
+      ? tables.get(name.slice(0, -2)).schema.getFields().map(field => `${name.slice(0, -2)}.${field.name}`)
+      : [resolve(name).name]))
+
+  let rows = (await tables.get(from.alias).read({ where: pushed.get(from.alias) }))
+    .map(record => qualify(record, from.alias))
+  const plan = []
+
+  for (const [i, join] of joins.entries()) {
+    const table = tables.get(join.alias)
+    const columns = joinColumns(join, resolve, sources.slice(0, i + 1).map(({ alias }) => alias))
+    const fields = columns.map(column => column.right)
+    // Conditions on the joined side of a left join must see its nulls, so wait for the final filter
+    const filter = join.type === 'inner' ? pushed.get(join.alias) : undefined
+    const keep = table._compileWhere(filter)
+
+    let find
+    const lookup = indexLookup(table, fields)
+    if (lookup) {
+      find = async (values) => (await lookup.find(values)).filter(keep)
+      plan.push({ table: join.table, as: join.alias, type: join.type, strategy: lookup.strategy, via: lookup.via })
+    } else {
+      const buckets = new Map()
+      for (const record of await table.read({ where: filter })) {
+        const values = fields.map(field => record[field])
+        if (values.some(value => value === null || value === undefined)) continue
+        const key = valuesKey(values)
+        if (!buckets.has(key)) buckets.set(key, [])
+        buckets.get(key).push(record)
+      }
+      find = async (values) => buckets.get(valuesKey(values)) || []
+      plan.push({ table: join.table, as: join.alias, type: join.type, strategy: 'hashJoin' })
+    }
+
+    const joined = []
+    for (const row of rows) {
+      const values = columns.map(column => row[column.left])
+      const found = values.some(value => value === null || value === undefined) ? [] : await find(values)
+
+      for (const record of found) {
+        joined.push({ ...row, ...qualify(record, join.alias) })
+      }
+      if (found.length === 0 && join.type === 'left') {
+        joined.push({ ...row, ...nullRow(table, join.alias) })
+      }
+    }
+    rows = joined
+  }
+
+  rows = rows.filter(matches)
+  if (orderBy.length > 0) {
+    rows.sort(recordComparator(orderBy, name => {
+      const { alias, field } = resolve(name)
+      return tables.get(alias)._valueCompare(field)
+    }))
+  }
+
+  const offset = spec.offset || 0
+  rows = rows.slice(offset, spec.limit ? offset + spec.limit : undefined)
+  if (select) {
+    rows = rows.map(row => Object.fromEntries(select.map(name => [name, row[name]])))
+  }
+
+  return { rows, joins: plan }
+}
+
+module.exports = {
+  createResolver,
+  runQuery,
+}
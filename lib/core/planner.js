@@ -0,0 +1,377 @@
+/**
+ * Query Planner
+ *
+ * Picks how Table#read finds the records its conditions ask for:
+ *
+ *   keyLookup   one or more primary keys, e.g. { key: 5 } or { id: { $in: [1, 2] } }
+ *   keyRange    a stretch of the primary key order, e.g. { id: { $gte: 10, $lt: 20 } }
+ *               or the top-level `gte`/`lte` keys
+ *   indexRange  ranges of a secondary index, then each row by its key
+ *   fullScan    every leaf in key order
+ *
+ * Each candidate gets an estimated row count and a cost in page reads from
+ * tree statistics: the row counts kept in the table and index metadata,
+ * tree heights and leaf counts, and how far along the key order each bound
+ * falls (BPlusTree#estimatePosition). The cheapest candidate wins. Only
+ * conditions that must hold for every record (top-level fields and the
+ * members of `$and`) can narrow the access path; the whole where clause is
+ * still applied to what the path returns.
+ *
+ * With an `orderBy`, each plan also says how its records get into order:
+ *
+ *   key      the access path already returns them in primary key order
+ *   reverse  the access path walks the primary key order backwards
+ *   index    walking the index on the ordering field returns them in order
+ *   sort     they are sorted afterwards (see ./sort)
+ *
+ * The index walk wins whenever it reads no more rows than the cheapest
+ * plan that needs sorting.
+ */
+
+const { isOperatorObject } = require('./query')
+const { normalizeOrderBy } = require('./sort')
+const { valueRange } = require('../index/secondary-index')
+const { compareValues } = require('../index/key-codec')
+
+// Operators an access path answers exactly; $gt and $lt ranges still include their bound
+const EXACT_OPERATORS = new Set(['$eq', '$gte', '$lte', '$between', '$in'])
+
+/**
+ * Field conditions that every matching record satisfies
+ */
+function conjuncts(where) {
+  if (!where || typeof where !== 'object') return []
+
+  const result = []
+  for (const [key, condition] of Object.entries(where)) {
+    if (key === '$and' && Array.isArray(condition)) {
+      result.push(...condition.flatMap(conjuncts))
+    } else if (!key.startsWith('$') && key !== 'gte' && key !== 'lte') {
+      result.push({ field: key, condition })
+    }
+  }
+  return result
+}
+
+/**
+ * Inclusive `[{ start, end }]` ranges a condition confines values to, with
+ * undefined for an open side, or null when it does not confine them (or
+ * involves null, which indexes leave out)
+ */
+function conditionRanges(condition, compare) {
+  if (condition === null || condition === undefined) return null
+  if (!isOperatorObject(condition)) return [{ start: condition, end: condition }]
+
+  let start
+  let end
+  let points = null
+  const raise = (value) => { if (start === undefined || compare(value, start) > 0) start = value }
+  const lower = (value) => { if (end === undefined || compare(value, end) < 0) end = value }
+
+  for (const [op, operand] of Object.entries(condition)) {
+    if (operand === null || operand === undefined) return null
+
+    switch (op) {
+      case '$eq':
+        raise(operand)
+        lower(operand)
+        break
+      case '$gt':
+      case '$gte':
+        raise(operand)
+        break
+      case '$lt':
+      case '$lte':
+        lower(operand)
+        break
+      case '$between':
+        if (!Array.isArray(operand) || operand.length !== 2 || operand.includes(null)) return null
+        raise(operand[0])
+        lower(operand[1])
+        break
+      case '$in':
+        if (!Array.isArray(operand) || operand.includes(null)) return null
+        points = [...operand].sort(compare).filter((value, i, sorted) => i === 0 || compare(sorted[i - 1], value) !== 0)
+        break
+    }
+  }
+
+  if (points) {
+    return points
+      .filter(value => (start === undefined || compare(value, start) >= 0) && (end === undefined || compare(value, end) <= 0))
+      .map(value => ({ start: value, end: value }))
+  }
+  if (start === undefined && end === undefined) return null
+  if (start !== undefined && end !== undefined && compare(start, end) > 0) return []
+  return [{ start, end }]
+}
+
+// Whether the access path for `condition` returns only matching records
+function isExact(condition) {
+  return !isOperatorObject(condition) || Object.keys(condition).every(op => EXACT_OPERATORS.has(op))
+}
+
+const isPoint = (range, compare) => range.start !== undefined && range.end !== undefined &&
+  compare(range.start, range.end) === 0
+
+/**
+ * Estimated share of a tree's entries between two entry bounds
+ */
+async function estimateFraction(tree, start, end) {
+  const from = start === undefined ? 0 : await tree.estimatePosition(start)
+  const to = end === undefined ? 1 : await tree.estimatePosition(end)
+  return Math.max(0, to - from)
+}
+
+/**
+ * Rows and page reads for reading `fraction` of a tree with `entries`
+ * entries, one lookup per range; each range is assumed to find a row
+ */
+function rangeCost(fraction, entries, shape, ranges) {
+  return {
+    rows: Math.min(entries, Math.max(Math.round(fraction * entries), ranges)),
+    pages: ranges * Math.max(shape.height - 1, 0) + Math.max(ranges, Math.ceil(fraction * shape.leaves))
+  }
+}
+
+/**
+ * An indexRange candidate reading `ranges` of the index on `field`
+ */
+async function indexCandidate(table, field, ranges, exact, shape) {
+  const index = table.indexes.get(field)
+  const entries = index.pager.meta.entries ?? await table._rowCount()
+  const indexShape = await index.tree.shape()
+
+  let fraction = 0
+  for (const range of ranges) {
+    const bounds = valueRange(range.start, range.end)
+    fraction += await estimateFraction(index.tree, bounds.start, bounds.end)
+  }
+  const cost = rangeCost(fraction, entries, indexShape, ranges.length)
+
+  return {
+    access: 'indexRange',
+    field,
+    index: field,
+    ranges,
+    exact,
+    estimatedRows: cost.rows,
+    // Every entry found costs a lookup in the table
+    estimatedCost: cost.pages + cost.rows * shape.height
+  }
+}
+
+/**
+ * 'asc' or 'desc' when primary key order answers `orderBy`: ascending on
+ * leading key columns, or descending on all of them
+ */
+function keyOrder(orderBy, keyFields) {
+  if (orderBy.length > keyFields.length || orderBy.some(({ field }, i) => field !== keyFields[i])) return null
+  if (orderBy.every(({ dir }) => dir === 'asc')) return 'asc'
+  if (orderBy.length === keyFields.length && orderBy.every(({ dir }) => dir === 'desc')) return 'desc'
+  return null
+}
+
+/**
+ * Candidate plans for `conditions` (as given to Table#read), cheapest first
+ */
+async function planQuery(table, conditions = {}) {
+  const tree = table.bPlusTree
+  const compareKeys = tree.compare
+  const rows = await table._rowCount()
+  const shape = await tree.shape()
+  const where = conditions.where || {}
+  const fields = conjuncts(where)
+  const hasLegacyRange = where.gte !== undefined || where.lte !== undefined
+  const onlyCondition = fields.length === 1 && !hasLegacyRange &&
+    Object.keys(where).every(key => !key.startsWith('$'))
+
+  // A key lookup ignores any other conditions
+  if (conditions.key !== undefined) {
+    return withOrder([{
+      access: 'keyLookup',
+      keys: [conditions.key],
+      exact: true,
+      estimatedRows: Math.min(rows, 1),
+      estimatedCost: shape.height
+    }], 'key')
+  }
+
+  // Malformed clauses fail before any estimate puts their operands in key order
+  table._compileWhere(conditions.where)
+
+  const candidates = []
+
+  if (hasLegacyRange) {
+    const fraction = await estimateFraction(tree, where.gte, where.lte)
+    const cost = rangeCost(fraction, rows, shape, 1)
+    candidates.push({
+      access: 'keyRange',
+      ranges: [{ start: where.gte, end: where.lte }],
+      exact: fields.length === 0 && Object.keys(where).every(key => key === 'gte' || key === 'lte'),
+      estimatedRows: cost.rows,
+      estimatedCost: cost.pages
+    })
+  }
+
+  const keyFields = table.schema.primaryKey
+  for (const { field, condition } of fields) {
+    const exact = onlyCondition && isExact(condition)
+
+    if (keyFields.length === 1 && field === keyFields[0]) {
+      const ranges = conditionRanges(condition, compareKeys)
+      if (!ranges) continue
+
+      if (ranges.every(range => isPoint(range, compareKeys))) {
+        candidates.push({
+          access: 'keyLookup',
+          field,
+          keys: ranges.map(range => range.start),
+          exact,
+          estimatedRows: Math.min(rows, ranges.length),
+          estimatedCost: ranges.length * shape.height
+        })
+        continue
+      }
+
+      let fraction = 0
+      for (const range of ranges) {
+        fraction += await estimateFraction(tree, range.start, range.end)
+      }
+      const cost = rangeCost(fraction, rows, shape, ranges.length)
+      candidates.push({
+        access: 'keyRange',
+        field,
+        ranges,
+        exact,
+        estimatedRows: cost.rows,
+        estimatedCost: cost.pages
+      })
+      continue
+    }
+
+    if (!table.indexes.has(field)) continue
+
+    const ranges = conditionRanges(condition, table._valueCompare(field) || compareValues)
+    if (!ranges) continue
+
+    candidates.push(await indexCandidate(table, field, ranges, exact, shape))
+  }
+
+  const noConditions = fields.length === 0 && !hasLegacyRange && Object.keys(where).length === 0
+  candidates.push({
+    access: 'fullScan',
+    exact: noConditions,
+    estimatedRows: rows,
+    estimatedCost: Math.max(shape.leaves, 1)
+  })
+
+  // Stable, so ties go to the earlier (more specific) candidate
+  candidates.sort((a, b) => a.estimatedCost - b.estimatedCost)
+
+  const orderBy = normalizeOrderBy(conditions.orderBy)
+  if (orderBy.length === 0) return candidates
+
+  // Every access path returns records in primary key order
+  const order = keyOrder(orderBy, keyFields)
+  if (order) return withOrder(candidates, order === 'asc' ? 'key' : 'reverse')
+
+  const sorted = withOrder(candidates, 'sort')
+  const [{ field, dir }] = orderBy
+  if (orderBy.length > 1 || dir !== 'asc' || !table.indexes.has(field)) return sorted
+
+  // Walk the index over the ranges a condition on the field allows, or all of it
+  const compare = table._valueCompare(field) || compareValues
+  const restricted = fields.find(term => term.field === field && conditionRanges(term.condition, compare))
+  if (!restricted && table.schema.getField(field).nullable) {
+    return sorted // null values have no index entries
+  }
+
+  const walk = restricted
+    ? await indexCandidate(table, field, conditionRanges(restricted.condition, compare), onlyCondition && isExact(restricted.condition), shape)
+    : await indexCandidate(table, field, [{ start: undefined, end: undefined }], noConditions, shape)
+  walk.order = 'index'
+
+  const wanted = (conditions.offset || 0) + (conditions.limit || Infinity)
+  const walkRows = walk.exact ? Math.min(walk.estimatedRows, wanted) : walk.estimatedRows
+  if (walkRows > sorted[0].estimatedRows) return [...sorted, walk]
+
+  return [walk, ...sorted.filter(plan => plan.access !== 'indexRange' || plan.field !== field)]
+}
+
+const withOrder = (plans, order) => plans.map(plan => ({ ...plan, order }))
+
+/**
+ * Iterate the records the access path of `plan` returns: in primary key
+ * order (backwards for order 'reverse', following the prev leaf pointers),
+ * or in value order for an index walk
+ */
+async function* scanPlan(table, plan) {
+  const tree = table.bPlusTree
+  const reverse = plan.order === 'reverse'
+  const backwards = (list) => (reverse ? [...list].reverse() : list)
+
+  const lookup = async (key) => {
+    const result = await tree.search(key)
+    return result && result.value
+  }
+
+  switch (plan.access) {
+    case 'keyLookup': {
+      for (const key of backwards(plan.keys)) {
+        const value = await lookup(key)
+        if (value) yield value
+      }
+      return
+    }
+
+    case 'keyRange': {
+      for (const range of backwards(plan.ranges)) {
+        for await (const { value } of tree.entries(range.start, range.end, { reverse })) {
+          yield value
+        }
+      }
+      return
+    }
+
+    case 'indexRange': {
+      const index = table.indexes.get(plan.index)
+
+      if (plan.order === 'index') {
+        for (const range of plan.ranges) {
+          const bounds = valueRange(range.start, range.end)
+          for await (const { key: [, key] } of index.tree.entries(bounds.start, bounds.end)) {
+            const value = await lookup(key)
+            if (value) yield value
+          }
+        }
+        return
+      }
+
+      const keys = []
+      for (const range of plan.ranges) {
+        keys.push(...await index.findKeysBetween(range.start, range.end))
+      }
+      keys.sort(reverse ? (a, b) => tree.compare(b, a) : tree.compare)
+
+      for (const [i, key] of keys.entries()) {
+        if (i > 0 && tree.compare(keys[i - 1], key) === 0) continue
+        const value = await lookup(key)
+        if (value) yield value
+      }
+      return
+    }
+
+    default: {
+      for await (const { value } of tree.entries(undefined, undefined, { reverse })) {
+        yield value
+      }
+    }
+  }
+}
+
+module.exports = {
+  planQuery,
+  scanPlan,
+  conditionRanges,
+}
@@ -0,0 +1,179 @@
+/**
+ * Where Clauses
+ *
+ * Queries are Mongo-style objects mapping field names to a value (equality)
+ * or to an object of operators, all of which must hold:
+ *
+ *   { age: { $gte: 18, $lt: 65 }, country: { $in: ['NL', 'BE'] } }
+ *
+ * Field operators: $eq $ne $gt $gte $lt $lte $in $nin $between $like
+ * $regex (flags in $options) $exists, and $not around other operators.
+ * $and / $or take an array of clauses and $not a single clause.
+ *
+ * Missing values count as null. Null equals only null, never satisfies a
+ * comparison, $like or $regex, and is what `$exists: false` matches.
+ */
+
+const { compareValues } = require('../index/key-codec')
+
+function queryError(message) {
+  const error = new Error(message)
+  error.code = 'INVALID_QUERY'
+  return error
+}
+
+/**
+ * Whether a condition is an operator object such as { $gt: 5 } rather
+ * than a value to compare with
+ */
+const isOperatorObject = (condition) => condition !== null && typeof condition === 'object' &&
+  !Array.isArray(condition) && !Buffer.isBuffer(condition) && !(condition instanceof Date) &&
+  !(condition instanceof RegExp) && Object.keys(condition).length > 0 &&
+  Object.keys(condition).every(key => key.startsWith('$'))
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * RegExp for a SQL LIKE pattern: % matches any run of characters, _ any
+ * single one, and a backslash escapes either
+ */
+function likeToRegExp(pattern) {
+  let source = ''
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i])
+    } else if (char === '%') {
+      source += '.*'
+    } else if (char === '_') {
+      source += '.'
+    } else {
+      source += escapeRegExp(char)
+    }
+  }
+  return new RegExp(`^${source}$`, 's')
+}
+
+// Operators whose operands are values of the field, not patterns or flags
+const VALUE_OPERATORS = new Set(['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$between'])
+
+/**
+ * Compile `where` into a predicate over records. `compareFor(field)` may
+ * return an order for the field's values (e.g. decimals by value); plain
+ * `<` and `===` are used otherwise. `checkFor(field)` may return a
+ * function that throws for an operand the field's values cannot be
+ * compared with. Throws an error with code INVALID_QUERY for malformed
+ * clauses, whether or not any record is tested.
+ */
+function compileWhere(where, compareFor = () => null, checkFor = () => null) {
+  if (where === undefined || where === null) return () => true
+  if (typeof where !== 'object' || Array.isArray(where)) {
+    throw queryError('A where clause must be an object')
+  }
+
+  const tests = Object.entries(where).map(([key, condition]) => {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(condition)) {
+        throw queryError(`'${key}' needs an array of where clauses`)
+      }
+      const clauses = condition.map(clause => compileWhere(clause, compareFor, checkFor))
+      return key === '$and'
+        ? (record) => clauses.every(matches => matches(record))
+        : (record) => clauses.some(matches => matches(record))
+    }
+    if (key === '$not') {
+      const matches = compileWhere(condition, compareFor, checkFor)
+      return (record) => !matches(record)
+    }
+    if (key.startsWith('$')) {
+      throw queryError(`Unknown operator '${key}'`)
+    }
+
+    const test = compileCondition(key, condition, compareFor(key), checkFor(key))
+    return (record) => test(record[key] === undefined ? null : record[key])
+  })
+
+  return (record) => tests.every(test => test(record))
+}
+
+function compileCondition(field, condition, compare, check) {
+  if (!isOperatorObject(condition)) {
+    return compileOperator(field, '$eq', condition, {}, compare, check)
+  }
+
+  const tests = Object.entries(condition)
+    .filter(([op]) => op !== '$options')
+    .map(([op, operand]) => compileOperator(field, op, operand, condition, compare, check))
+
+  return (value) => tests.every(test => test(value))
+}
+
+function compileOperator(field, op, operand, condition, compare, check) {
+  const order = compare || compareValues
+  const equals = (value, other) => (value === null || other === null || other === undefined || !compare
+    ? value === other
+    : compare(value, other) === 0)
+  const needsArray = (length) => {
+    if (!Array.isArray(operand) || (length && operand.length !== length)) {
+      throw queryError(`'${op}' on '${field}' needs an array${length ? ` of ${length} values` : ''}`)
+    }
+  }
+  const comparable = (value) => value !== null && operand !== null && operand !== undefined
+
+  if (check && VALUE_OPERATORS.has(op)) {
+    for (const value of Array.isArray(operand) ? operand : [operand]) {
+      if (value !== null && value !== undefined) check(value)
+    }
+  }
+
+  switch (op) {
+    case '$eq': return (value) => equals(value, operand)
+    case '$ne': return (value) => !equals(value, operand)
+    case '$gt': return (value) => comparable(value) && order(value, operand) > 0
+    case '$gte': return (value) => comparable(value) && order(value, operand) >= 0
+    case '$lt': return (value) => comparable(value) && order(value, operand) < 0
+    case '$lte': return (value) => comparable(value) && order(value, operand) <= 0
+    case '$in':
+      needsArray()
+      return (value) => operand.some(other => equals(value, other))
+    case '$nin':
+      needsArray()
+      return (value) => !operand.some(other => equals(value, other))
+    case '$between': {
+      needsArray(2)
+      const [low, high] = operand
+      return (value) => value !== null && order(value, low) >= 0 && order(value, high) <= 0
+    }
+    case '$like': {
+      if (typeof operand !== 'string') {
+        throw queryError(`'$like' on '${field}' needs a pattern string`)
+      }
+      const pattern = likeToRegExp(operand)
+      return (value) => value !== null && pattern.test(String(value))
+    }
+    case '$regex': {
+      let pattern
+      try {
+        pattern = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '')
+      } catch (error) {
+        throw queryError(`'$regex' on '${field}': ${error.message}`)
+      }
+      return (value) => value !== null && pattern.test(String(value))
+    }
+    case '$exists':
+      return (value) => (value !== null) === !!operand
+    case '$not': {
+      const test = compileCondition(field, operand, compare, check)
+      return (value) => !test(value)
+    }
+    default:
+      throw queryError(`Unknown operator '${op}'`)
+  }
+}
+
+module.exports = {
+  compileWhere,
+  isOperatorObject,
+  likeToRegExp,
+  queryError,
+}
@@ -0,0 +1,309 @@
+/**
+ * Sorting
+ *
+ * `orderBy` clauses for Table#read, and the external merge sort behind
+ * them. Records are buffered in memory until their serialized size passes
+ * a budget; each full buffer is then sorted and written to a temporary run
+ * file, and the runs are merged when the records are read back. At most
+ * `fanIn` runs are open at once: with more, groups of them are first
+ * merged into longer runs, pass after pass. A heap of the runs' next
+ * records picks each record of a merge.
+ *
+ * Run files hold length-prefixed rows in the table's own row format.
+ */
+
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const { queryError } = require('./query')
+const { compareValues } = require('../index/key-codec')
+
+const READ_CHUNK = 64 * 1024
+const WRITE_CHUNK = 64 * 1024
+
+/**
+ * `[{ field, dir }]` for an orderBy clause: a field name, a `{ field, dir }`
+ * object with dir 'asc' (the default) or 'desc', or an array of either
+ */
+function normalizeOrderBy(orderBy) {
+  if (orderBy === undefined || orderBy === null) return []
+
+  return (Array.isArray(orderBy) ? orderBy : [orderBy]).map(term => {
+    const { field, dir = 'asc' } = typeof term === 'string' ? { field: term } : term || {}
+    if (typeof field !== 'string') {
+      throw queryError('orderBy terms need a field name')
+    }
+    const direction = String(dir).toLowerCase()
+    if (direction !== 'asc' && direction !== 'desc') {
+      throw queryError(`orderBy direction for '${field}' must be 'asc' or 'desc'`)
+    }
+    return { field, dir: direction }
+  })
+}
+
+/**
+ * Order records by `orderBy` (normalized), each field compared with
+ * `compareFor(field)` or plain `<`. Nulls sort first in ascending order;
+ * `tieBreak` decides between records that are otherwise equal.
+ */
+function recordComparator(orderBy, compareFor = () => null, tieBreak = () => 0) {
+  const terms = orderBy.map(({ field, dir }) => {
+    const compare = compareFor(field) || compareValues
+    const sign = dir === 'desc' ? -1 : 1
+    return (a, b) => {
+      const x = a[field] === undefined ? null : a[field]
+      const y = b[field] === undefined ? null : b[field]
+      if (x === null || y === null) return sign * ((x === null ? 0 : 1) - (y === null ? 0 : 1))
+      return sign * compare(x, y)
+    }
+  })
+
+  return (a, b) => {
+    for (const compare of terms) {
+      const result = compare(a, b)
+      if (result !== 0) return result
+    }
+    return tieBreak(a, b)
+  }
+}
+
+/**
+ * Sort records that may not fit in memory. Add every record, then iterate
+ * `sorted()` once; `close()` removes any run files, and must be called
+ * whether or not the iteration finished.
+ *
+ * options:
+ *   memory       serialized bytes to buffer before spilling a run
+ *   fanIn        most runs merged at once (64)
+ *   tempDir      where run files go (a fresh directory is made inside it)
+ *   serialize    record -> Buffer
+ *   deserialize  Buffer -> record
+ */
+class ExternalSorter {
+  constructor(compare, options) {
+    this.compare = compare
+    this.options = { memory: 8 * 1024 * 1024, fanIn: 64, tempDir: os.tmpdir() }
+    for (const [name, value] of Object.entries(options)) {
+      if (value !== undefined) this.options[name] = value
+    }
+    this.runCount = 0
+    this.buffer = [] // [record, serialized row]
+    this.bufferedBytes = 0
+    this.dir = null
+    this.runs = [] // run file paths
+  }
+
+  async add(record) {
+    const row = this.options.serialize(record)
+    this.buffer.push([record, row])
+    this.bufferedBytes += row.length
+
+    if (this.bufferedBytes > this.options.memory) {
+      await this._spill()
+    }
+  }
+
+  // Whether any records went to disk
+  get spilled() {
+    return this.runs.length > 0
+  }
+
+  async *sorted() {
+    this._sortBuffer()
+
+    if (!this.spilled) {
+      for (const [record] of this.buffer) yield record
+      return
+    }
+
+    if (this.buffer.length > 0) await this._spill()
+
+    while (this.runs.length > this.options.fanIn) {
+      await this._mergePass()
+    }
+
+    for await (const [record] of this._merge(this.runs)) {
+      yield record
+    }
+  }
+
+  async close() {
+    this.buffer = []
+    if (this.dir) {
+      await fs.rm(this.dir, { recursive: true, force: true })
+      this.dir = null
+    }
+  }
+
+  _sortBuffer() {
+    this.buffer.sort(([a], [b]) => this.compare(a, b))
+  }
+
+  async _spill() {
+    this._sortBuffer()
+
+    if (!this.dir) {
+      await fs.mkdir(this.options.tempDir, { recursive: true })
+      this.dir = await fs.mkdtemp(path.join(this.options.tempDir, 'sort-'))
+    }
+
+    this.runs.push(await this._writeRun(this.buffer))
+
+    this.buffer = []
+    this.bufferedBytes = 0
+  }
+
+  // Merge the runs `fanIn` at a time into fewer, longer runs
+  async _mergePass() {
+    const runs = []
+    for (let i = 0; i < this.runs.length; i += this.options.fanIn) {
+      const group = this.runs.slice(i, i + this.options.fanIn)
+      runs.push(group.length === 1 ? group[0] : await this._writeRun(this._merge(group)))
+      if (group.length > 1) await Promise.all(group.map(file => fs.rm(file)))
+    }
+    this.runs = runs
+  }
+
+  // Write [record, row] pairs, in order, to a new run file
+  async _writeRun(rows) {
+    const file = path.join(this.dir, `run-${this.runCount++}`)
+    const handle = await fs.open(file, 'w')
+    try {
+      let frames = []
+      let size = 0
+      for await (const [, row] of rows) {
+        const length = Buffer.alloc(4)
+        length.writeUInt32LE(row.length, 0)
+        frames.push(length, row)
+        size += 4 + row.length
+
+        if (size >= WRITE_CHUNK) {
+          await handle.write(Buffer.concat(frames))
+          frames = []
+          size = 0
+        }
+      }
+      if (size > 0) await handle.write(Buffer.concat(frames))
+    } finally {
+      await handle.close()
+    }
+    return file
+  }
+
+  // [record, row] pairs of the run files in sorted order
+  async *_merge(files) {
+    const readers = files.map(file => new RunReader(file))
+    try {
+      // Equal records come from the earlier run first
+      const heap = new MinHeap((a, b) => this.compare(a.record, b.record) || a.run - b.run)
+      const advance = async (run) => {
+        const row = await readers[run].next()
+        if (row !== null) heap.push({ record: this.options.deserialize(row), row, run })
+      }
+
+      for (let run = 0; run < readers.length; run++) {
+        await advance(run)
+      }
+
+      while (heap.size > 0) {
+        const { record, row, run } = heap.pop()
+        yield [record, row]
+        await advance(run)
+      }
+    } finally {
+      await Promise.all(readers.map(reader => reader.close()))
+    }
+  }
+}
+
+/**
+ * Binary heap that pops its smallest item by `compare`
+ */
+class MinHeap {
+  constructor(compare) {
+    this.compare = compare
+    this.items = []
+  }
+
+  get size() {
+    return this.items.length
+  }
+
+  push(item) {
+    const items = this.items
+    let i = items.push(item) - 1
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (this.compare(items[parent], item) <= 0) break
+      items[i] = items[parent]
+      i = parent
+    }
+    items[i] = item
+  }
+
+  pop() {
+    const items = this.items
+    const top = items[0]
+    const last = items.pop()
+    if (items.length === 0) return top
+
+    let i = 0
+    while (true) {
+      let child = 2 * i + 1
+      if (child >= items.length) break
+      if (child + 1 < items.length && this.compare(items[child + 1], items[child]) < 0) child++
+      if (this.compare(last, items[child]) <= 0) break
+      items[i] = items[child]
+      i = child
+    }
+    items[i] = last
+    return top
+  }
+}
+
+/**
+ * Reads the rows of a run file back one at a time
+ */
+class RunReader {
+  constructor(file) {
+    this.file = file
+    this.fd = null
+    this.position = 0
+    this.pending = Buffer.alloc(0)
+    this.done = false
+  }
+
+  // The next serialized row, or null at the end of the run
+  async next() {
+    if (!this.fd) this.fd = await fs.open(this.file, 'r')
+
+    while (true) {
+      if (this.pending.length >= 4) {
+        const length = this.pending.readUInt32LE(0)
+        if (this.pending.length >= 4 + length) {
+          const row = this.pending.subarray(4, 4 + length)
+          this.pending = this.pending.subarray(4 + length)
+          return row
+        }
+      }
+      if (this.done) return null
+
+      const chunk = Buffer.alloc(READ_CHUNK)
+      const { bytesRead } = await this.fd.read(chunk, 0, READ_CHUNK, this.position)
+      this.position += bytesRead
+      if (bytesRead === 0) this.done = true
+      this.pending = Buffer.concat([this.pending, chunk.subarray(0, bytesRead)])
+    }
+  }
+
+  async close() {
+    if (this.fd) await this.fd.close()
+    this.fd = null
+  }
+}
+
+module.exports = {
+  normalizeOrderBy,
+  recordComparator,
+  ExternalSorter,
+}
@@ -1,10 +1,48 @@
 const { DataTypes, Schema, DefaultSchemas } = require('../schema/index')
-const { BPlusTree, connectDB, createPager, getMaxInternalSize, getMaxLeafSize } = require('../index/bplus-tree')
+const { BPlusTree, connectDB, createPager, checkFile, readMeta, getMaxInternalSize, getMaxLeafSize, maxInlineRowSize } = require('../index/bplus-tree')
+const { connectWAL } = require('../storage/wal')
+const { SecondaryIndex, valueKey, assertIndexable } = require('../index/secondary-index')
+const { createKeyCodec, encodeKey, getValueCompare } = require('../index/key-codec')
+const { compileWhere, queryError } = require('./query')
+const { planQuery, scanPlan } = require('./planner')
+const { normalizeOrderBy, recordComparator, ExternalSorter } = require('./sort')
+const { compileAggregation } = require('./aggregate')
 const path = require('path')
 const fs = require('fs/promises')
 
+const valueCompares = new WeakMap() // DataType -> its key order, or null
+
+// Accept one change or an array of them (see Table#alter)
+const asList = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value])
+
 /**
- * Table class using B+ Tree for better range query performance
+ * `value` as something `type` accepts, if a plain conversion (to JSON
+ * text, an ISO date, a string or a number) gets there; otherwise `value`
+ * itself, for validation to reject
+ */
+function convertValue(value, type) {
+  if (value === null || value === undefined || !type.validate(value)) return value
+
+  const candidates = []
+  if (value instanceof Date) {
+    candidates.push(value.toISOString(), value.getTime())
+  } else if (typeof value === 'object' && !Buffer.isBuffer(value)) {
+    candidates.push(JSON.stringify(value))
+  }
+  candidates.push(String(value))
+  if (value !== '') candidates.push(Number(value))
+
+  const converted = candidates.find(candidate => !type.validate(candidate))
+  return converted === undefined ? value : converted
+}
+
+/**
+ * Table class using B+ Tree for better range query performance.
+ *
+ * The schema is stored in the table file itself, so an existing table can
+ * be opened with `schema` set to null. Keys are encoded according to the
+ * schema's primary key column(s) (see ../index/key-codec); composite keys
+ * are passed around as arrays in key column order.
  */
 class Table {
   constructor(name, schema, dbDir = './data', options = {}) {
@@ -12,13 +50,23 @@ class Table {
     this.schema = schema
     this.dbDir = dbDir
     this.dbPath = path.join(dbDir, `${name}.db`)
+    this.walPath = path.join(dbDir, `${name}.wal`)
     this.db = null
+    this.wal = null
     this.pager = null
     this.bPlusTree = null
-    this.MaxInternalSize = getMaxInternalSize()
-    this.MaxLeafSize = getMaxLeafSize(schema.getRowSize())
+    this.indexes = new Map() // field name -> SecondaryIndex
+    this._rebuilds = Promise.resolve() // file rebuilds run one at a time, see _queueRebuild()
+    this._vacuum = null // the last rebuild queued, until it settles
+    this._rebuildCount = 0
+    this.keyCodec = null
+    this.MaxInternalSize = null
+    this.MaxLeafSize = null
+    if (schema) this._initKeyLayout()
     this.isOpen = false
     this.options = { immediateSync: true, ...options }
+    // `{ pagesRestored, operationsReplayed }` when the last open recovered from a crash
+    this.recovery = null
   }
 
   /**
@@ -30,31 +78,130 @@ class Table {
     // Ensure data directory exists
     await fs.mkdir(this.dbDir, { recursive: true })
 
+    // Left behind by rebuilds that never reached their swap
+    const prefix = `${path.basename(this.dbPath)}.`
+    for (const file of await fs.readdir(this.dbDir)) {
+      if (file.startsWith(prefix) && file.endsWith('.vacuum')) {
+        await fs.rm(path.join(this.dbDir, file), { force: true })
+      }
+    }
+
     this.db = connectDB(this.dbPath, { immediateSync: this.options.immediateSync })
     await this.db.open()
 
-    this.pager = await createPager(this.db, {
-      schema: this.schema,
-      serialize: (obj) => this.schema.serialize(obj),
-      deserialize: (buffer) => this.schema.deserialize(buffer),
-    })
+    this.wal = connectWAL(this.walPath, { immediateSync: this.options.immediateSync })
+    await this.wal.open()
+
+    // Repair the table file before the pager reads anything from it
+    const { records, pagesRestored } = await this.wal.recover(this.db)
 
-    // Initialize B+ Tree
-    this.bPlusTree = new BPlusTree(this.pager, {
-      order: Math.floor(this.MaxLeafSize / 2)
+    let meta
+    try {
+      meta = await readMeta(this.db)
+      if (!this.schema && (!meta || !meta.schema)) {
+        throw new Error(`Table '${this.name}' exists but schema unknown. Use createTable with schema.`)
+      }
+      if (!this.schema) {
+        const schema = Schema.fromJSON(meta.schema)
+        // Opening without them would quietly accept rows they reject
+        if (schema.unstored.length > 0) {
+          throw new Error(`Table '${this.name}' has check functions or function defaults that are not stored (${schema.unstored.join(', ')}). Use createTable with schema.`)
+        }
+        this.schema = schema
+        this._initKeyLayout()
+      }
+    } catch (error) {
+      await this.wal.close()
+      await this.db.close()
+      throw error
+    }
+
+    await this._attachTree({ ...meta, schema: this.schema.toJSON(), schemaVersion: (meta && meta.schemaVersion) || 1 })
+    if (this.pager.no <= 1 && this.pager.meta.rowCount === undefined) {
+      this.pager.meta.rowCount = 0 // kept up to date for the query planner
+    }
+
+    for (const { field, unique } of this.pager.meta.indexes || []) {
+      const index = new SecondaryIndex(this, field, { unique })
+      await index.open()
+      this.indexes.set(field, index)
+    }
+
+    // Replay operations that never made it into the table file
+    for (const record of records) {
+      await this._applyLogRecord(record)
+    }
+
+    // A non-empty log means the last shutdown was unclean
+    const unclean = await this.wal.size() > 0
+    this.recovery = unclean ? { pagesRestored, operationsReplayed: records.length } : null
+
+    // Indexes are only flushed alongside the table, so after a crash they
+    // may be stale; a bulk load also marks them stale until rebuilt
+    const stale = unclean || this.pager.meta.staleIndexes
+    if (stale) {
+      await this._rebuildIndexes()
+    }
+
+    // Checkpoint after recovery, and write a new table's schema right away
+    if (stale || !meta) {
+      await this.pager.flush()
+    }
+
+    this.isOpen = true
+  }
+
+  /**
+   * Build the pager and B+ tree over `this.db`
+   */
+  async _attachTree(meta) {
+    const { pager, bPlusTree } = await this._openTree(this.db, meta)
+    this.pager = pager
+    this.bPlusTree = bPlusTree
+  }
+
+  /**
+   * A pager and B+ tree over `db`, its root already loaded
+   */
+  async _openTree(db, meta, schema = this.schema) {
+    const pager = await this._createPager(db, meta, {
+      wal: this.wal,
+      beforeFlush: () => this._flushIndexes(),
+    }, schema)
+
+    // Initialize B+ Tree; leaves fill by bytes, `order` sizes internal nodes
+    const bPlusTree = new BPlusTree(pager, {
+      order: Math.floor(this.MaxInternalSize / 2)
     })
 
     // Load existing root if database has data
-    if (this.pager.no > 1) {
+    if (pager.no > 1) {
       try {
-        this.bPlusTree.root = await this.pager.page(0)
+        bPlusTree.root = await pager.page(0)
       } catch (error) {
+        // Never paper over a damaged file with an empty tree
+        if (error.code === 'PAGE_CORRUPT') throw error
         console.log('Creating new B+ tree root')
-        this.bPlusTree.root = null
+        bPlusTree.root = null
       }
     }
 
-    this.isOpen = true
+    return { pager, bPlusTree }
+  }
+
+  _createPager(db, meta, options = {}, schema = this.schema) {
+    return createPager(db, { ...this._pagerOptions(meta, schema), ...options })
+  }
+
+  _pagerOptions(meta, schema = this.schema) {
+    return {
+      schema,
+      keyCodec: this.keyCodec,
+      serialize: (obj) => schema.serialize(obj),
+      deserialize: (buffer) => schema.deserialize(buffer),
+      variableRows: true,
+      meta,
+    }
   }
 
   /**
@@ -66,6 +213,13 @@ class Table {
     if (this.pager) {
       await this.pager.flush()
     }
+    for (const index of this.indexes.values()) {
+      await index.close()
+    }
+    this.indexes.clear()
+    if (this.wal) {
+      await this.wal.close()
+    }
     if (this.db) {
       await this.db.close()
     }
@@ -86,11 +240,21 @@ class Table {
       totalRowSize: this.schema.getRowSize(),
       maxLeafSize: this.MaxLeafSize,
       maxInternalSize: this.MaxInternalSize,
-      indexType: 'B+ Tree'
+      maxInlineRowSize: maxInlineRowSize(this.keyCodec.size),
+      primaryKey: this._getKeyFields().map(field => field.name),
+      autoIncrement: this.schema.autoIncrement && {
+        field: this.schema.autoIncrement,
+        lastValue: (this.pager && this.pager.meta.autoIncrement) || 0
+      },
+      schemaVersion: (this.pager && this.pager.meta.schemaVersion) || 1,
+      keySize: this.keyCodec.size,
+      indexType: 'B+ Tree',
+      indexes: this.getIndexes()
     }
   }
 
   _getFieldTypeString(type) {
+    if (type.name) return type.name
     if (type.size === 4 && type.serialize.toString().includes('writeInt32LE')) return 'INT32'
     if (type.size === 4 && type.serialize.toString().includes('writeUInt32LE')) return 'UINT32'
     if (type.size === 8 && type.serialize.toString().includes('writeBigInt64LE')) return 'INT64'
@@ -107,66 +271,157 @@ class Table {
   }
 
   /**
-   * Create (insert) a new record
+   * Create (insert) a new record. An auto-increment key left out of `data`
+   * is assigned from the table's sequence; the result holds the key used.
    */
   async create(data) {
     if (!this.isOpen) await this.open()
 
-    // Validate required fields and extract key
-    const keyField = this._getPrimaryKey()
-    if (!data[keyField.name]) {
-      throw new Error(`Primary key '${keyField.name}' is required`)
-    }
+    return this._withWriteLock(async () => {
+      await this._waitForVacuum()
 
-    const key = data[keyField.name]
+      // Validate required fields and extract key
+      data = this._assignKey(data)
+      const key = this._requireKey(data)
 
-    // Check if key already exists
-    const existing = await this.bPlusTree.search(key)
-    if (existing) {
-      throw new Error(`Record with key ${key} already exists`)
-    }
+      // Check if key already exists
+      const existing = await this.bPlusTree.search(key)
+      if (existing) {
+        throw new Error(`Record with key ${key} already exists`)
+      }
 
-    // Validate and serialize data
-    const validatedData = this._validateData(data)
+      // Validate and serialize data
+      const validatedData = this._validateData(data)
+      await this._checkUnique([{ op: 'put', key, value: validatedData }])
     
-    // Insert using B+ tree
-    await this.bPlusTree.insert(key, validatedData)
+      // Log first, then insert using B+ tree
+      await this._logPut(key, validatedData)
+      await this._putRecord(key, validatedData)
     
-    return {
-      success: true,
-      key,
-      data: validatedData
-    }
+      return {
+        success: true,
+        key,
+        data: validatedData
+      }
+    })
   }
 
   /**
-   * Read (select) records with various options
+   * Read (select) records with various options:
+   *
+   *   key       one record by primary key (other conditions are ignored)
+   *   where     a where clause (see ./query)
+   *   orderBy   a field, `{ field, dir }` or an array of them (see ./sort);
+   *             primary key order otherwise
+   *   select    field names to return, rather than whole records
+   *   offset, limit
    */
   async read(conditions = {}) {
     if (!this.isOpen) await this.open()
 
-    // Handle different read conditions
-    if (conditions.key !== undefined) {
-      // Read by primary key
-      const result = await this.bPlusTree.search(conditions.key)
-      return result ? [result.value] : []
+    // The query planner picks a key lookup, key range, index or full scan
+    const [plan] = await planQuery(this, conditions)
+    return (await this._runPlan(plan, conditions)).records
+  }
+
+  /**
+   * How `read(conditions)` would find its records: the plan the query
+   * planner picks (see ./planner), the others it considered, and the rows
+   * and pages the chosen one actually touched when run
+   */
+  async explain(conditions = {}) {
+    if (!this.isOpen) await this.open()
+
+    const [plan, ...alternatives] = await planQuery(this, conditions)
+
+    // Trace the pages the plan reads, in the table and in its index
+    const pagers = [this.pager, ...(plan.index ? [this.indexes.get(plan.index).pager] : [])]
+    const touched = pagers.map(pager => (pager.trace = new Set()))
+    if (this.bPlusTree.root) touched[0].add(this.bPlusTree.root.no)
+    if (plan.index && this.indexes.get(plan.index).tree.root) touched[1].add(this.indexes.get(plan.index).tree.root.no)
+
+    let result
+    try {
+      result = await this._runPlan(plan, conditions)
+    } finally {
+      pagers.forEach(pager => { pager.trace = null })
     }
 
-    if (conditions.where && (conditions.where.gte !== undefined || conditions.where.lte !== undefined)) {
-      // Range query - B+ tree's strength!
-      const startKey = conditions.where.gte || 0
-      const endKey = conditions.where.lte || Number.MAX_SAFE_INTEGER
-      const limit = conditions.limit || Infinity
-      
-      const results = await this.bPlusTree.rangeSearch(startKey, endKey, limit)
-      return this._applyPostFiltering(results.map(r => r.value), conditions)
+    const describe = ({ exact, keys, ranges, ...rest }) => ({
+      ...rest,
+      ...(keys && { keys: keys.length }),
+      ...(ranges && { ranges: ranges.length }),
+      filtered: !exact
+    })
+
+    return {
+      table: this.name,
+      plan: describe(plan),
+      actualRows: result.scanned,
+      returnedRows: result.records.length,
+      pagesTouched: touched.reduce((sum, pages) => sum + pages.size, 0),
+      ...(result.sort && { sort: result.sort }),
+      alternatives: alternatives.map(describe)
     }
+  }
 
-    // Read all records (efficient with B+ tree)
-    const allResults = await this.bPlusTree.getAllInOrder()
-    const values = allResults.map(r => r.value)
-    
-    return this._applyPostFiltering(values, conditions)
+  /**
+   * Run a plan from planQuery: filter the records its access path returns,
+   * put them in order, then apply offset, limit and select. Paths already
+   * in order stop reading once the limit is reached; others are sorted in
+   * memory, or in runs spilled to temporary files past the
+   * `sortMemory` option (bytes). Resolves to `{ records, scanned, sort }`,
+   * `sort` being 'memory' or 'external' when sorting was needed.
+   */
+  async _runPlan(plan, conditions) {
+    const orderBy = this._checkOrderBy(conditions.orderBy)
+    const project = this._projection(conditions.select)
+    const matches = conditions.key !== undefined ? () => true : this._compileWhere(conditions.where)
+    const offset = conditions.offset || 0
+    const limit = conditions.limit || Infinity
+
+    let scanned = 0
+    const matching = async function* (table) {
+      for await (const record of scanPlan(table, plan)) {
+        scanned++
+        if (matches(record)) yield record
+      }
+    }
+
+    const records = []
+    const page = async (ordered) => {
+      let skipped = 0
+      for await (const record of ordered) {
+        if (skipped < offset) {
+          skipped++
+          continue
+        }
+        records.push(project(record))
+        if (records.length >= limit) break
+      }
+    }
+
+    if (plan.order !== 'sort') {
+      await page(matching(this))
+      return { records, scanned }
+    }
+
+    const sorter = new ExternalSorter(this._recordComparator(orderBy), {
+      memory: this.options.sortMemory,
+      tempDir: this.options.tempDir,
+      serialize: (record) => this.schema.serialize(record),
+      deserialize: (buffer) => this.schema.deserialize(buffer),
+    })
+    try {
+      for await (const record of matching(this)) {
+        await sorter.add(record)
+      }
+      await page(sorter.sorted())
+    } finally {
+      await sorter.close()
+    }
+
+    return { records, scanned, sort: sorter.spilled ? 'external' : 'memory' }
   }
 
   /**
@@ -175,63 +430,661 @@ class Table {
   async update(key, newData) {
     if (!this.isOpen) await this.open()
 
-    // Find existing record
-    const existing = await this.bPlusTree.search(key)
-    if (!existing) {
-      throw new Error(`Record with key ${key} not found`)
+    return this._withWriteLock(async () => {
+      await this._waitForVacuum()
+
+      // Find existing record
+      const existing = await this.bPlusTree.search(key)
+      if (!existing) {
+        throw new Error(`Record with key ${key} not found`)
+      }
+
+      // Merge with existing data (can't change primary key)
+      this._assertKeyUnchanged(key, newData)
+
+      const mergedData = { ...existing.value, ...newData }
+      const validatedData = this._validateData(mergedData)
+      await this._checkUnique([{ op: 'put', key, value: validatedData }])
+
+      // Log first, then replace the record and its index entries
+      await this._logPut(key, validatedData)
+      await this._putRecord(key, validatedData)
+
+      return {
+        success: true,
+        key,
+        oldData: existing.value,
+        newData: validatedData
+      }
+    })
+  }
+
+  /**
+   * Delete a record
+   */
+  async delete(key) {
+    if (!this.isOpen) await this.open()
+
+    return this._withWriteLock(async () => {
+      await this._waitForVacuum()
+
+      // Find existing record
+      const existing = await this.bPlusTree.search(key)
+      if (!existing) {
+        throw new Error(`Record with key ${key} not found`)
+      }
+
+      // Delete using B+ tree
+      await this.wal.log(this._encodeLogOp({ op: 'delete', key }))
+      const success = await this._deleteRecord(key)
+    
+      return {
+        success,
+        key,
+        deletedData: existing.value
+      }
+    })
+  }
+
+  /**
+   * Update every record matching a where clause (see read). All merged
+   * records are validated before any is written.
+   */
+  async updateWhere(where, newData) {
+    if (!this.isOpen) await this.open()
+
+    const records = await this.read({ where })
+    const keys = records.map(record => this._getKey(record))
+    for (const [i, key] of keys.entries()) {
+      this._assertKeyUnchanged(key, newData)
+      this._validateData({ ...records[i], ...newData })
     }
 
-    // Merge with existing data (can't change primary key)
-    const keyField = this._getPrimaryKey()
-    if (newData[keyField.name] && newData[keyField.name] !== key) {
-      throw new Error('Cannot modify primary key')
+    for (const key of keys) {
+      await this.update(key, newData)
+    }
+
+    return { success: true, count: keys.length, keys }
+  }
+
+  /**
+   * Delete every record matching a where clause (see read)
+   */
+  async deleteWhere(where) {
+    if (!this.isOpen) await this.open()
+
+    const keys = (await this.read({ where })).map(record => this._getKey(record))
+    for (const key of keys) {
+      await this.delete(key)
+    }
+
+    return { success: true, count: keys.length, keys }
+  }
+
+  /**
+   * Group the records matching `where` by the `groupBy` fields and compute
+   * `metrics` for each group, keeping the groups that satisfy `having`
+   * (see ./aggregate). Records are read one leaf at a time rather than all
+   * at once.
+   */
+  async aggregate(options = {}) {
+    if (!this.isOpen) await this.open()
+
+    const aggregation = this._compileAggregation(options)
+    const matches = this._compileWhere(options.where)
+    const [plan] = await planQuery(this, { where: options.where })
+
+    for await (const record of scanPlan(this, plan)) {
+      if (matches(record)) aggregation.add(record)
+    }
+
+    return aggregation.results()
+  }
+
+  /**
+   * Iterate records in primary key order, reading one leaf at a time:
+   *
+   *   for await (const record of table.scan({ from: 100, to: 200, reverse: true })) ...
+   *
+   * `from` and `to` are the lowest and highest primary keys to visit (both
+   * inclusive, either may be left out); `reverse` walks from `to` down to
+   * `from`. `where` filters the records (see ./query). Records written
+   * while the scan is paused are seen once their leaf is reached.
+   */
+  async *scan({ from, to, reverse = false, where } = {}) {
+    if (!this.isOpen) await this.open()
+
+    const matches = this._compileWhere(where)
+    for await (const { value } of this.bPlusTree.entries(from, to, { reverse })) {
+      if (matches(value)) yield value
+    }
+  }
+
+  /**
+   * `for await (const record of table)` scans the whole table
+   */
+  [Symbol.asyncIterator]() {
+    return this.scan()
+  }
+
+  /**
+   * Count records in the table, or those matching a where clause. Matching
+   * records are counted as they are read rather than collected.
+   */
+  async count(where) {
+    if (!this.isOpen) await this.open()
+
+    if (!where || Object.keys(where).length === 0) {
+      return await this._rowCount()
     }
 
-    const mergedData = { ...existing.value, ...newData }
-    const validatedData = this._validateData(mergedData)
+    const matches = this._compileWhere(where)
+    const [plan] = await planQuery(this, { where })
+    let count = 0
+    for await (const record of scanPlan(this, plan)) {
+      if (matches(record)) count++
+    }
+    return count
+  }
 
-    // Update using B+ tree (delete and insert)
-    await this.bPlusTree.delete(key)
-    await this.bPlusTree.insert(key, validatedData)
+  /**
+   * Record count and page usage, including pages waiting on the free list
+   */
+  async getStats() {
+    if (!this.isOpen) await this.open()
 
     return {
-      success: true,
-      key,
-      oldData: existing.value,
-      newData: validatedData
+      records: await this.count(),
+      ...this.pager.getStats()
     }
   }
 
   /**
-   * Delete a record
+   * Rebuild the table into a fresh, densely packed file with its leaves in
+   * key order, then swap it in with an atomic rename. Reads are served from
+   * the old file until the swap; writes wait for the vacuum to finish.
+   * The vacuum runs after any bulk load, alter or vacuum already queued.
    */
-  async delete(key) {
+  async vacuum() {
+    return await this._queueRebuild(() => this._rebuildFile())
+  }
+
+  async _waitForVacuum() {
+    while (this._vacuum) {
+      await this._vacuum.catch(() => {})
+    }
+  }
+
+  /**
+   * Queue `fn`, which rebuilds the table file, behind any rebuild already
+   * queued. The slot is taken before anything is awaited, so writes issued
+   * after this call wait for the rebuild.
+   */
+  _queueRebuild(fn) {
+    const run = this._rebuilds.then(async () => {
+      if (!this.isOpen) await this.open()
+      return await fn()
+    })
+    const settle = () => {
+      if (this._vacuum === run) this._vacuum = null
+    }
+    this._rebuilds = run.then(settle, settle)
+    this._vacuum = run
+    return run
+  }
+
+  /**
+   * Run a single-record write under the database's commit lock (the
+   * `writeLock` option), so it cannot land between a transaction's checks
+   * and its apply step
+   */
+  async _withWriteLock(fn) {
+    return this.options.writeLock ? await this.options.writeLock(fn) : await fn()
+  }
+
+  /**
+   * Write `entries` (by default the current rows; any iterable in key
+   * order) to a new file in the layout of `schema`, merging `meta` into
+   * the stored metadata, and swap it in for the table file. Pages go to
+   * disk as they are built, so the entries are never all in memory.
+   */
+  async _rebuildFile({ schema = this.schema, entries = null, meta = {}, fillFactor } = {}) {
+    // Start from a checkpoint so the log is empty when the file is swapped
+    await this.pager.flush()
+    const before = this.pager.getStats()
+
+    const tempPath = `${this.dbPath}.${++this._rebuildCount}.vacuum`
+    await fs.rm(tempPath, { force: true })
+
+    const db = connectDB(tempPath, { immediateSync: false })
+    await db.open()
+
+    try {
+      const pager = await this._createPager(db, { ...this.pager.meta, freeHead: 0, freeCount: 0, ...meta }, {}, schema)
+      const tree = new BPlusTree(pager, { order: this.bPlusTree.order })
+      pager.meta.rowCount = await tree.buildFromSorted(entries || this.bPlusTree.entries(), { fillFactor, stream: true })
+      await pager.flush()
+    } catch (error) {
+      await db.close()
+      await fs.rm(tempPath, { force: true })
+      throw error
+    }
+    await db.close()
+
+    // The old handle keeps reading the old file until it is closed
+    await fs.rename(tempPath, this.dbPath)
+
+    const swapped = connectDB(this.dbPath, { immediateSync: this.options.immediateSync })
+    await swapped.open()
+    let opened
+    try {
+      opened = await this._openTree(swapped, {}, schema)
+    } catch (error) {
+      await swapped.close()
+      throw error
+    }
+
+    // Swap everything in at once, so a read sees either the old tree or the
+    // new one. Reads already walking the old tree find its pages cached by
+    // the rebuild, so its handle can go.
+    const oldDb = this.db
+    this.db = swapped
+    this.pager = opened.pager
+    this.bPlusTree = opened.bPlusTree
+    if (schema !== this.schema) {
+      this.schema = schema
+      this._initKeyLayout()
+    }
+    await oldDb.close()
+
+    const after = this.pager.getStats()
+    return {
+      pagesBefore: before.totalPages,
+      pagesAfter: after.totalPages,
+      bytesBefore: before.fileSize,
+      bytesAfter: after.fileSize,
+      bytesReclaimed: before.fileSize - after.fileSize
+    }
+  }
+
+  /**
+   * Load many rows at once. Instead of inserting them one by one, the
+   * table is rebuilt bottom-up into a new file (see
+   * BPlusTree#buildFromSorted) and swapped in like a vacuum. `rows` may
+   * be an array or any iterable, async ones and streams included; it is
+   * read once and never held in memory as a whole:
+   *
+   *   fillFactor  share of each leaf to fill, from 0.5 to 1 (the default),
+   *               leaving room for later inserts
+   *   sorted      the rows already come in primary key order, so they go
+   *               straight into the tree (default false)
+   *
+   * Unsorted rows are sorted first, spilling to `tempDir` past
+   * `sortMemory`. Existing rows are kept. A key loaded twice or already
+   * present, or a clash in a unique index, fails the load and leaves the
+   * table as it was. Secondary indexes are rebuilt afterwards. Loads run
+   * one at a time, queued behind any other rebuild of the file.
+   */
+  async bulkLoad(rows, { fillFactor = 1, sorted = false } = {}) {
+    return await this._queueRebuild(() => this._bulkLoad(rows, { fillFactor, sorted }))
+  }
+
+  async _bulkLoad(rows, { fillFactor, sorted }) {
+    if (!(fillFactor >= 0.5 && fillFactor <= 1)) {
+      throw new Error(`fillFactor must be between 0.5 and 1, not ${fillFactor}`)
+    }
+    if (!rows || !(rows[Symbol.iterator] || rows[Symbol.asyncIterator])) {
+      throw new Error('bulkLoad needs an array or iterable of rows')
+    }
+
+    // Keys assigned or loaded move the sequence in the current metadata
+    const meta = this.pager.meta
+    const loaded = { count: 0 }
+
+    const sorter = sorted ? null : new ExternalSorter((a, b) => this.bPlusTree.compare(this._getKey(a), this._getKey(b)), {
+      memory: this.options.sortMemory,
+      tempDir: this.options.tempDir,
+      serialize: (record) => this.schema.serialize(record),
+      deserialize: (buffer) => this.schema.deserialize(buffer),
+    })
+    try {
+      if (sorter) {
+        for await (const data of rows) {
+          await sorter.add(this._prepareRow(data))
+        }
+      }
+      const incoming = sorter ? sorter.sorted() : this._prepareRows(rows)
+
+      // Until they are rebuilt the indexes miss the new rows; marked stale in
+      // the new file, a crash before then has them rebuilt on open
+      const stale = this.indexes.size > 0 ? { staleIndexes: true } : {}
+      await this._rebuildFile({ entries: this._mergeRows(incoming, loaded), meta: stale, fillFactor })
+    } finally {
+      if (sorter) await sorter.close()
+    }
+
+    if (meta.autoIncrement !== undefined) {
+      this.pager.meta.autoIncrement = meta.autoIncrement
+    }
+    await this._rebuildIndexes()
+    await this.pager.flush()
+
+    return { success: true, count: loaded.count, records: await this._rowCount() }
+  }
+
+  // A row to load, keyed and validated like a create
+  _prepareRow(data) {
+    data = this._assignKey(data)
+    const key = this._requireKey(data)
+    this._advanceSequence(key)
+    return this._validateData(data)
+  }
+
+  async *_prepareRows(rows) {
+    for await (const data of rows) {
+      yield this._prepareRow(data)
+    }
+  }
+
+  /**
+   * Entries of the current rows merged with the `incoming` records, in key
+   * order. Fails on keys out of order, keys present twice and duplicate
+   * values of unique indexes, which are tracked in memory.
+   */
+  async *_mergeRows(incoming, loaded) {
+    const compare = (a, b) => this.bPlusTree.compare(a, b)
+    const unique = Array.from(this.indexes.values()).filter(index => index.unique).map(index => [index, new Set()])
+    const check = (entry) => {
+      for (const [index, values] of unique) {
+        const value = entry.value[index.field]
+        if (value === null) continue // nulls never collide
+        const id = index.valueKey(value)
+        if (values.has(id)) {
+          throw new Error(`Duplicate value '${value}' for unique index on '${index.field}'`)
+        }
+        values.add(id)
+      }
+      return entry
+    }
+
+    const existing = this.bPlusTree.entries()
+    let current = await existing.next()
+    let last
+
+    for await (const value of incoming) {
+      const key = this._getKey(value)
+      if (last !== undefined && compare(last, key) >= 0) {
+        throw new Error(compare(last, key) === 0
+          ? `Record with key ${key} is loaded twice`
+          : `Rows are not in primary key order (${key} after ${last}); leave out 'sorted' to have them sorted`)
+      }
+      last = key
+
+      while (!current.done && compare(current.value.key, key) < 0) {
+        yield check(current.value)
+        current = await existing.next()
+      }
+      if (!current.done && compare(current.value.key, key) === 0) {
+        throw new Error(`Record with key ${key} already exists`)
+      }
+
+      yield check({ key, value })
+      loaded.count++
+    }
+
+    for (; !current.done; current = await existing.next()) {
+      yield check(current.value)
+    }
+  }
+
+  /**
+   * Check the table for corruption. Pending changes are flushed, then the
+   * file is read back from disk, verifying every page checksum and the
+   * tree structure; each secondary index is checked the same way and must
+   * hold one entry per record. Returns `{ table, ok, pages, records, errors }`.
+   */
+  async verify() {
     if (!this.isOpen) await this.open()
+    await this._waitForVacuum()
+    await this.pager.flush()
+
+    const result = await checkFile(this.db, { ...this._pagerOptions({}), order: this.bPlusTree.order })
+    const errors = [...result.errors]
 
-    // Find existing record
-    const existing = await this.bPlusTree.search(key)
-    if (!existing) {
-      throw new Error(`Record with key ${key} not found`)
+    for (const index of this.indexes.values()) {
+      const indexResult = await index.verify()
+      errors.push(...indexResult.errors.map(error => `index on '${index.field}': ${error}`))
+
+      if (result.entries !== null && indexResult.entries !== null && indexResult.entries !== result.entries) {
+        errors.push(`index on '${index.field}': ${indexResult.entries} entries for ${result.entries} records`)
+      }
     }
 
-    // Delete using B+ tree
-    const success = await this.bPlusTree.delete(key)
-    
     return {
-      success,
-      key,
-      deletedData: existing.value
+      table: this.name,
+      ok: errors.length === 0,
+      pages: result.pages,
+      records: result.entries,
+      errors
     }
   }
 
   /**
-   * Count records in the table
+   * Build a secondary index on a non-key field. Equality and
+   * $gt/$gte/$lt/$lte conditions on the field are then answered from the
+   * index instead of a full scan.
    */
-  async count() {
+  async createIndex(field, options = {}) {
     if (!this.isOpen) await this.open()
-    
-    const allResults = await this.bPlusTree.getAllInOrder()
-    return allResults.length
+
+    if (!this.schema.getField(field)) {
+      throw new Error(`Field '${field}' does not exist in table '${this.name}'`)
+    }
+    if (this.schema.primaryKey.length === 1 && this.schema.primaryKey[0] === field) {
+      throw new Error(`Field '${field}' is the primary key and is already indexed`)
+    }
+    if (this.indexes.has(field)) {
+      throw new Error(`Index on '${field}' already exists`)
+    }
+    assertIndexable(field, this.schema.getField(field).type, this.keyCodec)
+
+    const index = new SecondaryIndex(this, field, options)
+    await fs.rm(index.path, { force: true })
+    await index.open()
+
+    const records = await this._getAllRecords()
+    if (index.unique) {
+      const values = new Set()
+      for (const record of records) {
+        if (record[field] === null) continue // nulls never collide
+        const id = index.valueKey(record[field])
+        if (values.has(id)) {
+          await index.drop()
+          throw new Error(`Duplicate value '${record[field]}' for unique index on '${field}'`)
+        }
+        values.add(id)
+      }
+    }
+
+    await index.rebuild(records)
+    this.indexes.set(field, index)
+    this.pager.meta.indexes = this.getIndexes()
+    await this.pager.flush()
+
+    return index.getInfo()
+  }
+
+  /**
+   * Remove a secondary index and its file
+   */
+  async dropIndex(field) {
+    if (!this.isOpen) await this.open()
+
+    const index = this.indexes.get(field)
+    if (!index) {
+      throw new Error(`Index on '${field}' does not exist`)
+    }
+
+    this.indexes.delete(field)
+    this.pager.meta.indexes = this.getIndexes()
+    await this.pager.flush()
+    await index.drop()
+  }
+
+  getIndexes() {
+    return Array.from(this.indexes.values()).map(index => index.getInfo())
+  }
+
+  /**
+   * Change the table's columns and rewrite every row in the new layout.
+   * `changes` may hold any of these, each one change or an array of them,
+   * applied in this order:
+   *
+   *   dropColumn:   'name'
+   *   renameColumn: { from, to }
+   *   changeType:   { name, type, ...field options }  (other options are kept)
+   *   addColumn:    { name, type, ...field options }  (see Schema)
+   *
+   * Primary key columns can be renamed but not dropped or retyped. Values
+   * of a retyped column are converted where a plain conversion fits, and
+   * added columns start at their default or null. If any row does not fit
+   * the new schema the table is left as it was. Writes wait for the
+   * rewrite, which is queued behind any other rebuild of the file; each
+   * alter bumps the schema version stored with the table.
+   */
+  async alter(changes = {}) {
+    return await this._queueRebuild(() => this._alter(changes))
+  }
+
+  async _alter(changes) {
+    const plan = this._planAlter(changes)
+
+    const entries = []
+    for (const { key, value } of await this.bPlusTree.getAllInOrder()) {
+      entries.push({ key, value: this._migrateRow(key, value, plan) })
+    }
+
+    // Indexes on dropped, renamed or retyped columns are rebuilt (or dropped)
+    const kept = []
+    const rebuilt = []
+    for (const { field, unique } of this.getIndexes()) {
+      const [name, target] = [...plan.fields].find(([, spec]) => spec.source === field) || []
+      if (!name) continue
+      if (name === field && !target.retyped) {
+        kept.push({ field, unique })
+      } else {
+        rebuilt.push({ field: name, unique })
+      }
+    }
+    for (const { field, unique } of rebuilt) {
+      const type = plan.schema.getField(field).type
+      assertIndexable(field, type, this.keyCodec)
+      if (!unique) continue
+      const values = new Set()
+      for (const { value } of entries) {
+        if (value[field] === null) continue
+        const id = valueKey(type, value[field])
+        if (values.has(id)) {
+          throw new Error(`Cannot alter table '${this.name}': duplicate value '${value[field]}' for unique index on '${field}'`)
+        }
+        values.add(id)
+      }
+    }
+
+    const schemaVersion = (this.pager.meta.schemaVersion || 1) + 1
+    await this._rebuildFile({
+      schema: plan.schema,
+      entries,
+      meta: { schema: plan.schema.toJSON(), schemaVersion, indexes: kept }
+    })
+
+    for (const [field, index] of this.indexes) {
+      if (kept.some(info => info.field === field)) continue
+      this.indexes.delete(field)
+      await index.drop()
+    }
+    for (const { field, unique } of rebuilt) {
+      await this.createIndex(field, { unique })
+    }
+
+    return { ...this.getInfo(), records: entries.length }
+  }
+
+  /**
+   * The schema `changes` lead to, and for each new column the column its
+   * values come from (`source`, null for added ones)
+   */
+  _planAlter(changes) {
+    let fields = new Map(this.schema.getFields().map(field => [field.name, { ...field, source: field.name }]))
+    let primaryKey = [...this.schema.primaryKey]
+
+    const existing = (name) => {
+      if (!fields.has(name)) {
+        throw new Error(`Field '${name}' does not exist in table '${this.name}'`)
+      }
+      return fields.get(name)
+    }
+    const absent = (name) => {
+      if (typeof name !== 'string' || !name) {
+        throw new Error('Column name must be a non-empty string')
+      }
+      if (fields.has(name)) {
+        throw new Error(`Field '${name}' already exists in table '${this.name}'`)
+      }
+    }
+
+    for (const name of asList(changes.dropColumn)) {
+      existing(name)
+      if (primaryKey.includes(name)) {
+        throw new Error(`Cannot drop primary key field '${name}'`)
+      }
+      fields.delete(name)
+    }
+
+    for (const { from, to } of asList(changes.renameColumn)) {
+      existing(from)
+      absent(to)
+      fields = new Map([...fields].map(([name, spec]) => (name === from ? [to, { ...spec, name: to }] : [name, spec])))
+      primaryKey = primaryKey.map(name => (name === from ? to : name))
+    }
+
+    for (const { name, type, ...options } of asList(changes.changeType)) {
+      const spec = existing(name)
+      if (primaryKey.includes(name)) {
+        throw new Error(`Cannot change the type of primary key field '${name}'`)
+      }
+      fields.set(name, { ...spec, ...options, type: type === undefined ? spec.type : type, retyped: true })
+    }
+
+    for (const { name, ...options } of asList(changes.addColumn)) {
+      absent(name)
+      fields.set(name, { ...options, source: null })
+    }
+
+    const specs = {}
+    for (const [name, { source, retyped, ...spec }] of fields) {
+      specs[name] = spec
+    }
+
+    return { fields, schema: new Schema(specs, { primaryKey }) }
+  }
+
+  _migrateRow(key, row, { fields, schema }) {
+    const data = {}
+    for (const [name, spec] of fields) {
+      if (spec.source === null) continue // filled in by its default
+      const value = row[spec.source]
+      data[name] = spec.retyped ? convertValue(value, schema.getField(name).type) : value
+    }
+
+    try {
+      const migrated = schema.validate(data)
+      schema.serialize(migrated)
+      return migrated
+    } catch (error) {
+      error.message = `Cannot alter table '${this.name}': row ${key}: ${error.message}`
+      throw error
+    }
   }
 
   /**
@@ -270,59 +1123,344 @@ class Table {
   }
 
   // Helper methods
-  _getPrimaryKey() {
-    const fields = this.schema.getFields()
-    return fields[0] // First field is always primary key by convention
+  async _logPut(key, data) {
+    await this.wal.log(this._encodeLogOp({ op: 'put', key, value: data }))
   }
 
-  _validateData(data) {
-    // Use schema validation
-    const fields = this.schema.getFields()
-    const validatedData = {}
+  // Keys are logged in their encoded form so BigInt and composite keys survive JSON
+  _encodeLogOp({ op, key, value }) {
+    const encodedKey = encodeKey(this.keyCodec, key).toString('base64')
+    return op === 'put'
+      ? { op, key: encodedKey, value: this.schema.serialize(value).toString('base64') }
+      : { op, key: encodedKey }
+  }
 
-    for (const field of fields) {
-      const value = data[field.name]
-      
-      if (value === undefined || value === null) {
-        throw new Error(`Field '${field.name}' is required`)
+  _decodeLogKey(encodedKey) {
+    return this.keyCodec.read(Buffer.from(encodedKey, 'base64'), 0)
+  }
+
+  async _applyLogRecord(record) {
+    if (record.op === 'put') {
+      await this._putRecord(this._decodeLogKey(record.key), this.schema.deserialize(Buffer.from(record.value, 'base64')))
+    } else if (record.op === 'delete') {
+      await this._deleteRecord(this._decodeLogKey(record.key))
+    } else if (record.op === 'batch') {
+      // Transaction batches only count once the database logged their commit
+      const committed = this.options.committedTransactions
+      if (committed && committed.has(record.tx)) {
+        for (const op of record.ops) {
+          await this._applyLogRecord(op)
+        }
       }
+    }
+  }
+
+  /**
+   * Log the writes of a transaction (see ../core/transaction)
+   */
+  async _logTransaction(txId, ops) {
+    if (!this.isOpen) await this.open()
+    await this._waitForVacuum()
 
-      // Type-specific validation could be added here
-      validatedData[field.name] = value
+    await this.wal.log({ op: 'batch', tx: txId, ops: ops.map(op => this._encodeLogOp(op)) })
+  }
+
+  /**
+   * Apply the writes of a committed transaction to the tree
+   */
+  async _applyTransaction(ops) {
+    for (const { op, key, value } of ops) {
+      if (op === 'put') {
+        await this._putRecord(key, value)
+      } else {
+        await this._deleteRecord(key)
+      }
     }
+  }
 
-    return validatedData
+  /**
+   * Insert or replace a record, keeping secondary indexes in step
+   */
+  async _putRecord(key, value) {
+    const existing = this.indexes.size > 0 ? await this.bPlusTree.search(key) : null
+
+    if (await this.bPlusTree.insert(key, value)) this._countRows(1)
+    this._advanceSequence(key)
+
+    for (const index of this.indexes.values()) {
+      if (existing) {
+        await index.remove(existing.value[index.field], key)
+      }
+      await index.insert(value[index.field], key)
+    }
+  }
+
+  /**
+   * Delete a record and its index entries
+   */
+  async _deleteRecord(key) {
+    const existing = this.indexes.size > 0 ? await this.bPlusTree.search(key) : null
+
+    const success = await this.bPlusTree.delete(key)
+    if (success) this._countRows(-1)
+
+    if (existing) {
+      for (const index of this.indexes.values()) {
+        await index.remove(existing.value[index.field], key)
+      }
+    }
+
+    return success
   }
 
-  _applyPostFiltering(values, conditions) {
-    let results = values
+  /**
+   * Reject puts that would give two records the same value in a unique
+   * index. `ops` is a batch applied together, so records it rewrites or
+   * deletes do not count as conflicts.
+   */
+  async _checkUnique(ops) {
+    const sameKey = (a, b) => this.bPlusTree.compare(a, b) === 0
+    const touched = (key) => ops.some(op => sameKey(op.key, key))
+
+    for (const index of this.indexes.values()) {
+      if (!index.unique) continue
+
+      const seen = []
+      for (const { op, key, value } of ops) {
+        if (op !== 'put') continue
 
-    // Apply where conditions (field-based filtering)
-    if (conditions.where) {
-      results = results.filter(record => {
-        for (const [field, expectedValue] of Object.entries(conditions.where)) {
-          if (field === 'gte' || field === 'lte') continue // Already handled in range query
-          
-          if (record[field] !== expectedValue) {
-            return false
-          }
+        const fieldValue = value[index.field]
+        if (fieldValue === null) continue // nulls never collide
+
+        const id = index.valueKey(fieldValue)
+        const holders = [
+          ...(await index.findKeys(fieldValue)).filter(holder => !touched(holder)),
+          ...seen.filter(([other]) => other === id).map(([, holder]) => holder),
+        ]
+
+        if (holders.some(holder => !sameKey(holder, key))) {
+          throw new Error(`Duplicate value '${fieldValue}' for unique index on '${index.field}'`)
         }
-        return true
-      })
+
+        seen.push([id, key])
+      }
+    }
+  }
+
+  /**
+   * Number of records, kept in the table metadata for the query planner.
+   * Tables written before it was kept are counted once.
+   */
+  async _rowCount() {
+    if (this.pager.meta.rowCount === undefined) {
+      let count = 0
+      for await (const _ of this.bPlusTree.entries()) count++
+      this.pager.meta.rowCount = count
+    }
+    return this.pager.meta.rowCount
+  }
+
+  _countRows(delta) {
+    if (this.pager.meta.rowCount !== undefined) this.pager.meta.rowCount += delta
+  }
+
+  // Rebuild every secondary index from the rows and clear the stale mark
+  async _rebuildIndexes() {
+    for (const index of this.indexes.values()) {
+      await index.rebuild(this._streamRecords())
+    }
+    delete this.pager.meta.staleIndexes
+  }
+
+  async *_streamRecords() {
+    for await (const { value } of this.bPlusTree.entries()) {
+      yield value
+    }
+  }
+
+  async _flushIndexes() {
+    for (const index of this.indexes.values()) {
+      await index.flush()
+    }
+  }
+
+  async _getAllRecords() {
+    return (await this.bPlusTree.getAllInOrder()).map(r => r.value)
+  }
+
+  _initKeyLayout() {
+    this.keyCodec = createKeyCodec(this._getKeyFields().map(field => field.type))
+    this.MaxInternalSize = getMaxInternalSize(this.keyCodec.size)
+    this.MaxLeafSize = getMaxLeafSize(this.schema.getRowSize(), this.keyCodec.size)
+  }
+
+  _getKeyFields() {
+    return this.schema.getPrimaryKey()
+  }
+
+  /**
+   * Primary key of a record: a scalar, or an array for composite keys
+   */
+  _getKey(record) {
+    const values = this._getKeyFields().map(field => record[field.name])
+    return values.length === 1 ? values[0] : values
+  }
+
+  // Stable identity for a key, usable as a Map key
+  _keyId(key) {
+    return encodeKey(this.keyCodec, key).toString('hex')
+  }
+
+  /**
+   * `data` with the next value of the table's sequence as its
+   * auto-increment key, unless it already has one. The sequence lives in
+   * the table metadata; values are taken synchronously, so concurrent
+   * creates never share one, and a failed create leaves a gap.
+   */
+  _assignKey(data) {
+    const field = this.schema.autoIncrement
+    if (!field || (data[field] !== undefined && data[field] !== null)) return data
+
+    const next = (this.pager.meta.autoIncrement || 0) + 1
+    this.pager.meta.autoIncrement = next
+    return { ...data, [field]: next }
+  }
+
+  // Keys written explicitly, or replayed from the log, move the sequence past them
+  _advanceSequence(key) {
+    if (this.schema.autoIncrement && key > (this.pager.meta.autoIncrement || 0)) {
+      this.pager.meta.autoIncrement = Number(key)
+    }
+  }
+
+  _requireKey(data) {
+    for (const field of this._getKeyFields()) {
+      if (data[field.name] === undefined || data[field.name] === null) {
+        throw new Error(`Primary key '${field.name}' is required`)
+      }
+    }
+
+    const key = this._getKey(data)
+    encodeKey(this.keyCodec, key) // rejects keys the codec cannot store
+    return key
+  }
+
+  _assertKeyUnchanged(key, newData) {
+    const fields = this._getKeyFields()
+    const current = fields.length === 1 ? [key] : key
+    const next = fields.map((field, i) => newData[field.name] ?? current[i])
+
+    if (this.keyCodec.compare(fields.length === 1 ? next[0] : next, key) !== 0) {
+      throw new Error('Cannot modify primary key')
+    }
+  }
+
+  _validateData(data) {
+    // Fills in defaults and checks each field's rules (see Schema#validate)
+    const validatedData = this.schema.validate(data)
+
+    // Rejects values that do not fit their field, e.g. an over-long VARCHAR
+    this.schema.serialize(validatedData)
+
+    return validatedData
+  }
+
+  _matchesWhere(record, where) {
+    return this._compileWhere(where)(record)
+  }
+
+  /**
+   * Predicate for a where clause (see ./query). The top-level `gte`/`lte`
+   * keys bound the primary key.
+   */
+  _compileWhere(where) {
+    if (!where) return () => true
+
+    const { gte, lte, ...clause } = where
+    // Types with a key order (dates, decimals, UUIDs...) compare by it, so '5.00' < '10'
+    const matches = compileWhere(clause, field => this._valueCompare(field), field => this._operandCheck(field))
+    if (gte === undefined && lte === undefined) return matches
+
+    return (record) => {
+      const key = this._getKey(record)
+      if (gte !== undefined && this.keyCodec.compare(key, gte) < 0) return false
+      if (lte !== undefined && this.keyCodec.compare(key, lte) > 0) return false
+      return matches(record)
+    }
+  }
+
+  /**
+   * For types that parse their values (dates, decimals, UUIDs), a check
+   * that throws INVALID_QUERY for an operand they cannot read: compared in
+   * their key order it would come out as NaN, equal to everything
+   */
+  _operandCheck(field) {
+    const type = this.schema.getField(field)?.type
+    if (!type || !type.normalize) return null
+
+    return (operand) => {
+      const problem = type.validate(operand)
+      if (problem) {
+        const shown = typeof operand === 'string' ? `'${operand}'` : String(operand)
+        throw queryError(`Cannot compare ${type.name} field '${field}' with ${shown}: ${problem.reason || `not a ${problem.expected} value`}`)
+      }
     }
+  }
 
-    // Apply offset
-    if (conditions.offset) {
-      results = results.slice(conditions.offset)
+  // Key order of a field's type, or null when it has none; cached per type
+  _valueCompare(field) {
+    const type = this.schema.getField(field)?.type
+    if (!type) return null
+
+    if (!valueCompares.has(type)) {
+      valueCompares.set(type, getValueCompare(type, null))
     }
+    return valueCompares.get(type)
+  }
+
+  /**
+   * Order, page and project records already in memory, e.g. a
+   * transaction's view merged with its staged writes
+   */
+  _orderAndPage(records, { orderBy, offset = 0, limit, select } = {}) {
+    const terms = this._checkOrderBy(orderBy)
+    const project = this._projection(select)
+    const ordered = terms.length > 0 ? [...records].sort(this._recordComparator(terms)) : records
+
+    return ordered.slice(offset, limit ? offset + limit : undefined).map(project)
+  }
 
-    // Apply limit
-    if (conditions.limit) {
-      results = results.slice(0, conditions.limit)
+  // Records in `orderBy` order, ties in primary key order
+  _recordComparator(orderBy) {
+    return recordComparator(orderBy, field => this._valueCompare(field),
+      (a, b) => this.keyCodec.compare(this._getKey(a), this._getKey(b)))
+  }
+
+  _compileAggregation(options) {
+    return compileAggregation(options, field => this.schema.getField(field)?.type, field => this._valueCompare(field))
+  }
+
+  _checkOrderBy(orderBy) {
+    const terms = normalizeOrderBy(orderBy)
+    for (const { field } of terms) {
+      if (!this.schema.getField(field)) throw queryError(`Cannot order by unknown field '${field}'`)
     }
+    return terms
+  }
+
+  // Record -> the fields named in `select`, or the whole record
+  _projection(select) {
+    if (select === undefined || select === null) return (record) => record
 
-    return results
+    if (!Array.isArray(select) || select.some(field => typeof field !== 'string')) {
+      throw queryError('select must be an array of field names')
+    }
+    for (const field of select) {
+      if (!this.schema.getField(field)) throw queryError(`Cannot select unknown field '${field}'`)
+    }
+    return (record) => Object.fromEntries(select.map(field => [field, record[field]]))
   }
+
 }
 
 /**
@@ -379,12 +1517,17 @@ class Database {
       await table.close()
       this.tables.delete(name)
       
-      // Remove database file
-      const tablePath = path.join(this.dbDir, `${name}.db`)
-      try {
-        await fs.unlink(tablePath)
-      } catch (error) {
-        // File might not exist, that's ok
+      // Remove database file, its write-ahead log and its index files
+      const files = (await fs.readdir(this.dbDir)).filter(file =>
+        file === `${name}.db` || file === `${name}.wal` ||
+        (file.startsWith(`${name}.`) && file.endsWith('.idx')))
+
+      for (const file of files) {
+        try {
+          await fs.unlink(path.join(this.dbDir, file))
+        } catch (error) {
+          // File might not exist, that's ok
+        }
       }
     }
   }
@@ -0,0 +1,371 @@
+/**
+ * Multi-Table Transactions
+ *
+ * A transaction stages inserts, updates and deletes in memory and applies
+ * them to every participating table at commit time. Reads inside the
+ * transaction see its own pending writes (read-your-writes on top of
+ * read-committed).
+ *
+ * Commit protocol:
+ *  1. Re-check every staged write against the current table contents
+ *     (key existence and unique indexes), and abort if a record it
+ *     updates or deletes changed since the transaction first read it.
+ *  2. Append one batch record per table to that table's write-ahead log.
+ *  3. Append a commit record to the database's transaction log (commit point).
+ *  4. Apply the batches to the B+ trees.
+ *
+ * On recovery a table only replays batches whose transaction id appears in
+ * the transaction log, so a crash between steps 2 and 3 leaves no table
+ * with a partial transaction.
+ */
+
+const crypto = require('crypto')
+const { isDeepStrictEqual } = require('util')
+const { executeSql } = require('../sql/index')
+
+const TransactionState = {
+  ACTIVE: 'active',
+  COMMITTED: 'committed',
+  ROLLED_BACK: 'rolled_back'
+}
+
+class Transaction {
+  constructor(database) {
+    this.database = database
+    this.id = crypto.randomBytes(8).toString('hex')
+    this.state = TransactionState.ACTIVE
+    this.writes = new Map() // table name -> Map(encoded key -> staged write)
+  }
+
+  /**
+   * Get a transactional view of a table
+   */
+  table(name) {
+    return new TransactionTable(this, name)
+  }
+
+  /**
+   * Stage a new record
+   */
+  async create(tableName, data) {
+    const table = await this._getTable(tableName)
+
+    data = table._assignKey(data)
+    const key = table._requireKey(data)
+    if (await this._lookup(table, key)) {
+      throw new Error(`Record with key ${key} already exists`)
+    }
+
+    const value = table._validateData(data)
+    this._stage(table, key, { op: 'put', value, mustExist: false })
+
+    return {
+      success: true,
+      key,
+      data: value
+    }
+  }
+
+  /**
+   * Read records, including writes staged by this transaction
+   */
+  async read(tableName, conditions = {}) {
+    const table = await this._getTable(tableName)
+    const staged = this.writes.get(tableName)
+
+    if (conditions.key !== undefined) {
+      const record = await this._lookup(table, conditions.key)
+      return record ? [record] : []
+    }
+
+    const { limit, offset, orderBy, select, ...filter } = conditions
+    let results = await table.read(filter)
+
+    if (staged) {
+      results = results.filter(record => !staged.has(table._keyId(table._getKey(record))))
+
+      for (const write of staged.values()) {
+        if (write.op === 'put' && table._matchesWhere(write.value, filter.where)) {
+          results.push(write.value)
+        }
+      }
+
+      results.sort((a, b) => table.keyCodec.compare(table._getKey(a), table._getKey(b)))
+    }
+
+    return table._orderAndPage(results, { orderBy, offset, limit, select })
+  }
+
+  /**
+   * Stage an update to an existing record
+   */
+  async update(tableName, key, newData) {
+    const table = await this._getTable(tableName)
+
+    const existing = await this._lookup(table, key)
+    if (!existing) {
+      throw new Error(`Record with key ${key} not found`)
+    }
+
+    table._assertKeyUnchanged(key, newData)
+
+    const value = table._validateData({ ...existing, ...newData })
+    this._stage(table, key, { op: 'put', value, mustExist: true, base: existing })
+
+    return {
+      success: true,
+      key,
+      oldData: existing,
+      newData: value
+    }
+  }
+
+  /**
+   * Stage a delete
+   */
+  async delete(tableName, key) {
+    const table = await this._getTable(tableName)
+
+    const existing = await this._lookup(table, key)
+    if (!existing) {
+      throw new Error(`Record with key ${key} not found`)
+    }
+
+    this._stage(table, key, { op: 'delete', mustExist: true, base: existing })
+
+    return {
+      success: true,
+      key,
+      deletedData: existing
+    }
+  }
+
+  /**
+   * Count records as seen by this transaction
+   */
+  async count(tableName, where) {
+    return (await this.read(tableName, { where })).length
+  }
+
+  /**
+   * Aggregate records as seen by this transaction (see Table#aggregate)
+   */
+  async aggregate(tableName, options = {}) {
+    const table = await this._getTable(tableName)
+    const aggregation = table._compileAggregation(options)
+
+    for (const record of await this.read(tableName, { where: options.where })) {
+      aggregation.add(record)
+    }
+    return aggregation.results()
+  }
+
+  /**
+   * Run one SQL statement inside this transaction (see Database#sql);
+   * INSERT, UPDATE and DELETE are staged like any other write
+   */
+  async sql(text, params = []) {
+    this._assertActive()
+    return await executeSql(this.database, text, params, { transaction: this })
+  }
+
+  /**
+   * Stage updates to every record matching a where clause
+   */
+  async updateWhere(tableName, where, newData) {
+    const table = await this._getTable(tableName)
+    const keys = (await this.read(tableName, { where })).map(record => table._getKey(record))
+
+    for (const key of keys) {
+      await this.update(tableName, key, newData)
+    }
+
+    return { success: true, count: keys.length, keys }
+  }
+
+  /**
+   * Stage deletes of every record matching a where clause
+   */
+  async deleteWhere(tableName, where) {
+    const table = await this._getTable(tableName)
+    const keys = (await this.read(tableName, { where })).map(record => table._getKey(record))
+
+    for (const key of keys) {
+      await this.delete(tableName, key)
+    }
+
+    return { success: true, count: keys.length, keys }
+  }
+
+  /**
+   * Atomically apply all staged writes
+   */
+  async commit() {
+    this._assertActive()
+
+    await this.database._withCommitLock(async () => {
+      const batches = []
+
+      for (const [tableName, staged] of this.writes) {
+        const table = await this.database.getTable(tableName)
+        const ops = []
+
+        for (const { key, ...write } of staged.values()) {
+          const current = await table.bPlusTree.search(key)
+          if (write.mustExist !== null) {
+            const exists = !!current
+            if (exists !== write.mustExist) {
+              throw new Error(exists
+                ? `Record with key ${key} already exists in '${tableName}'`
+                : `Record with key ${key} not found in '${tableName}'`)
+            }
+          }
+
+          // Writing over a newer version would lose the change that made it
+          if (write.base && !isDeepStrictEqual(current.value, write.base)) {
+            throw Object.assign(
+              new Error(`Record with key ${key} in '${tableName}' was changed after this transaction read it`),
+              { code: 'TRANSACTION_CONFLICT' })
+          }
+
+          ops.push(write.op === 'put' ? { op: 'put', key, value: write.value } : { op: 'delete', key })
+        }
+
+        if (ops.length > 0) {
+          await table._checkUnique(ops)
+          batches.push([table, ops])
+        }
+      }
+
+      if (batches.length === 0) return
+
+      for (const [table, ops] of batches) {
+        await table._logTransaction(this.id, ops)
+      }
+
+      await this.database._logCommit(this.id)
+
+      for (const [table, ops] of batches) {
+        await table._applyTransaction(ops)
+      }
+    }).catch((error) => {
+      this._finish(TransactionState.ROLLED_BACK)
+      throw error
+    })
+
+    this._finish(TransactionState.COMMITTED)
+  }
+
+  /**
+   * Discard all staged writes
+   */
+  async rollback() {
+    this._assertActive()
+    this._finish(TransactionState.ROLLED_BACK)
+  }
+
+  isActive() {
+    return this.state === TransactionState.ACTIVE
+  }
+
+  // Helper methods
+  async _getTable(name) {
+    this._assertActive()
+    return await this.database.getTable(name)
+  }
+
+  async _lookup(table, key) {
+    const write = this.writes.get(table.name)?.get(table._keyId(key))
+    if (write) {
+      return write.op === 'put' ? write.value : null
+    }
+
+    const result = await table.bPlusTree.search(key)
+    return result ? result.value : null
+  }
+
+  _stage(table, key, write) {
+    if (!this.writes.has(table.name)) {
+      this.writes.set(table.name, new Map())
+    }
+
+    const staged = this.writes.get(table.name)
+    const id = table._keyId(key)
+    const previous = staged.get(id)
+
+    write.key = key
+
+    // Keep the existence requirement and the row read by the first write to this key
+    if (previous) {
+      write.mustExist = previous.mustExist
+      write.base = previous.base
+    }
+
+    // A record created and deleted in the same transaction never existed
+    if (write.op === 'delete' && previous && previous.mustExist === false) {
+      staged.delete(id)
+      return
+    }
+
+    staged.set(id, write)
+  }
+
+  _assertActive() {
+    if (this.state !== TransactionState.ACTIVE) {
+      throw new Error(`Transaction ${this.id} is ${this.state.replace('_', ' ')}`)
+    }
+  }
+
+  _finish(state) {
+    this.state = state
+    this.writes.clear()
+  }
+}
+
+/**
+ * Table-shaped view bound to a transaction
+ */
+class TransactionTable {
+  constructor(transaction, name) {
+    this.transaction = transaction
+    this.name = name
+  }
+
+  async create(data) {
+    return await this.transaction.create(this.name, data)
+  }
+
+  async read(conditions = {}) {
+    return await this.transaction.read(this.name, conditions)
+  }
+
+  async update(key, newData) {
+    return await this.transaction.update(this.name, key, newData)
+  }
+
+  async delete(key) {
+    return await this.transaction.delete(this.name, key)
+  }
+
+  async updateWhere(where, newData) {
+    return await this.transaction.updateWhere(this.name, where, newData)
+  }
+
+  async deleteWhere(where) {
+    return await this.transaction.deleteWhere(this.name, where)
+  }
+
+  async count(where) {
+    return await this.transaction.count(this.name, where)
+  }
+
+  async aggregate(options) {
+    return await this.transaction.aggregate(this.name, options)
+  }
+}
+
+module.exports = {
+  Transaction,
+  TransactionTable,
+  TransactionState
+}
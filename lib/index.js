@@ -10,7 +10,7 @@ const Database = require('./core/database')
 const Table = require('./core/table')
 
 // Schema system
-const { Schema, DataTypes, DefaultSchemas } = require('./schema/index')
+const { Schema, DataTypes, DefaultSchemas, parseDataType } = require('./schema/index')
 
 // Index implementations
 const BTreeIndex = require('./index/btree')
@@ -20,6 +20,9 @@ const BPlusTreeIndex = require('./index/bplus-tree')
 const Storage = require('./storage/storage')
 const Pager = require('./storage/pager')
 
+// SQL
+const { parse: parseSql, executeSql } = require('./sql/index')
+
 // Socket support
 const { DatabaseServer, DatabaseClient, RemoteDatabase, RemoteTable } = require('./socket/index')
 
@@ -58,6 +61,7 @@ module.exports = {
   Schema,
   DataTypes,
   DefaultSchemas,
+  parseDataType,
   
   // Core components
   Table,
@@ -70,6 +74,10 @@ module.exports = {
   Storage,
   Pager,
   
+  // SQL
+  parseSql,
+  executeSql,
+  
   // Socket support
   DatabaseServer,
   DatabaseClient,
@@ -1,5 +1,7 @@
 const assert = require('assert')
 const fs = require('fs/promises')
+const { KeyEncodings } = require('./key-codec')
+const { crc32 } = require('../storage/checksum')
 
 // B+ Tree Implementation
 // Key differences from B-tree:
@@ -13,14 +15,57 @@ const PageSize = 1024 * 4 /* 4kb */
 const NodeType = {
   ['Internal']: 0,  // Internal nodes (was 'Node')
   ['Leaf']: 1,      // Leaf nodes
+  ['Meta']: 2,      // Page 0: root pointer + table metadata
+  ['Free']: 3,      // Unused page on the free list
+  ['Overflow']: 4,  // Part of a row too large to store in a leaf
 }
 
+// Meta page header, followed by the metadata as JSON.
+// Root shares its offset with a node's Parent field, which is where files
+// written before the meta page existed kept the root pointer.
+const MetaHeaderLayout = [
+  ['Type', 1 /* uint8_t */],
+  ['Root', 4 /* uint32_t */],
+  ['MetaSize', 4 /* uint32_t */],
+  ['Checksum', 4 /* uint32_t */],
+  ['Format', 2 /* uint16_t, FileFormat */],
+]
+
+// Version of the page layouts, kept in the meta page. Files from before it
+// was stored (no meta page, or pages without checksums) cannot be read.
+const FileFormat = 2
+
+// Free page: a link in the free list whose head is kept in the metadata
+const FreeHeaderLayout = [
+  ['Type', 1 /* uint8_t */],
+  ['Next', 4 /* uint32_t */],
+  ['Checksum', 4 /* uint32_t */],
+]
+
+// Overflow page: a slice of one row's bytes, chained through Next
+const OverflowHeaderLayout = [
+  ['Type', 1 /* uint8_t */],
+  ['Next', 4 /* uint32_t */],
+  ['Size', 4 /* uint32_t, bytes of row data on this page */],
+  ['Checksum', 4 /* uint32_t */],
+]
+
+// What a leaf stores in place of a row that lives in an overflow chain
+const OverflowRefLayout = [
+  ['Length', 4 /* uint32_t, bytes of the row */],
+  ['FirstPage', 4 /* uint32_t, 0 for an empty row */],
+]
+
+const OverflowHeaderSize = OverflowHeaderLayout.reduce((sum, [, size]) => sum + size, 0)
+const OverflowRefSize = OverflowRefLayout.reduce((sum, [, size]) => sum + size, 0)
+
 // Internal node header (no values, only keys and pointers)
 const InternalHeaderLayout = [
   ['Type', 1 /* uint8_t */],
   ['Parent', 4 /* uint32_t */],
   ['Size', 4 /* uint32_t */],
   ['IsRoot', 1 /* uint8_t */],
+  ['Checksum', 4 /* uint32_t, CRC-32 of the page with this field zeroed */],
 ]
 
 // Internal node cell (pointer + key)
@@ -36,8 +81,33 @@ const LeafHeaderLayout = [
   ['Size', 4 /* uint32_t */],
   ['Next', 4 /* uint32_t */],
   ['Prev', 4 /* uint32_t */],  // Previous leaf for bidirectional traversal
+  ['Checksum', 4 /* uint32_t, CRC-32 of the page with this field zeroed */],
+]
+
+// Leaves are slotted pages: the header is followed by one slot per entry,
+// in key order, and the cells they point to are packed from the page end
+const LeafSlotLayout = [
+  ['Offset', 2 /* uint16_t, start of the cell */],
+  ['Length', 2 /* uint16_t, bytes of the cell */],
 ]
 
+// Cell: the key, then the row itself or a reference to its overflow chain
+const LeafCellLayout = [
+  ['Key', 4 /* set by the key codec, uint32_t by default */],
+  ['Kind', 1 /* uint8_t, CellKind */],
+  // followed by the row bytes, or an OverflowRefLayout
+]
+
+const CellKind = {
+  Inline: 0,
+  Overflow: 1,
+}
+
+const LeafHeaderSize = LeafHeaderLayout.reduce((sum, [, size]) => sum + size, 0)
+const LeafSlotSize = LeafSlotLayout.reduce((sum, [, size]) => sum + size, 0)
+// Bytes an entry takes besides its key and row: its slot and the Kind byte
+const LeafCellOverhead = LeafSlotSize + 1
+
 const layoutOffsetOf = (layout, type) => {
   let offset = 0
 
@@ -51,12 +121,57 @@ const layoutOffsetOf = (layout, type) => {
   return offset
 }
 
-const getLeafCellLayout = (rowSize) => [
-  ['Key', 4 /* uint32_t */],
-  ['Value', rowSize /* dynamic based on schema */],
-]
+const HeaderLayouts = {
+  [NodeType.Internal]: InternalHeaderLayout,
+  [NodeType.Leaf]: LeafHeaderLayout,
+  [NodeType.Meta]: MetaHeaderLayout,
+  [NodeType.Free]: FreeHeaderLayout,
+  [NodeType.Overflow]: OverflowHeaderLayout,
+}
+
+const corruptPage = (pn, reason) =>
+  Object.assign(new Error(`Page ${pn} is corrupt: ${reason}`), { code: 'PAGE_CORRUPT', pageNo: pn })
 
-const SerializeInternal = (node, buffer) => {
+const unsupportedFormat = (reason) =>
+  Object.assign(new Error(`Unsupported file format: ${reason}`), { code: 'UNSUPPORTED_FORMAT' })
+
+// CRC-32 of a whole page, taken with its checksum field set to zero
+const pageChecksum = (buffer, offset) => {
+  const stored = buffer.readUInt32LE(offset)
+  buffer.writeUInt32LE(0, offset)
+  const checksum = crc32(buffer)
+  buffer.writeUInt32LE(stored, offset)
+  return checksum
+}
+
+const sealPage = (buffer) => {
+  const offset = layoutOffsetOf(HeaderLayouts[buffer.readUInt8(0)], 'Checksum')
+  buffer.writeUInt32LE(pageChecksum(buffer, offset), offset)
+  return buffer
+}
+
+/**
+ * Throw if a page read from disk is not one we wrote: an unknown type or a
+ * checksum mismatch from a flipped bit or a torn write
+ */
+const verifyPage = (buffer, pn) => {
+  const type = buffer.readUInt8(0)
+  if (!HeaderLayouts[type]) {
+    throw corruptPage(pn, `unknown page type ${type}`)
+  }
+
+  const offset = layoutOffsetOf(HeaderLayouts[type], 'Checksum')
+  const stored = buffer.readUInt32LE(offset)
+  const actual = pageChecksum(buffer, offset)
+  if (stored !== actual) {
+    throw corruptPage(pn, `checksum mismatch (stored ${stored.toString(16)}, computed ${actual.toString(16)})`)
+  }
+}
+
+// Default key encoding: unsigned 32-bit integers (see ./key-codec)
+const DefaultKeyCodec = KeyEncodings.UINT32
+
+const SerializeInternal = (node, buffer, keyCodec = DefaultKeyCodec) => {
   let offset = 0
 
   buffer.writeUint8(NodeType.Internal, offset)
@@ -69,7 +184,7 @@ const SerializeInternal = (node, buffer) => {
   offset = layoutOffsetOf(InternalHeaderLayout, 'Size') + 4
 
   buffer.writeUint8(node.isRoot ? 1 : 0, offset)
-  offset = layoutOffsetOf(InternalHeaderLayout, 'IsRoot') + 1
+  offset = layoutOffsetOf(InternalHeaderLayout, 'Checksum') + 4
 
   // Write pointers and keys
   // B+ tree internal node: [P0, K0, P1, K1, P2, K2, ..., Pn]
@@ -78,8 +193,8 @@ const SerializeInternal = (node, buffer) => {
     buffer.writeUInt32LE(node.pointers[i], offset)
     offset += 4
 
-    buffer.writeUInt32LE(node.keys[i], offset)
-    offset += 4
+    keyCodec.write(node.keys[i], buffer, offset)
+    offset += keyCodec.size
   }
   
   // Write the last pointer
@@ -88,7 +203,7 @@ const SerializeInternal = (node, buffer) => {
   return buffer
 }
 
-const SerializeLeaf = (node, buffer, serializeValFn) => {
+const SerializeLeaf = (node, buffer, serializeValFn, keyCodec = DefaultKeyCodec) => {
   let offset = 0
 
   buffer.writeUint8(NodeType.Leaf, offset)
@@ -104,28 +219,80 @@ const SerializeLeaf = (node, buffer, serializeValFn) => {
   offset = layoutOffsetOf(LeafHeaderLayout, 'Next') + 4
 
   buffer.writeUInt32LE(node.prev || 0, offset)
-  offset = layoutOffsetOf(LeafHeaderLayout, 'Prev') + 4
+  offset = layoutOffsetOf(LeafHeaderLayout, 'Checksum') + 4
+
+  // Slots follow the header in key order; cells are packed from the end.
+  // `serializeValFn` gives the part of the cell after the key.
+  let cellStart = PageSize
 
-  // Write key-value pairs in leaf nodes
   for (let i = 0; i < node.size; i++) {
-    buffer.writeUInt32LE(node.keys[i], offset)
-    offset += 4
+    const rest = serializeValFn(node.values[i])
+    const length = keyCodec.size + rest.length
+
+    cellStart -= length
+    assert(cellStart >= offset + LeafSlotSize, `leaf ${node.no} does not fit in a page`)
 
-    const serializedValue = serializeValFn(node.values[i])
-    buffer.set(serializedValue, offset)
-    offset += serializedValue.length
+    buffer.writeUInt16LE(cellStart, offset + layoutOffsetOf(LeafSlotLayout, 'Offset'))
+    buffer.writeUInt16LE(length, offset + layoutOffsetOf(LeafSlotLayout, 'Length'))
+    offset += LeafSlotSize
+
+    keyCodec.write(node.keys[i], buffer, cellStart)
+    rest.copy(buffer, cellStart + keyCodec.size)
   }
 
   return buffer
 }
 
-const Serialize = (node, buffer, serializeValFn) => {
-  return node.type === 'Internal'
-    ? SerializeInternal(node, buffer)
-    : SerializeLeaf(node, buffer, serializeValFn)
+const SerializeMeta = (node, buffer) => {
+  const headerSize = MetaHeaderLayout.reduce((sum, [, size]) => sum + size, 0)
+  const json = Buffer.from(JSON.stringify(node.meta || {}), 'utf8')
+
+  assert(headerSize + json.length <= buffer.length, `table metadata too large (${json.length} bytes)`)
+
+  buffer.writeUint8(NodeType.Meta, layoutOffsetOf(MetaHeaderLayout, 'Type'))
+  buffer.writeUInt32LE(node.parent || 0, layoutOffsetOf(MetaHeaderLayout, 'Root'))
+  buffer.writeUInt32LE(json.length, layoutOffsetOf(MetaHeaderLayout, 'MetaSize'))
+  buffer.writeUInt16LE(FileFormat, layoutOffsetOf(MetaHeaderLayout, 'Format'))
+  json.copy(buffer, headerSize)
+
+  return buffer
+}
+
+const SerializeFree = (node, buffer) => {
+  buffer.writeUint8(NodeType.Free, layoutOffsetOf(FreeHeaderLayout, 'Type'))
+  buffer.writeUInt32LE(node.next || 0, layoutOffsetOf(FreeHeaderLayout, 'Next'))
+
+  return buffer
 }
 
-const DeserializeInternal = (buffer, pn) => {
+const SerializeOverflow = (node, buffer) => {
+  buffer.writeUint8(NodeType.Overflow, layoutOffsetOf(OverflowHeaderLayout, 'Type'))
+  buffer.writeUInt32LE(node.next || 0, layoutOffsetOf(OverflowHeaderLayout, 'Next'))
+  buffer.writeUInt32LE(node.data.length, layoutOffsetOf(OverflowHeaderLayout, 'Size'))
+  node.data.copy(buffer, OverflowHeaderSize)
+
+  return buffer
+}
+
+const Serialize = (node, buffer, serializeValFn, keyCodec = DefaultKeyCodec) => {
+  if (node.type === 'Meta') {
+    return sealPage(SerializeMeta(node, buffer))
+  }
+
+  if (node.type === 'Free') {
+    return sealPage(SerializeFree(node, buffer))
+  }
+
+  if (node.type === 'Overflow') {
+    return sealPage(SerializeOverflow(node, buffer))
+  }
+
+  return sealPage(node.type === 'Internal'
+    ? SerializeInternal(node, buffer, keyCodec)
+    : SerializeLeaf(node, buffer, serializeValFn, keyCodec))
+}
+
+const DeserializeInternal = (buffer, pn, keyCodec = DefaultKeyCodec) => {
   let offset = layoutOffsetOf(InternalHeaderLayout, 'Type') + 1
 
   const parent = buffer.readUInt32LE(offset)
@@ -135,7 +302,7 @@ const DeserializeInternal = (buffer, pn) => {
   offset = layoutOffsetOf(InternalHeaderLayout, 'Size') + 4
 
   const isRoot = buffer.readUInt8(offset) === 1
-  offset = layoutOffsetOf(InternalHeaderLayout, 'IsRoot') + 1
+  offset = layoutOffsetOf(InternalHeaderLayout, 'Checksum') + 4
 
   const pointers = []
   const keys = []
@@ -145,8 +312,8 @@ const DeserializeInternal = (buffer, pn) => {
     const pointer = buffer.readUInt32LE(offset)
     offset += 4
 
-    const key = buffer.readUInt32LE(offset)
-    offset += 4
+    const key = keyCodec.read(buffer, offset)
+    offset += keyCodec.size
 
     pointers.push(pointer)
     keys.push(key)
@@ -166,7 +333,7 @@ const DeserializeInternal = (buffer, pn) => {
   }
 }
 
-const DeserializeLeaf = (buffer, pn, deserializeValFn, rowSize) => {
+const DeserializeLeaf = (buffer, pn, deserializeValFn, keyCodec = DefaultKeyCodec) => {
   let offset = layoutOffsetOf(LeafHeaderLayout, 'Type') + 1
 
   const parent = buffer.readUInt32LE(offset)
@@ -179,20 +346,18 @@ const DeserializeLeaf = (buffer, pn, deserializeValFn, rowSize) => {
   offset = layoutOffsetOf(LeafHeaderLayout, 'Next') + 4
 
   const prev = buffer.readUInt32LE(offset) || null
-  offset = layoutOffsetOf(LeafHeaderLayout, 'Prev') + 4
+  offset = layoutOffsetOf(LeafHeaderLayout, 'Checksum') + 4
 
   const keys = []
   const values = []
 
   for (let i = 0; i < size; i++) {
-    const key = buffer.readUInt32LE(offset)
-    offset += 4
-
-    const value = deserializeValFn(buffer.subarray(offset, offset + rowSize))
-    offset += rowSize
+    const cellStart = buffer.readUInt16LE(offset + layoutOffsetOf(LeafSlotLayout, 'Offset'))
+    const length = buffer.readUInt16LE(offset + layoutOffsetOf(LeafSlotLayout, 'Length'))
+    offset += LeafSlotSize
 
-    keys.push(key)
-    values.push(value)
+    keys.push(keyCodec.read(buffer, cellStart))
+    values.push(deserializeValFn(buffer.subarray(cellStart + keyCodec.size, cellStart + length)))
   }
 
   return {
@@ -207,19 +372,77 @@ const DeserializeLeaf = (buffer, pn, deserializeValFn, rowSize) => {
   }
 }
 
-const Deserialize = (buffer, pn, deserializeValFn, rowSize) => {
+const DeserializeMeta = (buffer) => {
+  const headerSize = MetaHeaderLayout.reduce((sum, [, size]) => sum + size, 0)
+  const size = buffer.readUInt32LE(layoutOffsetOf(MetaHeaderLayout, 'MetaSize'))
+
+  return {
+    type: 'Meta',
+    no: 0,
+    parent: buffer.readUInt32LE(layoutOffsetOf(MetaHeaderLayout, 'Root')),
+    meta: JSON.parse(buffer.toString('utf8', headerSize, headerSize + size)),
+  }
+}
+
+const Deserialize = (buffer, pn, deserializeValFn, keyCodec = DefaultKeyCodec) => {
+  verifyPage(buffer, pn)
   const type = buffer.readUInt8()
 
+  if (type === NodeType.Meta) {
+    return DeserializeMeta(buffer)
+  }
+
+  if (type === NodeType.Free) {
+    return { type: 'Free', no: pn, next: buffer.readUInt32LE(layoutOffsetOf(FreeHeaderLayout, 'Next')) }
+  }
+
+  if (type === NodeType.Overflow) {
+    const size = buffer.readUInt32LE(layoutOffsetOf(OverflowHeaderLayout, 'Size'))
+    return {
+      type: 'Overflow',
+      no: pn,
+      next: buffer.readUInt32LE(layoutOffsetOf(OverflowHeaderLayout, 'Next')),
+      data: buffer.subarray(OverflowHeaderSize, OverflowHeaderSize + size),
+    }
+  }
+
   return type === NodeType.Internal
-    ? DeserializeInternal(buffer, pn)
-    : DeserializeLeaf(buffer, pn, deserializeValFn, rowSize)
+    ? DeserializeInternal(buffer, pn, keyCodec)
+    : DeserializeLeaf(buffer, pn, deserializeValFn, keyCodec)
+}
+
+/**
+ * Read the table metadata stored in page 0 without building a pager.
+ * Returns null for empty files. Files in an older layout throw an
+ * UNSUPPORTED_FORMAT error, checked before the checksum so that they are
+ * not reported as corrupt.
+ */
+const readMeta = async (db) => {
+  if ((await db.stat()).size < PageSize) return null
+
+  const buf = Buffer.alloc(PageSize)
+  await db.read(0, buf)
+
+  const type = buf.readUInt8()
+  if (type === NodeType.Internal || type === NodeType.Leaf) {
+    throw unsupportedFormat(`page 0 is a tree node, from before files had a meta page (format ${FileFormat} is supported)`)
+  }
+  if (type === NodeType.Meta) {
+    const format = buf.readUInt16LE(layoutOffsetOf(MetaHeaderLayout, 'Format'))
+    if (format !== FileFormat) {
+      throw unsupportedFormat(`the meta page has no format ${FileFormat} marker (found ${format}); the file predates page checksums or is damaged`)
+    }
+  }
+
+  verifyPage(buf, 0)
+  return DeserializeMeta(buf).meta
 }
 
 // Calculate maximum sizes for B+ tree nodes
-const getMaxInternalSize = () => {
+const getMaxInternalSize = (keySize = 4) => {
   // Internal nodes: header + (pointer + key) pairs + final pointer
   const headerSize = InternalHeaderLayout.reduce((sum, [, size]) => sum + size, 0)
-  const cellSize = InternalCellLayout.reduce((sum, [, size]) => sum + size, 0)
+  const cellSize = InternalCellLayout.reduce((sum, [k, size]) => sum + (k === 'Key' ? keySize : size), 0)
   const finalPointerSize = 4
   
   // Available space = PageSize - header - finalPointer
@@ -228,12 +451,24 @@ const getMaxInternalSize = () => {
   return Math.floor(availableSpace / cellSize)
 }
 
-const getMaxLeafSize = (rowSize) => {
-  // Leaf nodes: header + (key + value) pairs
-  const headerSize = LeafHeaderLayout.reduce((sum, [, size]) => sum + size, 0)
-  const cellSize = 4 + rowSize // key + value
+// Splits and merges need an order of at least 2, so room for 4 rows a leaf
+const MinRowsPerLeaf = 4
+
+/**
+ * Longest row kept in the leaf itself; longer rows go to an overflow chain
+ * and the leaf keeps an overflow reference
+ */
+const maxInlineRowSize = (keySize = 4) =>
+  Math.floor((PageSize - LeafHeaderSize) / MinRowsPerLeaf) - LeafCellOverhead - keySize
+
+const storesOverflow = (rowSize, keySize = 4) => rowSize > maxInlineRowSize(keySize)
+
+const getMaxLeafSize = (rowSize, keySize = 4) => {
+  // Leaf nodes: header + (slot + key + value) cells
+  const valueSize = storesOverflow(rowSize, keySize) ? OverflowRefSize : rowSize
+  const cellSize = LeafCellOverhead + keySize + valueSize
   
-  const availableSpace = PageSize - headerSize
+  const availableSpace = PageSize - LeafHeaderSize
   return Math.floor(availableSpace / cellSize)
 }
 
@@ -241,10 +476,20 @@ const getMaxLeafSize = (rowSize) => {
 class BPlusTree {
   constructor(pager, options = {}) {
     this.pager = pager
-    this.order = options.order || Math.floor(getMaxLeafSize(pager.rowSize) / 2)
+    // Splits and merges need room for at least two keys per node
+    this.order = Math.max(2, options.order || Math.floor(getMaxLeafSize(pager.rowSize, pager.keyCodec?.size) / 2))
+    this.compare = options.compare || (pager.keyCodec || DefaultKeyCodec).compare
     this.root = null
   }
 
+  // Position of `key` in a node's keys, or -1
+  indexOfKey(node, key) {
+    for (let i = 0; i < node.size; i++) {
+      if (this.compare(node.keys[i], key) === 0) return i
+    }
+    return -1
+  }
+
   // Find the leaf node that should contain the key
   async findLeaf(key) {
     if (!this.root) return null
@@ -254,7 +499,7 @@ class BPlusTree {
     while (current && current.type === 'Internal') {
       let i = 0
       // Find the appropriate child pointer
-      while (i < current.size && key >= current.keys[i]) {
+      while (i < current.size && this.compare(key, current.keys[i]) >= 0) {
         i++
       }
       current = await this.pager.page(current.pointers[i])
@@ -268,52 +513,124 @@ class BPlusTree {
     const leaf = await this.findLeaf(key)
     if (!leaf) return null
 
-    const index = leaf.keys.indexOf(key)
-    return index !== -1 ? { key, value: leaf.values[index] } : null
+    const index = this.indexOfKey(leaf, key)
+    return index !== -1 ? { key: leaf.keys[index], value: leaf.values[index] } : null
   }
 
-  // Range search - efficient sequential access through linked leaves
-  async rangeSearch(startKey, endKey, limit = Infinity) {
-    const startLeaf = await this.findLeaf(startKey)
-    if (!startLeaf) return []
+  // Find the leftmost leaf
+  async firstLeaf() {
+    if (!this.root) return null
+
+    let current = this.root
+    while (current.type === 'Internal') {
+      current = await this.pager.page(current.pointers[0])
+    }
+
+    return current
+  }
 
+  // Find the rightmost leaf
+  async lastLeaf() {
+    if (!this.root) return null
+
+    let current = this.root
+    while (current.type === 'Internal') {
+      current = await this.pager.page(current.pointers[current.size])
+    }
+
+    return current
+  }
+
+  // Range search - efficient sequential access through linked leaves.
+  // An undefined start or end key leaves that side of the range open.
+  // Options: `reverse` to return the entries from endKey down, and `limit`
+  // (a plain number is taken as the limit, as before).
+  async rangeSearch(startKey, endKey, options = {}) {
+    const { limit = Infinity, reverse = false } = typeof options === 'number' ? { limit: options } : options
     const results = []
-    let current = startLeaf
+    if (limit <= 0) return results
+
+    for await (const entry of this.entries(startKey, endKey, { reverse })) {
+      results.push(entry)
+      if (results.length >= limit) break
+    }
+
+    return results
+  }
+
+  /**
+   * Iterate `{ key, value }` entries from startKey to endKey (both
+   * inclusive, undefined for an open side) in key order, or from endKey
+   * down to startKey with `reverse`, reading one leaf at a time
+   */
+  async *entries(startKey, endKey, { reverse = false } = {}) {
+    if (reverse) {
+      yield* this._reverseEntries(startKey, endKey)
+      return
+    }
+
+    let current = startKey === undefined ? await this.firstLeaf() : await this.findLeaf(startKey)
     let startIndex = 0
 
     // Find starting position in first leaf
-    while (startIndex < current.size && current.keys[startIndex] < startKey) {
+    while (current && startKey !== undefined && startIndex < current.size && this.compare(current.keys[startIndex], startKey) < 0) {
       startIndex++
     }
 
-    while (current && results.length < limit) {
-      // Process current leaf
-      for (let i = startIndex; i < current.size && results.length < limit; i++) {
-        if (current.keys[i] > endKey) {
-          return results // End of range
+    while (current) {
+      // Copy the leaf, which may change while the consumer awaits
+      const keys = current.keys.slice(startIndex, current.size)
+      const values = current.values.slice(startIndex, current.size)
+      const next = current.next
+
+      for (let i = 0; i < keys.length; i++) {
+        if (endKey !== undefined && this.compare(keys[i], endKey) > 0) {
+          return // End of range
         }
-        results.push({ key: current.keys[i], value: current.values[i] })
+        yield { key: keys[i], value: values[i] }
       }
 
       // Move to next leaf
-      if (current.next) {
-        current = await this.pager.page(current.next)
-        startIndex = 0 // Start from beginning of next leaf
-      } else {
-        break
-      }
+      current = next ? await this.pager.page(next) : null
+      startIndex = 0
     }
+  }
 
-    return results
+  // entries() backwards, following the prev leaf pointers
+  async *_reverseEntries(startKey, endKey) {
+    let current = endKey === undefined ? await this.lastLeaf() : await this.findLeaf(endKey)
+    let endIndex = current ? current.size : 0
+
+    // Find the end position in the first leaf
+    while (current && endKey !== undefined && endIndex > 0 && this.compare(current.keys[endIndex - 1], endKey) > 0) {
+      endIndex--
+    }
+
+    while (current) {
+      // Copy the leaf, which may change while the consumer awaits
+      const keys = current.keys.slice(0, endIndex)
+      const values = current.values.slice(0, endIndex)
+      const prev = current.prev
+
+      for (let i = keys.length - 1; i >= 0; i--) {
+        if (startKey !== undefined && this.compare(keys[i], startKey) < 0) {
+          return // End of range
+        }
+        yield { key: keys[i], value: values[i] }
+      }
+
+      current = prev ? await this.pager.page(prev) : null
+      endIndex = current ? current.size : 0
+    }
   }
 
-  // Insert operation
+  // Insert operation; resolves to false when it replaced an existing key
   async insert(key, value) {
     if (!this.root) {
       // Create first leaf node as root
       this.root = {
         type: 'Leaf',
-        no: this.pager.no++,
+        no: await this.allocatePage(),
         parent: null,
         size: 1,
         next: null,
@@ -321,24 +638,29 @@ class BPlusTree {
         keys: [key],
         values: [value],
       }
-      this.pager.pages[this.root.no] = this.root
-      return
+      this.pager.pages[0] = this.pager.pages[this.root.no] = this.root
+      return true
     }
 
     const leaf = await this.findLeaf(key)
     if (!leaf) throw new Error('Could not find appropriate leaf for insertion')
 
     // Check if key already exists
-    const existingIndex = leaf.keys.indexOf(key)
+    const existingIndex = this.indexOfKey(leaf, key)
     if (existingIndex !== -1) {
-      // Update existing value
+      // Update existing value; a longer or shorter row can change the fill
       leaf.values[existingIndex] = value
-      return
+      if (this.isLeafOverfull(leaf)) {
+        await this.splitLeaf(leaf)
+      } else {
+        await this.handleLeafUnderflow(leaf)
+      }
+      return false
     }
 
     // Insert into leaf in sorted order
     let insertIndex = 0
-    while (insertIndex < leaf.size && leaf.keys[insertIndex] < key) {
+    while (insertIndex < leaf.size && this.compare(leaf.keys[insertIndex], key) < 0) {
       insertIndex++
     }
 
@@ -347,19 +669,65 @@ class BPlusTree {
     leaf.size++
 
     // Check if leaf overflow
-    if (leaf.size > this.order) {
+    if (this.isLeafOverfull(leaf)) {
       await this.splitLeaf(leaf)
     }
+    return true
+  }
+
+  // Leaves hold `order` keys, or as many bytes as fit when the pager sizes
+  // its cells (variable-length rows)
+  fillsByBytes() {
+    return !!this.pager.leafCapacity
+  }
+
+  leafBytes(leaf, from = 0, to = leaf.size) {
+    let bytes = 0
+    for (let i = from; i < to; i++) {
+      bytes += this.pager.cellSize(leaf.keys[i], leaf.values[i])
+    }
+    return bytes
+  }
+
+  minLeafBytes() {
+    return Math.floor(this.pager.leafCapacity / 4)
+  }
+
+  isLeafOverfull(leaf) {
+    return this.fillsByBytes() ? this.leafBytes(leaf) > this.pager.leafCapacity : leaf.size > this.order
+  }
+
+  isLeafUnderfull(leaf) {
+    return this.fillsByBytes() ? this.leafBytes(leaf) < this.minLeafBytes() : leaf.size < this.minLeafKeys()
+  }
+
+  // Whether `leaf` can give up entry `i` and stay full enough
+  canLendLeaf(leaf, i) {
+    return this.fillsByBytes()
+      ? this.leafBytes(leaf) - this.pager.cellSize(leaf.keys[i], leaf.values[i]) >= this.minLeafBytes()
+      : leaf.size > this.minLeafKeys()
   }
 
   // Split a leaf node
   async splitLeaf(leaf) {
-    const mid = Math.floor(leaf.size / 2)
+    let mid = Math.floor(leaf.size / 2)
+
+    if (this.fillsByBytes()) {
+      // The shortest prefix holding half the bytes goes left
+      const half = this.leafBytes(leaf) / 2
+      let bytes = 0
+      mid = 0
+      while (mid < leaf.size - 1 && bytes < half) {
+        bytes += this.pager.cellSize(leaf.keys[mid], leaf.values[mid])
+        mid++
+      }
+      mid = Math.max(1, mid)
+    }
     
     // Create new leaf node
     const newLeaf = {
       type: 'Leaf',
-      no: this.pager.no++,
+      no: await this.allocatePage(),
       parent: leaf.parent,
       size: leaf.size - mid,
       next: leaf.next,
@@ -389,7 +757,7 @@ class BPlusTree {
       // Create new root
       const newRoot = {
         type: 'Internal',
-        no: this.pager.no++,
+        no: await this.allocatePage(),
         parent: null,
         size: 1,
         isRoot: true,
@@ -400,7 +768,7 @@ class BPlusTree {
       leaf.parent = newRoot.no
       newLeaf.parent = newRoot.no
       this.root = newRoot
-      this.pager.pages[newRoot.no] = newRoot
+      this.pager.pages[0] = this.pager.pages[newRoot.no] = newRoot
     } else {
       await this.insertIntoInternal(leaf.parent, promoteKey, newLeaf.no)
     }
@@ -412,7 +780,7 @@ class BPlusTree {
     
     // Find insertion position
     let insertIndex = 0
-    while (insertIndex < node.size && node.keys[insertIndex] < key) {
+    while (insertIndex < node.size && this.compare(node.keys[insertIndex], key) < 0) {
       insertIndex++
     }
 
@@ -435,7 +803,7 @@ class BPlusTree {
     // Create new internal node
     const newInternal = {
       type: 'Internal',
-      no: this.pager.no++,
+      no: await this.allocatePage(),
       parent: node.parent,
       size: node.size - mid - 1,
       isRoot: false,
@@ -460,7 +828,7 @@ class BPlusTree {
       // Create new root
       const newRoot = {
         type: 'Internal',
-        no: this.pager.no++,
+        no: await this.allocatePage(),
         parent: null,
         size: 1,
         isRoot: true,
@@ -471,18 +839,27 @@ class BPlusTree {
       node.parent = newRoot.no
       newInternal.parent = newRoot.no
       this.root = newRoot
-      this.pager.pages[newRoot.no] = newRoot
+      this.pager.pages[0] = this.pager.pages[newRoot.no] = newRoot
     } else {
       await this.insertIntoInternal(node.parent, promoteKey, newInternal.no)
     }
   }
 
+  // Fewest entries a non-root node may hold before it borrows or merges
+  minLeafKeys() {
+    return Math.max(1, Math.floor(this.order / 2))
+  }
+
+  minInternalKeys() {
+    return Math.max(1, Math.floor(this.order / 2))
+  }
+
   // Delete operation
   async delete(key) {
     const leaf = await this.findLeaf(key)
     if (!leaf) return false
 
-    const index = leaf.keys.indexOf(key)
+    const index = this.indexOfKey(leaf, key)
     if (index === -1) return false
 
     // Remove from leaf
@@ -490,32 +867,536 @@ class BPlusTree {
     leaf.values.splice(index, 1)
     leaf.size--
 
-    // Handle underflow if necessary
-    const minKeys = Math.floor(this.order / 2)
-    if (leaf.size < minKeys && leaf.parent) {
-      await this.handleLeafUnderflow(leaf)
-    }
+    await this.handleLeafUnderflow(leaf)
 
     return true
   }
 
-  // Handle leaf underflow (simplified - merge or redistribute)
+  // Parent of a non-root node, the node's position in it and its siblings
+  async siblingsOf(node) {
+    const parent = await this.pager.page(node.parent)
+    const index = parent.pointers.indexOf(node.no)
+    const left = index > 0 ? await this.pager.page(parent.pointers[index - 1]) : null
+    const right = index < parent.size ? await this.pager.page(parent.pointers[index + 1]) : null
+
+    return { parent, index, left, right }
+  }
+
+  // Borrow from a sibling that can spare a key, otherwise merge with one.
+  // An empty root leaf is kept so the tree always has a root page.
   async handleLeafUnderflow(leaf) {
-    // Implementation depends on B+ tree variant
-    // Could merge with sibling or redistribute keys
-    // For now, we'll allow underflow (simplified implementation)
+    if (!leaf.parent || !this.isLeafUnderfull(leaf)) return
+
+    const { parent, index, left, right } = await this.siblingsOf(leaf)
+
+    // Leaves filled by bytes may need several entries to recover
+    while (this.isLeafUnderfull(leaf)) {
+      if (left && left.size > 0 && this.canLendLeaf(left, left.size - 1)) {
+        leaf.keys.unshift(left.keys.pop())
+        leaf.values.unshift(left.values.pop())
+        left.size--
+        leaf.size++
+        parent.keys[index - 1] = leaf.keys[0]
+      } else if (right && right.size > 0 && this.canLendLeaf(right, 0)) {
+        leaf.keys.push(right.keys.shift())
+        leaf.values.push(right.values.shift())
+        right.size--
+        leaf.size++
+        parent.keys[index] = right.keys[0]
+      } else {
+        break
+      }
+    }
+
+    if (!this.isLeafUnderfull(leaf)) {
+      return
+    } else if (left) {
+      await this.mergeLeaves(left, leaf, parent, index - 1)
+    } else {
+      await this.mergeLeaves(leaf, right, parent, index)
+    }
   }
 
-  // Get all values in order (efficient traversal)
-  async getAllInOrder() {
-    if (!this.root) return []
+  // Fold `right` into `left`, dropping their separator from the parent
+  async mergeLeaves(left, right, parent, separatorIndex) {
+    left.keys.push(...right.keys)
+    left.values.push(...right.values)
+    left.size += right.size
 
-    // Find leftmost leaf
-    let current = this.root
-    while (current.type === 'Internal') {
-      current = await this.pager.page(current.pointers[0])
+    left.next = right.next
+    if (right.next) {
+      const nextLeaf = await this.pager.page(right.next)
+      nextLeaf.prev = left.no
+    }
+
+    parent.keys.splice(separatorIndex, 1)
+    parent.pointers.splice(separatorIndex + 1, 1)
+    parent.size--
+
+    this.releaseNode(right)
+    await this.handleInternalUnderflow(parent)
+  }
+
+  async handleInternalUnderflow(node) {
+    if (!node.parent) {
+      // A root left with a single child hands the root role to that child
+      if (node.size === 0) {
+        const child = await this.pager.page(node.pointers[0])
+        child.parent = null
+        if (child.type === 'Internal') child.isRoot = true
+
+        this.root = child
+        this.pager.pages[0] = child
+        this.releaseNode(node)
+      }
+      return
     }
 
+    if (node.size >= this.minInternalKeys()) return
+
+    const { parent, index, left, right } = await this.siblingsOf(node)
+
+    if (left && left.size > this.minInternalKeys()) {
+      // Rotate right: the separator comes down, left's last key goes up
+      const pointer = left.pointers.pop()
+      node.keys.unshift(parent.keys[index - 1])
+      node.pointers.unshift(pointer)
+      parent.keys[index - 1] = left.keys.pop()
+      left.size--
+      node.size++
+      await this.adopt(node, [pointer])
+    } else if (right && right.size > this.minInternalKeys()) {
+      // Rotate left: the separator comes down, right's first key goes up
+      const pointer = right.pointers.shift()
+      node.keys.push(parent.keys[index])
+      node.pointers.push(pointer)
+      parent.keys[index] = right.keys.shift()
+      right.size--
+      node.size++
+      await this.adopt(node, [pointer])
+    } else if (left) {
+      await this.mergeInternals(left, node, parent, index - 1)
+    } else {
+      await this.mergeInternals(node, right, parent, index)
+    }
+  }
+
+  // Fold `right` into `left`, pulling their separator down between them
+  async mergeInternals(left, right, parent, separatorIndex) {
+    left.keys.push(parent.keys[separatorIndex], ...right.keys)
+    left.pointers.push(...right.pointers)
+    left.size += right.size + 1
+    await this.adopt(left, right.pointers)
+
+    parent.keys.splice(separatorIndex, 1)
+    parent.pointers.splice(separatorIndex + 1, 1)
+    parent.size--
+
+    this.releaseNode(right)
+    await this.handleInternalUnderflow(parent)
+  }
+
+  async adopt(node, pointers) {
+    for (const pointer of pointers) {
+      const child = await this.pager.page(pointer)
+      child.parent = node.no
+    }
+  }
+
+  // New page number, reusing a freed page when the pager keeps a free list
+  async allocatePage() {
+    return this.pager.allocate ? await this.pager.allocate() : this.pager.no++
+  }
+
+  // Hand back the page of a node that is no longer reachable from the root
+  releaseNode(node) {
+    if (this.pager.free) {
+      this.pager.free(node.no)
+    }
+  }
+
+  /**
+   * Walk the whole tree and report every broken structural invariant:
+   * key order, separator bounds, parent pointers, node fill, equal leaf
+   * depth, the next/prev leaf chain, the free list and pages that are
+   * unreadable or unreachable. Returns a list of messages, empty when the
+   * tree is sound.
+   */
+  async checkInvariants() {
+    const errors = []
+    if (!this.root) return errors
+
+    const leaves = []
+    const leafDepths = new Set()
+    const reachable = new Set()
+    const freeList = new Set()
+    const unreadable = new Set()
+
+    // A page that fails to load is reported once and skipped, not fatal
+    const load = async (pn) => {
+      if (unreadable.has(pn)) return null
+      try {
+        return await this.pager.page(pn)
+      } catch (error) {
+        unreadable.add(pn)
+        errors.push(error.code === 'PAGE_CORRUPT' ? error.message : `Page ${pn} is unreadable: ${error.message}`)
+        return null
+      }
+    }
+
+    const visit = async (node, depth, lower, upper, parentNo) => {
+      const label = `${node.type} #${node.no}`
+      if (reachable.has(node.no)) {
+        errors.push(`${label}: reachable from more than one parent`)
+        return
+      }
+      reachable.add(node.no)
+
+      if (node.type !== 'Leaf' && node.type !== 'Internal') {
+        errors.push(`${label}: ${node.type} page linked into the tree by #${parentNo}`)
+        return
+      }
+
+      if (node.size !== node.keys.length) {
+        errors.push(`${label}: size ${node.size} but ${node.keys.length} keys`)
+      }
+      if ((node.parent || null) !== (parentNo || null)) {
+        errors.push(`${label}: parent is ${node.parent}, expected ${parentNo}`)
+      }
+      if (node.type === 'Leaf' && this.fillsByBytes()) {
+        const bytes = this.leafBytes(node)
+        if (bytes > this.pager.leafCapacity) {
+          errors.push(`${label}: ${bytes} bytes exceeds the leaf capacity of ${this.pager.leafCapacity}`)
+        }
+        if (node !== this.root && bytes < this.minLeafBytes()) {
+          errors.push(`${label}: ${bytes} bytes is below the minimum of ${this.minLeafBytes()}`)
+        }
+      } else {
+        if (node.size > this.order) {
+          errors.push(`${label}: ${node.size} keys exceeds order ${this.order}`)
+        }
+
+        const min = node.type === 'Leaf' ? this.minLeafKeys() : this.minInternalKeys()
+        if (node !== this.root && node.size < min) {
+          errors.push(`${label}: ${node.size} keys is below the minimum of ${min}`)
+        }
+      }
+
+      for (let i = 0; i < node.size; i++) {
+        const key = node.keys[i]
+        if (i > 0 && this.compare(node.keys[i - 1], key) >= 0) {
+          errors.push(`${label}: keys out of order at position ${i}`)
+        }
+        if ((lower !== undefined && this.compare(key, lower) < 0) ||
+            (upper !== undefined && this.compare(key, upper) >= 0)) {
+          errors.push(`${label}: key ${key} outside its separator bounds`)
+        }
+      }
+
+      if (node.type === 'Leaf') {
+        leaves.push(node)
+        leafDepths.add(depth)
+        for (const value of node.values) {
+          this.pager.overflowPages?.(value).forEach(pn => reachable.add(pn))
+        }
+        return
+      }
+
+      if (node.pointers.length !== node.size + 1) {
+        errors.push(`${label}: ${node.pointers.length} pointers for ${node.size} keys`)
+      }
+
+      for (let i = 0; i < node.pointers.length; i++) {
+        const child = await load(node.pointers[i])
+        if (!child) continue
+        await visit(
+          child,
+          depth + 1,
+          i === 0 ? lower : node.keys[i - 1],
+          i === node.size ? upper : node.keys[i],
+          node.no
+        )
+      }
+    }
+
+    await visit(this.root, 0, undefined, undefined, null)
+
+    if (leafDepths.size > 1) {
+      errors.push(`leaves found at depths ${[...leafDepths].join(', ')}`)
+    }
+
+    // Every free page must be unreachable, and the list must match its count
+    if (this.pager.meta?.freeHead !== undefined) {
+      let freePages = 0
+      for (let pn = this.pager.meta.freeHead; pn; freePages++) {
+        const page = await load(pn)
+        if (!page || page.type !== 'Free' || reachable.has(pn) || freeList.has(pn)) {
+          errors.push(`free list is corrupt at page ${pn}`)
+          break
+        }
+        freeList.add(pn)
+        pn = page.next
+      }
+      if (freePages !== this.pager.meta.freeCount) {
+        errors.push(`free list holds ${freePages} pages, metadata says ${this.pager.meta.freeCount}`)
+      }
+    }
+
+    // Every other page must belong to the tree or the free list
+    for (let pn = 1; pn < this.pager.no; pn++) {
+      if (!reachable.has(pn) && !freeList.has(pn) && await load(pn)) {
+        errors.push(`Page ${pn} is neither in the tree nor on the free list`)
+      }
+    }
+
+    // The leaf chain must visit exactly the leaves of the tree, in order
+    leaves.forEach((leaf, i) => {
+      const prev = leaves[i - 1]?.no || null
+      const next = leaves[i + 1]?.no || null
+      if ((leaf.prev || null) !== prev) {
+        errors.push(`Leaf #${leaf.no}: prev is ${leaf.prev}, expected ${prev}`)
+      }
+      if ((leaf.next || null) !== next) {
+        errors.push(`Leaf #${leaf.no}: next is ${leaf.next}, expected ${next}`)
+      }
+    })
+
+    return errors
+  }
+
+  /**
+   * Build the tree bottom-up from entries sorted by key, into an empty
+   * pager, in a single pass over `entries` (an array or any iterable,
+   * async ones included). Returns the number of entries.
+   *
+   * Leaves are filled to `fillFactor` of their capacity (0.5 to 1, packed
+   * full by default) and numbered in key order; each internal node takes
+   * the next page when its first children are in place, so a fresh file
+   * reads sequentially. A node is final once two more groups follow it on
+   * its level, which only the last two can change. With `stream` each
+   * node is written to the file (see pager.writeThrough) as soon as it is
+   * final instead of being cached, so only a few nodes per level are ever
+   * held in memory.
+   */
+  async buildFromSorted(entries, { fillFactor = 1, stream = false } = {}) {
+    assert(!this.root, 'buildFromSorted needs an empty tree')
+    assert(fillFactor >= 0.5 && fillFactor <= 1, `fillFactor must be between 0.5 and 1, not ${fillFactor}`)
+
+    const fanout = this.order + 1
+    const leafLimit = this.fillsByBytes()
+      ? Math.max(this.minLeafBytes(), Math.floor(this.pager.leafCapacity * fillFactor))
+      : Math.max(this.minLeafKeys(), Math.floor(this.order * fillFactor))
+
+    // Per level, leaves first: how many nodes it has and those not yet
+    // written. Each is held as `{ node, lowest, parent }`, `lowest` being
+    // the smallest key under the node (its separator in the parent) and
+    // internal nodes also keeping `lowests` of their children.
+    const levels = []
+
+    const write = async ({ node, parent, lowests }) => {
+      node.parent = parent ? parent.node.no : null
+      if (node.type === 'Internal') {
+        node.keys = lowests.slice(1)
+        node.size = node.pointers.length - 1
+      }
+
+      if (stream) {
+        await this.pager.writeThrough([node])
+      } else {
+        this.pager.pages[node.no] = node
+      }
+    }
+
+    const adopt = (parent, child) => {
+      child.parent = parent
+      parent.node.pointers.push(child.node.no)
+      parent.lowests.push(child.lowest)
+    }
+
+    const openParent = async (level, children) => {
+      const parent = {
+        node: { type: 'Internal', no: await this.allocatePage(), parent: null, size: 0, isRoot: false, pointers: [], keys: [] },
+        lowest: children[0].lowest,
+        parent: null,
+        lowests: [],
+      }
+      children.forEach(child => adopt(parent, child))
+      await append(level + 1, parent)
+    }
+
+    // Add a node to a level, opening a parent for every `fanout` nodes once
+    // the level has two, and write out the nodes that are final
+    const append = async (level, entry) => {
+      if (!levels[level]) levels[level] = { count: 0, pending: [] }
+      const { pending } = levels[level]
+      const i = levels[level].count++
+      pending.push(entry)
+
+      if (i === 1) {
+        await openParent(level, pending)
+      } else if (i > 0 && i % fanout === 0) {
+        await openParent(level, [entry])
+      } else if (i > 0) {
+        adopt(pending[pending.length - 2].parent, entry)
+      }
+
+      while (pending.length > 0) {
+        const first = levels[level].count - pending.length
+        if ((Math.floor(first / fanout) + 2) * fanout >= levels[level].count) break
+        await write(pending.shift())
+      }
+    }
+
+    let leaf = null
+    let leafBytes = 0
+    let lastKey
+    let count = 0
+
+    for await (const { key, value } of entries) {
+      if (count > 0 && this.compare(lastKey, key) >= 0) {
+        throw new Error(`Entries must be sorted by unique key (${key} after ${lastKey})`)
+      }
+      lastKey = key
+      count++
+
+      const cellSize = this.fillsByBytes() ? this.pager.cellSize(key, value) : 0
+      const full = this.fillsByBytes() ? leafBytes + cellSize > leafLimit : leaf?.size >= leafLimit
+
+      if (!leaf || full) {
+        const next = { type: 'Leaf', no: await this.allocatePage(), parent: null, size: 0, next: null, prev: leaf?.no || null, keys: [], values: [] }
+        if (leaf) leaf.next = next.no
+        leaf = next
+        leafBytes = 0
+        await append(0, { node: leaf, lowest: key, parent: null })
+      }
+      leafBytes += cellSize
+
+      leaf.keys.push(key)
+      leaf.values.push(value)
+      leaf.size++
+    }
+
+    if (count === 0) return 0
+
+    // A new lowest key for a node moves its separator, and its parent's
+    // when it is the first child
+    const setLowest = (entry, key) => {
+      entry.lowest = key
+      if (!entry.parent) return
+      const i = entry.parent.node.pointers.indexOf(entry.node.no)
+      entry.parent.lowests[i] = key
+      if (i === 0) setLowest(entry.parent, key)
+    }
+
+    // Top up the last node of each level from the one before it, bottom up
+    const leaves = levels[0].pending
+    const moveEntries = (from, to, count) => {
+      to.node.keys.unshift(...from.node.keys.splice(from.node.size - count))
+      to.node.values.unshift(...from.node.values.splice(from.node.size - count))
+      from.node.size -= count
+      to.node.size += count
+      setLowest(to, to.node.keys[0])
+    }
+
+    if (this.fillsByBytes()) {
+      const last = leaves[leaves.length - 1]
+      const before = leaves[leaves.length - 2]
+      while (before && this.isLeafUnderfull(last.node) && this.canLendLeaf(before.node, before.node.size - 1)) {
+        moveEntries(before, last, 1)
+      }
+    } else {
+      this.evenOutLast(leaves, this.minLeafKeys(), moveEntries, entry => entry.node.size)
+    }
+
+    for (let level = 1; level < levels.length; level++) {
+      const children = levels[level - 1].pending
+      this.evenOutLast(levels[level].pending, this.minInternalKeys() + 1, (from, to, count) => {
+        const pointers = from.node.pointers.splice(from.node.pointers.length - count)
+        to.node.pointers.unshift(...pointers)
+        to.lowests.unshift(...from.lowests.splice(from.lowests.length - count))
+        children.filter(child => pointers.includes(child.node.no)).forEach(child => { child.parent = to })
+        setLowest(to, to.lowests[0])
+      }, entry => entry.node.pointers.length)
+    }
+
+    const root = levels[levels.length - 1].pending[0].node
+    if (root.type === 'Internal') root.isRoot = true
+
+    for (const { pending } of levels) {
+      for (const entry of pending) await write(entry)
+    }
+
+    this.root = root
+    this.pager.pages[0] = root
+    return count
+  }
+
+  // Top up the last node of a level from its neighbour so it meets `min`
+  evenOutLast(nodes, min, move, sizeOf = node => node.size) {
+    if (nodes.length < 2) return
+
+    const last = nodes[nodes.length - 1]
+    const before = nodes[nodes.length - 2]
+    if (sizeOf(last) >= min) return
+
+    const count = Math.floor((sizeOf(before) + sizeOf(last)) / 2) - sizeOf(last)
+    move(before, last, count)
+  }
+
+  /**
+   * Estimated fraction of the entries that sort before `key`, read off the
+   * child positions along its path as if every subtree held equally many
+   * entries. Touches one page per level.
+   */
+  async estimatePosition(key) {
+    if (!this.root) return 0
+
+    let node = this.root
+    let position = 0
+    let width = 1
+    while (node.type === 'Internal') {
+      let i = 0
+      while (i < node.size && this.compare(key, node.keys[i]) >= 0) i++
+      width /= node.size + 1
+      position += i * width
+      node = await this.pager.page(node.pointers[i])
+    }
+
+    let i = 0
+    while (i < node.size && this.compare(node.keys[i], key) < 0) i++
+    return position + (node.size > 0 ? (i / node.size) * width : 0)
+  }
+
+  /**
+   * Height and leaf count, from the internal nodes alone
+   */
+  async shape() {
+    if (!this.root) return { height: 0, leaves: 0 }
+
+    let level = [this.root]
+    let height = 1
+    while (level[0].type === 'Internal') {
+      height++
+      const first = await this.pager.page(level[0].pointers[0])
+      if (first.type !== 'Internal') {
+        return { height, leaves: level.reduce((sum, node) => sum + node.size + 1, 0) }
+      }
+
+      const next = []
+      for (const node of level) {
+        for (let i = 0; i <= node.size; i++) {
+          next.push(await this.pager.page(node.pointers[i]))
+        }
+      }
+      level = next
+    }
+
+    return { height, leaves: 1 }
+  }
+
+  // Get all values in order (efficient traversal)
+  async getAllInOrder() {
+    let current = await this.firstLeaf()
     const results = []
     
     // Traverse all leaves using next pointers
@@ -581,15 +1462,47 @@ const connectDB = ((path, options = {}) => {
   }
 })
 
+// A leaf cell's row, still in its overflow chain
+class OverflowRef {
+  constructor(length, first) {
+    this.length = length
+    this.first = first
+  }
+}
+
 const createPager = async (db, options) => {
   const size = (await db.stat()).size / PageSize
+  const storedMeta = size > 0 ? await readMeta(db) : null
+  const rowSize = options.rowSize ?? options.schema?.getRowSize()
+  const keyCodec = options.keyCodec || DefaultKeyCodec
 
   const pager = {
     no: size === 0 ? 1 : size,
     pages: [],
-    rowSize: options.rowSize || options.schema?.getRowSize(),
+    rowSize,
+    keyCodec,
+    // Persisted in page 0 alongside the root pointer, including the head of
+    // the free list (`freeHead`, 0 when empty) and its length (`freeCount`)
+    meta: { freeHead: 0, freeCount: 0, ...storedMeta, ...options.meta },
+    // Rows longer than this live in overflow chains. Fixed-size rows either
+    // all fit in the leaves or all overflow; variable-length rows
+    // (`options.variableRows`) are judged one by one.
+    maxInlineRow: options.variableRows
+      ? maxInlineRowSize(keyCodec.size)
+      : storesOverflow(rowSize, keyCodec.size) ? -1 : Infinity,
+    // Variable-length rows fill leaves by bytes rather than by key count
+    leafCapacity: options.variableRows ? PageSize - LeafHeaderSize : null,
+    // `chains` maps each cached row to the overflow chain holding it,
+    // `liveChains` every known chain by first page
+    chains: new WeakMap(),
+    liveChains: new Map(),
+    rowLengths: new WeakMap(),
     
+    // Set of page numbers read while tracing (see Table#explain), or null
+    trace: null,
+
     async page(pn) {
+      if (this.trace) this.trace.add(pn)
       if (this.pages[pn]) {
         return this.pages[pn]
       }
@@ -597,42 +1510,346 @@ const createPager = async (db, options) => {
       const buf = Buffer.alloc(PageSize)
       await db.read(pn, buf)
   
-      const val = Deserialize(buf, pn, options.deserialize, this.rowSize)
+      const val = Deserialize(buf, pn, decodeCell, this.keyCodec)
+
+      if (val.type === 'Leaf') {
+        for (let i = 0; i < val.size; i++) {
+          if (val.values[i] instanceof OverflowRef) {
+            val.values[i] = await readOverflowRow(val.values[i])
+          }
+        }
+      }
   
       // Handle root page
       if (pn === 0) {
-        return (this.pages[0] = await pager.page(val.parent))
+        if (val.meta) {
+          pager.meta = { ...val.meta, ...pager.meta }
+        }
+        return val.parent ? (this.pages[0] = await pager.page(val.parent)) : null
       }
   
-      return (this.pages[pn] = val)
+      // Another caller may have loaded the page while this one was reading
+      return this.pages[pn] || (this.pages[pn] = val)
+    },
+
+    // Pages of the overflow chain holding a cached row, if it has one
+    overflowPages(value) {
+      return (isObject(value) && pager.chains.get(value)?.pages) || []
+    },
+
+    // Bytes an entry takes in a leaf, slot included
+    cellSize(key, value) {
+      const length = rowLength(value)
+      return LeafCellOverhead + keyCodec.size + (length > pager.maxInlineRow ? OverflowRefSize : length)
+    },
+
+    /**
+     * Page number for a new node: the head of the free list if there is
+     * one, otherwise a page past the end of the file
+     */
+    async allocate() {
+      const head = pager.meta.freeHead
+      if (!head) {
+        return pager.no++
+      }
+
+      const page = await pager.page(head)
+      assert(page.type === 'Free', `page ${head} on the free list is a ${page.type} page`)
+
+      pager.meta.freeHead = page.next || 0
+      pager.meta.freeCount--
+      return head
+    },
+
+    /**
+     * Put a page on the free list. Its new contents reach disk with the
+     * next flush, together with the updated list head.
+     */
+    free(pn) {
+      assert(pn > 0 && pn < pager.no, `cannot free page ${pn}`)
+
+      pager.pages[pn] = { type: 'Free', no: pn, next: pager.meta.freeHead }
+      pager.meta.freeHead = pn
+      pager.meta.freeCount++
+    },
+
+    getStats() {
+      const totalPages = pager.no
+      const freePages = pager.meta.freeCount
+
+      return {
+        totalPages,
+        metaPages: 1,
+        freePages,
+        usedPages: totalPages - 1 - freePages,
+        fileSize: totalPages * PageSize,
+      }
     },
     
     async flush() {
-      for (let i = 0; i < pager.pages.length; i++) {
+      // Derived structures (e.g. secondary indexes) must be durable first
+      if (options.beforeFlush) {
+        await options.beforeFlush()
+      }
+
+      // Encode each cached row once, and refresh its remembered length
+      const encoded = new Map()
+      const encodeRow = (value) => {
+        let bytes = encoded.get(value)
+        if (!bytes) {
+          bytes = options.serialize(value)
+          encoded.set(value, bytes)
+          if (isObject(value)) pager.rowLengths.set(value, bytes.length)
+        }
+        return bytes
+      }
+
+      // Overflow chains first: writing them allocates and frees pages
+      const overflowImages = await writeOverflowRows(encodeRow)
+      const serializeValue = (value) => encodeCell(value, encodeRow(value))
+
+      // Page 0 always carries the metadata, even while the tree is empty
+      const images = [[0, Serialize({ type: 'Meta', parent: pager.pages[0]?.no, meta: pager.meta }, Buffer.alloc(PageSize))]]
+
+      for (let i = 1; i < pager.pages.length; i++) {
         const p = pager.pages[i]
     
         if (p) {
-          let s = p
-    
-          if (i === 0) {
-            s = { ...p, parent: p.no } // save root page as page[0]'s parent
+          images.push([i, Serialize(p, Buffer.alloc(PageSize), serializeValue, pager.keyCodec)])
+        }
+      }
+      images.push(...overflowImages)
+
+      // Log the page images first so a crash mid-flush can be repaired
+      if (options.wal) {
+        await options.wal.logPages(images)
+      }
+
+      for (const [pn, image] of images) {
+        await db.write(pn, image)
+      }
+
+      if (options.wal) {
+        await db.flush()
+        await options.wal.reset()
+      }
+    },
+
+    /**
+     * Write `nodes` straight to the file without caching them, long rows
+     * going to new overflow chains. For building a fresh file with no log
+     * (see BPlusTree#buildFromSorted); the chains are not tracked, so a
+     * later flush never frees them.
+     */
+    async writeThrough(nodes) {
+      const images = []
+
+      for (const node of nodes) {
+        const rows = new Map()
+        for (const value of node.type === 'Leaf' ? node.values : []) {
+          const bytes = options.serialize(value)
+          if (bytes.length > pager.maxInlineRow) {
+            pager.chains.set(value, await writeChain(bytes, images))
           }
-    
-          await db.write(i, Serialize(s, Buffer.alloc(PageSize), options.serialize))
+          rows.set(value, bytes)
+        }
+
+        const serializeValue = (value) => encodeCell(value, rows.get(value))
+        images.push([node.no, Serialize(node, Buffer.alloc(PageSize), serializeValue, pager.keyCodec)])
+      }
+
+      for (const [pn, image] of images) {
+        await db.write(pn, image)
+      }
+    }
+  }
+
+  const isObject = (value) => value !== null && typeof value === 'object'
+
+  const rowLength = (value) => {
+    let length = isObject(value) ? pager.rowLengths.get(value) : undefined
+    if (length === undefined) {
+      length = options.serialize(value).length
+      if (isObject(value)) pager.rowLengths.set(value, length)
+    }
+    return length
+  }
+
+  const decodeCell = (cell) => {
+    if (cell[0] === CellKind.Overflow) {
+      return new OverflowRef(
+        cell.readUInt32LE(1 + layoutOffsetOf(OverflowRefLayout, 'Length')),
+        cell.readUInt32LE(1 + layoutOffsetOf(OverflowRefLayout, 'FirstPage'))
+      )
+    }
+
+    const value = options.deserialize(cell.subarray(1))
+    if (isObject(value)) pager.rowLengths.set(value, cell.length - 1)
+    return value
+  }
+
+  // The part of a leaf cell after the key; `bytes` is the encoded row
+  const encodeCell = (value, bytes) => {
+    if (bytes.length <= pager.maxInlineRow) {
+      return Buffer.concat([Buffer.from([CellKind.Inline]), bytes])
+    }
+
+    const chain = pager.chains.get(value)
+    const cell = Buffer.alloc(1 + OverflowRefSize)
+    cell[0] = CellKind.Overflow
+    cell.writeUInt32LE(chain.length, 1 + layoutOffsetOf(OverflowRefLayout, 'Length'))
+    cell.writeUInt32LE(chain.pages[0] || 0, 1 + layoutOffsetOf(OverflowRefLayout, 'FirstPage'))
+    return cell
+  }
+
+  const rememberChain = (value, chain) => {
+    pager.chains.set(value, chain)
+    if (chain.pages.length) {
+      pager.liveChains.set(chain.pages[0], chain)
+    }
+  }
+
+  // Reassemble a row from its overflow chain
+  const readOverflowRow = async ({ length, first }) => {
+    const data = Buffer.alloc(length)
+    const pages = []
+    let offset = 0
+
+    for (let pn = first; pn; ) {
+      const buf = Buffer.alloc(PageSize)
+      await db.read(pn, buf)
+      verifyPage(buf, pn)
+
+      const page = buf.readUInt8(0) === NodeType.Overflow ? Deserialize(buf, pn) : null
+      if (!page || offset + page.data.length > length || pages.length >= pager.no) {
+        throw corruptPage(pn, `broken overflow chain starting at page ${first}`)
+      }
+
+      page.data.copy(data, offset)
+      offset += page.data.length
+      pages.push(pn)
+      pn = page.next
+    }
+
+    if (offset !== length) {
+      throw corruptPage(first, `overflow chain holds ${offset} of ${length} bytes`)
+    }
+
+    const value = options.deserialize(data)
+    pager.rowLengths.set(value, length)
+    rememberChain(value, { pages, length, checksum: crc32(data) })
+    return value
+  }
+
+  // A new overflow chain holding `data`; the images of its pages go to `images`
+  const writeChain = async (data, images) => {
+    const capacity = PageSize - OverflowHeaderSize
+    const chain = { pages: [], length: data.length, checksum: crc32(data) }
+
+    for (let offset = 0; offset < data.length; offset += capacity) {
+      const pn = await pager.allocate()
+      // Drop the cached free-list entry so it is not flushed over the data
+      pager.pages[pn] = undefined
+      chain.pages.push(pn)
+    }
+
+    chain.pages.forEach((pn, j) => {
+      const slice = data.subarray(j * capacity, Math.min(data.length, (j + 1) * capacity))
+      const node = { type: 'Overflow', next: chain.pages[j + 1] || 0, data: slice }
+      images.push([pn, Serialize(node, Buffer.alloc(PageSize))])
+    })
+    return chain
+  }
+
+  /**
+   * Write a new chain for every cached row whose bytes changed since its
+   * chain was written, then free the chains no cached leaf points to any
+   * more. Returns the page images of the new chains.
+   */
+  const writeOverflowRows = async (encodeRow) => {
+    const images = []
+    const referenced = new Set()
+
+    for (let i = 1; i < pager.pages.length; i++) {
+      const p = pager.pages[i]
+      if (!p || p.type !== 'Leaf') continue
+
+      for (const value of p.values) {
+        const data = encodeRow(value)
+        if (data.length <= pager.maxInlineRow) continue
+
+        const length = data.length
+        const checksum = crc32(data)
+        let chain = pager.chains.get(value)
+
+        if (!chain || chain.length !== length || chain.checksum !== checksum) {
+          chain = await writeChain(data, images)
+          rememberChain(value, chain)
+        }
+
+        if (chain.pages.length) {
+          referenced.add(chain.pages[0])
         }
       }
     }
+
+    for (const [first, chain] of pager.liveChains) {
+      if (!referenced.has(first)) {
+        chain.pages.forEach(pn => pager.free(pn))
+        pager.liveChains.delete(first)
+      }
+    }
+
+    return images
   }
 
   return pager
 }
 
+/**
+ * Check a tree file as it is on disk: a cold pager reads every page back,
+ * verifying its checksum, and `checkInvariants()` walks the structure.
+ * `options` are the pager options plus the tree `order`. Never throws;
+ * returns `{ pages, entries, errors }`, with `entries` null when the
+ * leaves cannot be trusted.
+ */
+const checkFile = async (db, options) => {
+  const errors = []
+  let pager
+
+  try {
+    pager = await createPager(db, options)
+  } catch (error) {
+    return { pages: 0, entries: null, errors: [error.message] }
+  }
+
+  const tree = new BPlusTree(pager, { order: options.order })
+  try {
+    tree.root = pager.no > 1 ? await pager.page(0) : null
+  } catch (error) {
+    errors.push(error.message)
+  }
+
+  errors.push(...await tree.checkInvariants())
+
+  return {
+    pages: pager.no,
+    entries: errors.length ? null : (await tree.getAllInOrder()).length,
+    errors,
+  }
+}
+
 module.exports = {
   BPlusTree,
+  checkFile,
   getMaxInternalSize,
   getMaxLeafSize,
+  maxInlineRowSize,
+  storesOverflow,
   connectDB,
   createPager,
+  readMeta,
+  FileFormat,
   PageSize,
   NodeType,
   Serialize,
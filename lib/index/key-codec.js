@@ -0,0 +1,248 @@
+/**
+ * Key Codecs
+ *
+ * B+ tree keys are stored in fixed-width cells using order-preserving byte
+ * encodings: comparing two encoded keys byte by byte gives the same order as
+ * comparing the key values themselves. Integers are written big-endian with
+ * the sign bit flipped, floats use the usual sign-flip trick, and strings are
+ * UTF-8 padded with zero bytes. Composite keys concatenate the encodings of
+ * their columns.
+ *
+ * A codec is `{ size, write(key, buffer, offset), read(buffer, offset),
+ * compare(a, b) }`; `compare` works on decoded keys and agrees with the byte
+ * order.
+ */
+
+const { toEpochDays, fromEpochDays, uuidToBytes, bytesToUuid, parseDecimal, formatDecimal } = require('../schema/values')
+
+const SIGN_BIT_64 = 1n << 63n
+
+const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0)
+
+// UTF-8 byte order, which is code point order (JS `<` compares UTF-16 units)
+const compareStrings = (a, b) => Buffer.compare(Buffer.from(a, 'utf8'), Buffer.from(b, 'utf8'))
+
+const fixedInteger = (size, write, read) => ({
+  size,
+  write,
+  read,
+  compare: compareValues,
+})
+
+const floatEncoding = (size) => {
+  const writeBE = size === 4 ? 'writeFloatBE' : 'writeDoubleBE'
+  const readBE = size === 4 ? 'readFloatBE' : 'readDoubleBE'
+
+  return {
+    size,
+    write: (key, buffer, offset) => {
+      buffer[writeBE](key, offset)
+      if (buffer[offset] & 0x80) {
+        // Negative: invert everything so larger magnitudes sort first
+        for (let i = offset; i < offset + size; i++) buffer[i] = ~buffer[i] & 0xff
+      } else {
+        buffer[offset] |= 0x80
+      }
+    },
+    read: (buffer, offset) => {
+      const bytes = Buffer.from(buffer.subarray(offset, offset + size))
+      if (bytes[0] & 0x80) {
+        bytes[0] &= 0x7f
+      } else {
+        for (let i = 0; i < size; i++) bytes[i] = ~bytes[i] & 0xff
+      }
+      return bytes[readBE](0)
+    },
+    compare: compareValues,
+  }
+}
+
+// An existing encoding applied to a converted key, e.g. a Date as its milliseconds
+const mappedEncoding = (base, toBase, fromBase, compare) => ({
+  size: base.size,
+  write: (key, buffer, offset) => base.write(toBase(key), buffer, offset),
+  read: (buffer, offset) => fromBase(base.read(buffer, offset)),
+  compare,
+})
+
+const toTime = (key) => new Date(key).getTime()
+
+const KeyEncodings = {
+  UINT8: fixedInteger(1,
+    (key, buffer, offset) => buffer.writeUInt8(key, offset),
+    (buffer, offset) => buffer.readUInt8(offset)),
+
+  UINT32: fixedInteger(4,
+    (key, buffer, offset) => buffer.writeUInt32BE(key, offset),
+    (buffer, offset) => buffer.readUInt32BE(offset)),
+
+  INT32: fixedInteger(4,
+    (key, buffer, offset) => {
+      if (!Number.isInteger(key) || key < -0x80000000 || key > 0x7fffffff) {
+        throw new RangeError(`INT32 key out of range: ${key}`)
+      }
+      buffer.writeUInt32BE((key ^ 0x80000000) >>> 0, offset)
+    },
+    (buffer, offset) => (buffer.readUInt32BE(offset) ^ 0x80000000) | 0),
+
+  // Accepts numbers or BigInts; decodes to a number when that is exact
+  INT64: fixedInteger(8,
+    (key, buffer, offset) => {
+      const value = BigInt(key)
+      if (BigInt.asIntN(64, value) !== value) {
+        throw new RangeError(`INT64 key out of range: ${key}`)
+      }
+      buffer.writeBigUInt64BE(BigInt.asUintN(64, value) ^ SIGN_BIT_64, offset)
+    },
+    (buffer, offset) => {
+      const value = BigInt.asIntN(64, buffer.readBigUInt64BE(offset) ^ SIGN_BIT_64)
+      const number = Number(value)
+      return Number.isSafeInteger(number) ? number : value
+    }),
+
+  FLOAT: floatEncoding(4),
+  DOUBLE: floatEncoding(8),
+
+  BOOLEAN: fixedInteger(1,
+    (key, buffer, offset) => buffer.writeUInt8(key ? 1 : 0, offset),
+    (buffer, offset) => buffer.readUInt8(offset) === 1),
+
+  // Zero padding ends the string, so keys cannot contain NUL themselves
+  VARCHAR: (length) => ({
+    size: length,
+    write: (key, buffer, offset) => {
+      const bytes = Buffer.from(String(key), 'utf8')
+      if (bytes.length > length) {
+        throw new RangeError(`Key '${key}' is longer than VARCHAR(${length}) allows`)
+      }
+      if (bytes.includes(0)) {
+        throw new RangeError('Keys cannot contain NUL characters')
+      }
+      buffer.fill(0, offset, offset + length)
+      bytes.copy(buffer, offset)
+    },
+    read: (buffer, offset) => {
+      const end = buffer.indexOf(0, offset)
+      return buffer.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end)
+    },
+    compare: compareStrings,
+  }),
+
+  BINARY: (length) => ({
+    size: length,
+    write: (key, buffer, offset) => {
+      const bytes = Buffer.isBuffer(key) ? key : Buffer.from(key)
+      if (bytes.length > length) {
+        throw new RangeError(`Key is longer than BINARY(${length}) allows`)
+      }
+      buffer.fill(0, offset, offset + length)
+      bytes.copy(buffer, offset)
+    },
+    read: (buffer, offset) => Buffer.from(buffer.subarray(offset, offset + length)),
+    compare: (a, b) => Buffer.compare(a, b),
+  }),
+}
+
+KeyEncodings.TIMESTAMP = mappedEncoding(KeyEncodings.INT64,
+  toTime,
+  (ms) => new Date(Number(ms)),
+  (a, b) => compareValues(toTime(a), toTime(b)))
+
+KeyEncodings.DATE = mappedEncoding(KeyEncodings.INT32,
+  (key) => {
+    const days = toEpochDays(key)
+    if (Number.isNaN(days)) throw new RangeError(`DATE key is not a valid date: ${key}`)
+    return days
+  },
+  fromEpochDays,
+  (a, b) => compareValues(toEpochDays(a), toEpochDays(b)))
+
+KeyEncodings.UUID = mappedEncoding(KeyEncodings.BINARY(16),
+  uuidToBytes,
+  bytesToUuid,
+  (a, b) => compareValues(a.toLowerCase(), b.toLowerCase()))
+
+KeyEncodings.DECIMAL = (precision, scale = 0) => mappedEncoding(KeyEncodings.INT64,
+  (key) => parseDecimal(key, precision, scale),
+  (units) => formatDecimal(BigInt(units), scale),
+  (a, b) => compareValues(parseDecimal(a, precision, scale), parseDecimal(b, precision, scale)))
+
+/**
+ * Key encoding for a schema DataType, looked up by its type name
+ */
+const getKeyEncoding = (type) => {
+  const match = String(type.name).match(/^([A-Z0-9_]+)(?:\((\d+)(?:,(\d+))?\))?$/)
+  const encoding = match && KeyEncodings[match[1]]
+  const args = match ? match.slice(2).filter(Boolean).map(n => parseInt(n)) : []
+
+  if (typeof encoding === 'function' && args.length) return encoding(...args)
+  if (encoding && typeof encoding === 'object' && !args.length) return encoding
+
+  throw new Error(`Type ${type.name} cannot be used as a key`)
+}
+
+/**
+ * Order values of a schema DataType the way it orders them as a key, or
+ * with `fallback` when the type cannot be a key
+ */
+const getValueCompare = (type, fallback = compareValues) => {
+  try {
+    return getKeyEncoding(type).compare
+  } catch {
+    return fallback
+  }
+}
+
+/**
+ * Build a codec for keys made of one or more schema DataTypes. A single
+ * type gives scalar keys; several give array keys compared column by column.
+ */
+const createKeyCodec = (types) => {
+  const parts = types.map(getKeyEncoding)
+  if (parts.length === 1) return parts[0]
+
+  const size = parts.reduce((sum, part) => sum + part.size, 0)
+
+  return {
+    size,
+    write: (key, buffer, offset) => {
+      if (!Array.isArray(key) || key.length !== parts.length) {
+        throw new TypeError(`Composite key must be an array of ${parts.length} values`)
+      }
+      for (let i = 0; i < parts.length; i++) {
+        parts[i].write(key[i], buffer, offset)
+        offset += parts[i].size
+      }
+    },
+    read: (buffer, offset) => parts.map(part => {
+      const value = part.read(buffer, offset)
+      offset += part.size
+      return value
+    }),
+    compare: (a, b) => {
+      for (let i = 0; i < parts.length; i++) {
+        const result = parts[i].compare(a[i], b[i])
+        if (result !== 0) return result
+      }
+      return 0
+    },
+  }
+}
+
+/**
+ * Encode a key to a standalone buffer (handy for byte-order comparisons)
+ */
+const encodeKey = (codec, key) => {
+  const buffer = Buffer.alloc(codec.size)
+  codec.write(key, buffer, 0)
+  return buffer
+}
+
+module.exports = {
+  KeyEncodings,
+  getKeyEncoding,
+  getValueCompare,
+  createKeyCodec,
+  encodeKey,
+  compareValues,
+}
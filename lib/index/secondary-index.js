@@ -0,0 +1,265 @@
+/**
+ * Secondary Index
+ *
+ * An extra B+ tree, stored in `<table>.<field>.idx`, mapping the value of a
+ * non-key field to the primary keys of the rows holding it. Entries are
+ * composite keys `[value, primaryKey]`, so duplicate values stay distinct
+ * and all rows sharing a value sit next to each other in the leaves.
+ *
+ * Index files are derived data: they are flushed before the table so a
+ * clean table implies a clean index, and rebuilt from the table after an
+ * unclean shutdown.
+ */
+
+const fs = require('fs/promises')
+const path = require('path')
+const { BPlusTree, connectDB, createPager, checkFile, maxInlineRowSize } = require('./bplus-tree')
+const { getValueCompare } = require('./key-codec')
+
+// Bounds that sort before / after every value
+const KeyBound = {
+  MIN: Symbol('min'),
+  MAX: Symbol('max'),
+}
+
+const withBounds = (compare) => (a, b) => {
+  if (a === b) return 0
+  if (a === KeyBound.MIN || b === KeyBound.MAX) return -1
+  if (a === KeyBound.MAX || b === KeyBound.MIN) return 1
+  return compare(a, b)
+}
+
+/**
+ * [value, primaryKey] laid out back to back: the value as the row stores
+ * it, the primary key with the table's key codec
+ */
+const createEntryCodec = (valueType, keyCodec) => {
+  const compareValue = withBounds(getValueCompare(valueType))
+  const compareKey = withBounds(keyCodec.compare)
+
+  return {
+    size: valueType.size + keyCodec.size,
+    write: ([value, key], buffer, offset) => {
+      valueType.serialize(value, buffer, offset)
+      keyCodec.write(key, buffer, offset + valueType.size)
+    },
+    read: (buffer, offset) => [
+      valueType.deserialize(buffer, offset),
+      keyCodec.read(buffer, offset + valueType.size),
+    ],
+    compare: (a, b) => compareValue(a[0], b[0]) || compareKey(a[1], b[1]),
+  }
+}
+
+/**
+ * Turn an equality value or a { $eq, $gt, $gte, $lt, $lte, $between }
+ * condition into inclusive [start, end] entry bounds. Returns null for
+ * other conditions.
+ */
+const conditionToRange = (condition) => {
+  const isOperatorObject = condition !== null && typeof condition === 'object' &&
+    !Array.isArray(condition) && !Buffer.isBuffer(condition) && !(condition instanceof Date)
+
+  if (!isOperatorObject) {
+    return { start: [condition, KeyBound.MIN], end: [condition, KeyBound.MAX] }
+  }
+
+  let start = [KeyBound.MIN, KeyBound.MIN]
+  let end = [KeyBound.MAX, KeyBound.MAX]
+
+  for (const [op, value] of Object.entries(condition)) {
+    switch (op) {
+      case '$eq':
+        start = [value, KeyBound.MIN]
+        end = [value, KeyBound.MAX]
+        break
+      case '$gt':
+        start = [value, KeyBound.MAX]
+        break
+      case '$gte':
+        start = [value, KeyBound.MIN]
+        break
+      case '$lt':
+        end = [value, KeyBound.MIN]
+        break
+      case '$lte':
+        end = [value, KeyBound.MAX]
+        break
+      case '$between':
+        if (!Array.isArray(value) || value.length !== 2) return null
+        start = [value[0], KeyBound.MIN]
+        end = [value[1], KeyBound.MAX]
+        break
+      default:
+        return null
+    }
+  }
+
+  return { start, end }
+}
+
+/**
+ * Entry bounds covering every value in [start, end], both inclusive; an
+ * undefined bound leaves that side open
+ */
+const valueRange = (start, end) => ({
+  start: [start === undefined ? KeyBound.MIN : start, KeyBound.MIN],
+  end: [end === undefined ? KeyBound.MAX : end, KeyBound.MAX],
+})
+
+/**
+ * A string that two values of `type` share exactly when an index holds
+ * them as the same value (their bytes in an entry), so Sets and Maps can
+ * find duplicates that === misses, such as equal Dates
+ */
+const valueKey = (type, value) => {
+  const buffer = Buffer.alloc(type.size)
+  type.serialize(value, buffer, 0)
+  return buffer.toString('hex')
+}
+
+/**
+ * Throw unless values of `type` fit in an index entry beside keys of
+ * `keyCodec`. Entries are fixed-width and cannot overflow, so a leaf must
+ * have room for a few of the widest.
+ */
+const assertIndexable = (field, type, keyCodec) => {
+  const room = maxInlineRowSize(keyCodec.size)
+  if (type.size > room) {
+    throw new Error(`Cannot index '${field}': its values take up to ${type.size} bytes, more than the ${room} an index entry has room for`)
+  }
+}
+
+class SecondaryIndex {
+  constructor(table, field, options = {}) {
+    this.table = table
+    this.field = field
+    this.unique = !!options.unique
+    this.path = path.join(table.dbDir, `${table.name}.${field}.idx`)
+    this.db = null
+    this.pager = null
+    this.tree = null
+  }
+
+  async open() {
+    this.db = connectDB(this.path, { immediateSync: false })
+    await this.db.open()
+
+    this.pager = await createPager(this.db, this._pagerOptions())
+
+    this.tree = new BPlusTree(this.pager)
+
+    if (this.pager.no > 1) {
+      this.tree.root = await this.pager.page(0)
+    } else {
+      this.pager.meta.entries = 0 // kept up to date for the query planner
+    }
+  }
+
+  _pagerOptions() {
+    return {
+      rowSize: 0,
+      keyCodec: createEntryCodec(this.table.schema.getField(this.field).type, this.table.keyCodec),
+      serialize: () => Buffer.alloc(0),
+      deserialize: () => null,
+      meta: { field: this.field, unique: this.unique },
+    }
+  }
+
+  // Rows whose value is null have no entry
+  async insert(value, key) {
+    if (value === null || value === undefined) return
+    if (await this.tree.insert([value, key], null)) this._countEntries(1)
+  }
+
+  async remove(value, key) {
+    if (value === null || value === undefined) return
+    if (await this.tree.delete([value, key])) this._countEntries(-1)
+  }
+
+  // Index files from before entries were counted leave the count unknown
+  _countEntries(delta) {
+    if (this.pager.meta.entries !== undefined) this.pager.meta.entries += delta
+  }
+
+  // See valueKey
+  valueKey(value) {
+    return valueKey(this.table.schema.getField(this.field).type, value)
+  }
+
+  /**
+   * Primary keys of rows whose value satisfies `condition`, in index order
+   */
+  async findKeys(condition) {
+    const range = conditionToRange(condition)
+    if (!range) {
+      throw new Error(`Unsupported condition for index on '${this.field}'`)
+    }
+
+    const entries = await this.tree.rangeSearch(range.start, range.end)
+    return entries.map(entry => entry.key[1])
+  }
+
+  /**
+   * Primary keys of rows whose value lies in [start, end] (see valueRange)
+   */
+  async findKeysBetween(start, end) {
+    const range = valueRange(start, end)
+    const entries = await this.tree.rangeSearch(range.start, range.end)
+    return entries.map(entry => entry.key[1])
+  }
+
+  /**
+   * Replace the index contents with entries for `records`, an array or any
+   * iterable, async ones included
+   */
+  async rebuild(records) {
+    await this.db.close()
+    await fs.rm(this.path, { force: true })
+    await this.open()
+
+    for await (const record of records) {
+      await this.insert(record[this.field], this.table._getKey(record))
+    }
+
+    await this.flush()
+  }
+
+  /**
+   * Read the index file back from disk and check it (see checkFile)
+   */
+  async verify() {
+    return await checkFile(this.db, this._pagerOptions())
+  }
+
+  async flush() {
+    await this.pager.flush()
+    await this.db.flush()
+  }
+
+  // The owning table flushes its indexes before its own pages
+  async close() {
+    await this.db.close()
+  }
+
+  async drop() {
+    await this.db.close()
+    await fs.rm(this.path, { force: true })
+  }
+
+  getInfo() {
+    return {
+      field: this.field,
+      unique: this.unique
+    }
+  }
+}
+
+module.exports = {
+  SecondaryIndex,
+  KeyBound,
+  conditionToRange,
+  valueRange,
+  valueKey,
+  assertIndexable,
+}
@@ -1,95 +1,563 @@
-const DataTypes = {
-  INT32: { size: 4, serialize: (val, buf, offset) => buf.writeInt32LE(val, offset), deserialize: (buf, offset) => buf.readInt32LE(offset) },
-  UINT32: { size: 4, serialize: (val, buf, offset) => buf.writeUInt32LE(val, offset), deserialize: (buf, offset) => buf.readUInt32LE(offset) },
-  UINT8: { size: 1, serialize: (val, buf, offset) => buf.writeUInt8(val, offset), deserialize: (buf, offset) => buf.readUInt8(offset) },
-  INT64: { size: 8, serialize: (val, buf, offset) => buf.writeBigInt64LE(BigInt(val), offset), deserialize: (buf, offset) => Number(buf.readBigInt64LE(offset)) },
-  FLOAT: { size: 4, serialize: (val, buf, offset) => buf.writeFloatLE(val, offset), deserialize: (buf, offset) => buf.readFloatLE(offset) },
-  DOUBLE: { size: 8, serialize: (val, buf, offset) => buf.writeDoubleLE(val, offset), deserialize: (buf, offset) => buf.readDoubleLE(offset) },
-  BOOLEAN: { size: 1, serialize: (val, buf, offset) => buf.writeUInt8(val ? 1 : 0, offset), deserialize: (buf, offset) => buf.readUInt8(offset) === 1 },
-  VARCHAR: (length) => ({
-    size: length,
-    serialize: (val, buf, offset) => {
-      const str = String(val || '').slice(0, length - 1); // Reserve space for null terminator
-      buf.write(str, offset, length - 1, 'utf8');
-      buf.writeUInt8(0, offset + str.length); // Null terminator
-    },
-    deserialize: (buf, offset) => {
-      const nullIndex = buf.indexOf(0, offset);
-      const endIndex = nullIndex === -1 ? offset + length : nullIndex;
-      return buf.subarray(offset, Math.min(endIndex, offset + length)).toString('utf8');
+const {
+  toEpochDays,
+  fromEpochDays,
+  isUuid,
+  uuidToBytes,
+  bytesToUuid,
+  parseDecimal,
+  formatDecimal
+} = require('./values');
+
+/**
+ * Every DataType has `validate(val)`, which returns null for a value it can
+ * store and otherwise `{ expected, got, reason? }`: the type name, the
+ * JavaScript type of the value and, for a value of the right kind that
+ * still does not fit, why.
+ */
+
+// JavaScript type of a value, as validation problems report it
+function describeType(val) {
+  if (val === null) return 'null';
+  if (Buffer.isBuffer(val)) return 'buffer';
+  if (Array.isArray(val)) return 'array';
+  if (val instanceof Date) return 'date';
+  return typeof val;
+}
+
+// A number when that is exact, otherwise a BigInt (as the INT64 key codec decodes)
+function readInt64(buf, offset) {
+  const value = buf.readBigInt64LE(offset);
+  const number = Number(value);
+  return Number.isSafeInteger(number) ? number : value;
+}
+
+function integerType(name, size, min, max, serialize, deserialize) {
+  return {
+    name,
+    size,
+    integer: true,
+    serialize,
+    deserialize,
+    validate: (val) => {
+      const isInteger = typeof val === 'bigint' || Number.isInteger(val);
+      if (!isInteger) {
+        return typeof val === 'number'
+          ? { expected: name, got: 'number', reason: `${val} is not an integer` }
+          : { expected: name, got: describeType(val) };
+      }
+      if (BigInt(val) < min || BigInt(val) > max) {
+        return { expected: name, got: typeof val, reason: `${val} is out of range` };
+      }
+      return null;
     }
-  }),
-  BINARY: (length) => ({
-    size: length,
-    serialize: (val, buf, offset) => {
-      const data = Buffer.isBuffer(val) ? val : Buffer.from(val);
-      buf.set(data.subarray(0, length), offset);
-    },
-    deserialize: (buf, offset) => buf.subarray(offset, offset + length)
-  }),
-  JSON: (maxLength) => ({
+  };
+}
+
+function floatType(name, size, serialize, deserialize) {
+  return {
+    name,
+    size,
+    serialize,
+    deserialize,
+    validate: (val) => (typeof val === 'number' ? null : { expected: name, got: describeType(val) })
+  };
+}
+
+/**
+ * A type whose values take up to `maxLength` bytes. `encode`/`decode` work
+ * on just the value's own bytes and reject over-long values instead of
+ * truncating them; `serialize`/`deserialize` give the zero-padded,
+ * fixed-width form for places where every value needs the same room.
+ * `accepts` says which JavaScript values the type takes at all.
+ */
+function variableType(name, maxLength, encode, decode, { padded = false, accepts } = {}) {
+  const typeName = `${name}(${maxLength})`;
+  const encodeChecked = (val) => {
+    const bytes = encode(val);
+    if (bytes.length > maxLength) {
+      throw new RangeError(`${bytes.length} bytes is longer than ${typeName} allows`);
+    }
+    return bytes;
+  };
+
+  return {
+    name: typeName,
     size: maxLength,
+    maxLength,
+    encode: encodeChecked,
+    decode,
+    validate: (val) => {
+      if (!accepts(val)) return { expected: typeName, got: describeType(val) };
+      try {
+        encodeChecked(val);
+        return null;
+      } catch (error) {
+        return { expected: typeName, got: describeType(val), reason: error.message };
+      }
+    },
     serialize: (val, buf, offset) => {
-      const jsonStr = JSON.stringify(val || null);
-      const truncated = jsonStr.slice(0, maxLength - 1);
-      buf.write(truncated, offset, maxLength - 1, 'utf8');
-      buf.writeUInt8(0, offset + truncated.length);
+      const bytes = encodeChecked(val);
+      buf.fill(0, offset, offset + maxLength);
+      bytes.copy(buf, offset);
     },
+    // Text ends at the first zero byte; binary values keep their padding
     deserialize: (buf, offset) => {
-      const nullIndex = buf.indexOf(0, offset);
-      const endIndex = nullIndex === -1 ? offset + maxLength : nullIndex;
-      const jsonStr = buf.subarray(offset, Math.min(endIndex, offset + maxLength)).toString('utf8');
+      const nullIndex = padded ? -1 : buf.indexOf(0, offset);
+      const end = nullIndex === -1 || nullIndex > offset + maxLength ? offset + maxLength : nullIndex;
+      return decode(buf.subarray(offset, end));
+    }
+  };
+}
+
+const DataTypes = {
+  INT32: integerType('INT32', 4, -(2n ** 31n), 2n ** 31n - 1n, (val, buf, offset) => buf.writeInt32LE(val, offset), (buf, offset) => buf.readInt32LE(offset)),
+  UINT32: integerType('UINT32', 4, 0n, 2n ** 32n - 1n, (val, buf, offset) => buf.writeUInt32LE(val, offset), (buf, offset) => buf.readUInt32LE(offset)),
+  UINT8: integerType('UINT8', 1, 0n, 255n, (val, buf, offset) => buf.writeUInt8(val, offset), (buf, offset) => buf.readUInt8(offset)),
+  INT64: integerType('INT64', 8, -(2n ** 63n), 2n ** 63n - 1n, (val, buf, offset) => buf.writeBigInt64LE(BigInt(val), offset), readInt64),
+  FLOAT: floatType('FLOAT', 4, (val, buf, offset) => buf.writeFloatLE(val, offset), (buf, offset) => buf.readFloatLE(offset)),
+  DOUBLE: floatType('DOUBLE', 8, (val, buf, offset) => buf.writeDoubleLE(val, offset), (buf, offset) => buf.readDoubleLE(offset)),
+  BOOLEAN: {
+    name: 'BOOLEAN',
+    size: 1,
+    serialize: (val, buf, offset) => buf.writeUInt8(val ? 1 : 0, offset),
+    deserialize: (buf, offset) => buf.readUInt8(offset) === 1,
+    validate: (val) => (typeof val === 'boolean' ? null : { expected: 'BOOLEAN', got: describeType(val) })
+  },
+  VARCHAR: (length) => variableType('VARCHAR', length,
+    (val) => Buffer.from(String(val ?? ''), 'utf8'),
+    (bytes) => bytes.toString('utf8'),
+    { accepts: (val) => typeof val === 'string' }),
+  BINARY: (length) => variableType('BINARY', length,
+    (val) => (Buffer.isBuffer(val) ? val : Buffer.from(val)),
+    (bytes) => Buffer.from(bytes),
+    { padded: true, accepts: (val) => val instanceof Uint8Array }),
+  // Anything JSON.stringify turns into text; BigInts and cycles fail when encoded
+  JSON: (maxLength) => variableType('JSON', maxLength,
+    (val) => Buffer.from(JSON.stringify(val ?? null), 'utf8'),
+    (bytes) => {
       try {
-        return JSON.parse(jsonStr);
+        return JSON.parse(bytes.toString('utf8'));
       } catch {
         return null;
       }
+    },
+    { accepts: (val) => !['undefined', 'function', 'symbol'].includes(typeof val) }),
+
+  // Milliseconds since the epoch; read back as a Date, written from a Date, a date string
+  // or a number of milliseconds (e.g. Date.now())
+  TIMESTAMP: {
+    name: 'TIMESTAMP',
+    size: 8,
+    serialize: (val, buf, offset) => buf.writeBigInt64LE(BigInt(new Date(val).getTime()), offset),
+    deserialize: (buf, offset) => new Date(Number(buf.readBigInt64LE(offset))),
+    normalize: (val) => new Date(val),
+    measure: (val) => ({ value: val.getTime(), label: val.toISOString() }),
+    validate: (val) => {
+      if (!(val instanceof Date) && typeof val !== 'string' && typeof val !== 'number') return { expected: 'TIMESTAMP', got: describeType(val) };
+      if (Number.isNaN(new Date(val).getTime())) return { expected: 'TIMESTAMP', got: describeType(val), reason: 'invalid date' };
+      return null;
     }
-  })
+  },
+
+  // A calendar day, read back as 'YYYY-MM-DD'; written from that form or a Date at UTC midnight
+  DATE: {
+    name: 'DATE',
+    size: 4,
+    serialize: (val, buf, offset) => buf.writeInt32LE(toEpochDays(val), offset),
+    deserialize: (buf, offset) => fromEpochDays(buf.readInt32LE(offset)),
+    normalize: (val) => fromEpochDays(toEpochDays(val)),
+    measure: (val) => ({ value: val, label: val }),
+    validate: (val) => {
+      if (!(val instanceof Date) && typeof val !== 'string') return { expected: 'DATE', got: describeType(val) };
+      if (Number.isNaN(toEpochDays(val))) {
+        const reason = val instanceof Date ? 'not a UTC midnight' : `'${val}' is not a YYYY-MM-DD date`;
+        return { expected: 'DATE', got: describeType(val), reason };
+      }
+      return null;
+    }
+  },
+
+  // 16 bytes, read and written as the usual hyphenated hex string
+  UUID: {
+    name: 'UUID',
+    size: 16,
+    serialize: (val, buf, offset) => uuidToBytes(val).copy(buf, offset),
+    deserialize: (buf, offset) => bytesToUuid(buf.subarray(offset, offset + 16)),
+    normalize: (val) => val.toLowerCase(),
+    validate: (val) => {
+      if (typeof val !== 'string') return { expected: 'UUID', got: describeType(val) };
+      if (!isUuid(val)) return { expected: 'UUID', got: 'string', reason: `'${val}' is not a UUID` };
+      return null;
+    }
+  },
+
+  // Exact decimal with `precision` digits, `scale` of them after the point,
+  // stored as a scaled 64-bit integer and read back as a string like '19.90'
+  DECIMAL: (precision, scale = 0) => {
+    if (!(precision >= 1 && precision <= 18) || !(scale >= 0 && scale <= precision)) {
+      throw new Error(`DECIMAL(${precision},${scale}) needs 1 <= precision <= 18 and 0 <= scale <= precision`);
+    }
+
+    const name = `DECIMAL(${precision},${scale})`;
+    return {
+      name,
+      size: 8,
+      precision,
+      scale,
+      serialize: (val, buf, offset) => buf.writeBigInt64LE(parseDecimal(val, precision, scale), offset),
+      deserialize: (buf, offset) => formatDecimal(buf.readBigInt64LE(offset), scale),
+      normalize: (val) => formatDecimal(parseDecimal(val, precision, scale), scale),
+      measure: (val) => ({ value: Number(val), label: val }),
+      validate: (val) => {
+        if (typeof val !== 'string' && typeof val !== 'number') return { expected: name, got: describeType(val) };
+        try {
+          parseDecimal(val, precision, scale);
+          return null;
+        } catch (error) {
+          return { expected: name, got: typeof val, reason: error.message };
+        }
+      }
+    };
+  },
+
+  // One of a fixed list of strings, stored as its position in the list
+  ENUM: (values) => {
+    if (!Array.isArray(values) || values.length === 0 || values.length > 0xFFFF ||
+        values.some(v => typeof v !== 'string') || new Set(values).size !== values.length) {
+      throw new Error('ENUM needs a list of distinct strings');
+    }
+
+    const name = `ENUM(${values.map(v => `'${v.replace(/'/g, "''")}'`).join(',')})`;
+    const size = values.length <= 0x100 ? 1 : 2;
+    return {
+      name,
+      size,
+      values: [...values],
+      serialize: (val, buf, offset) => buf.writeUIntLE(values.indexOf(val), offset, size),
+      deserialize: (buf, offset) => values[buf.readUIntLE(offset, size)],
+      validate: (val) => {
+        if (typeof val !== 'string') return { expected: name, got: describeType(val) };
+        if (!values.includes(val)) return { expected: name, got: 'string', reason: `'${val}' is not one of the allowed values` };
+        return null;
+      }
+    };
+  }
 };
 
+// Arguments of a parameterised type name: a quoted list for ENUM, numbers otherwise
+function parseTypeArgs(name, args) {
+  if (name !== 'ENUM') {
+    const numbers = args.split(',').map(arg => arg.trim());
+    return numbers.every(n => /^\d+$/.test(n)) ? numbers.map(n => parseInt(n)) : null;
+  }
+
+  const values = [];
+  const item = /\s*'((?:[^']|'')*)'\s*(,|$)/y;
+  while (item.lastIndex < args.length) {
+    const match = item.exec(args);
+    if (!match) return null;
+    values.push(match[1].replace(/''/g, "'"));
+    if (!match[2]) break;
+  }
+  return item.lastIndex === args.length ? [values] : null;
+}
+
+/**
+ * Resolve a type name such as 'UINT32', 'VARCHAR(50)', 'DECIMAL(10,2)' or
+ * "ENUM('small','large')" to its DataType
+ */
+function parseDataType(typeString) {
+  if (typeof typeString !== 'string') {
+    throw new Error(`Unknown data type: ${typeString}`);
+  }
+
+  const match = typeString.trim().match(/^([A-Za-z0-9_]+)\s*(?:\(([\s\S]*)\))?$/);
+  const name = match && match[1].toUpperCase();
+  const type = match && DataTypes[name];
+  const args = type && match[2] !== undefined ? parseTypeArgs(name, match[2]) : null;
+
+  if (typeof type === 'function' && args) return type(...args);
+  if (type && typeof type === 'object' && match[2] === undefined) return type;
+
+  throw new Error(`Unknown data type: ${typeString}`);
+}
+
+// Length prefix of a variable-length field: 2 bytes unless its maximum needs 4
+const lengthPrefixSize = (type) => (type.maxLength > 0xFFFF ? 4 : 2);
+
+/**
+ * Turn a field spec into a field: a DataType, a type name such as
+ * 'VARCHAR(50)', or `{ type, nullable, default, check, min, max, pattern,
+ * autoIncrement }`
+ */
+function createField(name, spec) {
+  const options = spec && spec.type !== undefined && !spec.serialize ? spec : { type: spec };
+  const type = typeof options.type === 'string' ? parseDataType(options.type) : options.type;
+
+  if (!type || typeof type.serialize !== 'function') {
+    throw new Error(`Field '${name}' has an unknown data type`);
+  }
+  if (options.check !== undefined && typeof options.check !== 'function') {
+    throw new Error(`Field '${name}': check must be a function`);
+  }
+
+  if (options.autoIncrement && !type.integer) {
+    throw new Error(`Field '${name}': autoIncrement needs an integer type, not ${type.name}`);
+  }
+
+  const field = { name, type, size: type.size, nullable: !!options.nullable };
+
+  if (options.autoIncrement) field.autoIncrement = true;
+
+  if (options.default !== undefined) field.default = options.default;
+  if (options.check) field.check = options.check;
+  if (options.min !== undefined) field.min = options.min;
+  if (options.max !== undefined) field.max = options.max;
+  if (options.pattern !== undefined) {
+    field.pattern = options.pattern instanceof RegExp ? options.pattern : new RegExp(options.pattern);
+  }
+
+  return field;
+}
+
+function constraintError(field, rule, detail, message = `Field '${field.name}' violates ${rule}: ${detail}`) {
+  const error = new Error(message);
+  error.code = 'CONSTRAINT_VIOLATION';
+  error.field = field.name;
+  error.rule = rule;
+  error.details = { field: field.name, rule };
+  return error;
+}
+
+// A value the field's DataType cannot store (see DataType#validate)
+function typeError(field, { expected, got, reason }) {
+  const error = new Error(`Field '${field.name}' expects ${expected}, got ${got}${reason ? `: ${reason}` : ''}`);
+  error.code = 'INVALID_TYPE';
+  error.field = field.name;
+  error.details = { field: field.name, expected, got, ...(reason && { reason }) };
+  return error;
+}
+
+// What `min`/`max` compare: numbers by value, strings and buffers by
+// length, unless the type says otherwise (e.g. DECIMAL strings by value)
+function measure(value, type) {
+  if (type.measure) return type.measure(value);
+  if (typeof value === 'number' || typeof value === 'bigint') return { value, label: String(value) };
+  if (typeof value === 'string' || Buffer.isBuffer(value) || Array.isArray(value)) {
+    return { value: value.length, label: `length ${value.length}` };
+  }
+  return null;
+}
+
+/**
+ * Rows are stored as a null bitmap (one bit per field, set for null)
+ * followed by every non-null field in order: fixed-width types at their
+ * size, variable-length types (VARCHAR, JSON, BINARY) as a length prefix
+ * and their bytes. `getRowSize()` is the longest row the schema allows.
+ */
 class Schema {
-  constructor(fields) {
+  /**
+   * @param {Object} fields - field name -> DataType, type name or field
+   *   options (see createField), in storage order
+   * @param {Object} [options]
+   * @param {string|string[]} [options.primaryKey] - key column(s); defaults to the first field
+   */
+  constructor(fields, options = {}) {
     this.fields = [];
     this.fieldMap = new Map();
     this.totalSize = 0;
+    this.unstored = []; // see fromJSON
     
-    for (const [name, type] of Object.entries(fields)) {
-      const field = {
-        name,
-        type,
-        offset: this.totalSize,
-        size: type.size
-      };
-      
+    for (const [name, spec] of Object.entries(fields)) {
+      const field = createField(name, spec);
+      const { type } = field;
+
       this.fields.push(field);
       this.fieldMap.set(name, field);
-      this.totalSize += type.size;
+      this.totalSize += type.maxLength !== undefined ? lengthPrefixSize(type) + type.maxLength : type.size;
+    }
+
+    this.nullBitmapSize = Math.ceil(this.fields.length / 8);
+    this.totalSize += this.nullBitmapSize;
+
+    const primaryKey = options.primaryKey || (this.fields.length > 0 ? [this.fields[0].name] : []);
+    this.primaryKey = Array.isArray(primaryKey) ? [...primaryKey] : [primaryKey];
+
+    for (const name of this.primaryKey) {
+      if (!this.fieldMap.has(name)) {
+        throw new Error(`Primary key field '${name}' is not in the schema`);
+      }
+      if (this.fieldMap.get(name).nullable) {
+        throw new Error(`Primary key field '${name}' cannot be nullable`);
+      }
+    }
+
+    // Name of the field whose values the table assigns from its sequence
+    this.autoIncrement = null;
+    for (const field of this.fields.filter(f => f.autoIncrement)) {
+      if (this.primaryKey.length !== 1 || this.primaryKey[0] !== field.name) {
+        throw new Error(`Field '${field.name}': autoIncrement is only supported on a single-column primary key`);
+      }
+      this.autoIncrement = field.name;
     }
   }
 
+  /**
+   * Fields making up the primary key, in key order
+   */
+  getPrimaryKey() {
+    return this.primaryKey.map(name => this.fieldMap.get(name));
+  }
+
+  hasCompositeKey() {
+    return this.primaryKey.length > 1;
+  }
+
   getRowSize() {
     return this.totalSize;
   }
 
-  serialize(obj) {
-    const buffer = Buffer.alloc(this.totalSize);
-    
+  /**
+   * A copy of `data` with defaults filled in for missing fields. Throws an
+   * Error with code INVALID_TYPE when a value does not suit its DataType,
+   * or CONSTRAINT_VIOLATION naming the broken rule; either way
+   * `error.details` says which field and why.
+   */
+  validate(data) {
+    const row = {};
+
     for (const field of this.fields) {
-      const value = obj[field.name];
-      field.type.serialize(value, buffer, field.offset);
+      let value = data[field.name];
+
+      if (value === undefined && field.default !== undefined) {
+        value = typeof field.default === 'function' ? field.default() : field.default;
+      }
+
+      if (value === undefined || value === null) {
+        if (!field.nullable) {
+          throw constraintError(field, 'nullable', 'a value is required', `Field '${field.name}' is required (not nullable)`);
+        }
+        row[field.name] = null;
+        continue;
+      }
+
+      const problem = field.type.validate ? field.type.validate(value) : null;
+      if (problem) {
+        throw typeError(field, problem);
+      }
+      if (field.type.normalize) {
+        value = field.type.normalize(value);
+      }
+
+      this._checkField(field, value);
+      row[field.name] = value;
     }
-    
+
+    return row;
+  }
+
+  _checkField(field, value) {
+    if (field.min !== undefined || field.max !== undefined) {
+      const measured = measure(value, field.type);
+      if (measured && field.min !== undefined && measured.value < field.min) {
+        throw constraintError(field, 'min', `${measured.label} is less than ${field.min}`);
+      }
+      if (measured && field.max !== undefined && measured.value > field.max) {
+        throw constraintError(field, 'max', `${measured.label} is greater than ${field.max}`);
+      }
+    }
+
+    if (field.pattern && !field.pattern.test(String(value))) {
+      throw constraintError(field, 'pattern', `'${value}' does not match ${field.pattern}`);
+    }
+
+    if (field.check) {
+      let passed;
+      try {
+        passed = field.check(value);
+      } catch (error) {
+        throw constraintError(field, 'check', error.message);
+      }
+      if (!passed) {
+        throw constraintError(field, 'check', `${JSON.stringify(value) ?? String(value)} was rejected`);
+      }
+    }
+  }
+
+  /**
+   * Encode a row. Throws a RangeError naming the field when a value does
+   * not fit its type, e.g. a string longer than its VARCHAR.
+   */
+  serialize(obj) {
+    let size = this.nullBitmapSize;
+    const encoded = this.fields.map(field => {
+      const value = obj[field.name];
+      if (value === null || value === undefined) return null;
+      if (field.type.maxLength === undefined) {
+        size += field.type.size;
+        return value;
+      }
+
+      const bytes = this._encodeField(field, value);
+      size += lengthPrefixSize(field.type) + bytes.length;
+      return bytes;
+    });
+
+    const buffer = Buffer.alloc(size);
+    let offset = this.nullBitmapSize;
+
+    this.fields.forEach((field, i) => {
+      const value = encoded[i];
+      if (value === null) {
+        buffer[i >> 3] |= 1 << (i & 7);
+      } else if (field.type.maxLength === undefined) {
+        this._encodeField(field, value, buffer, offset);
+        offset += field.type.size;
+      } else {
+        offset = lengthPrefixSize(field.type) === 4
+          ? buffer.writeUInt32LE(value.length, offset)
+          : buffer.writeUInt16LE(value.length, offset);
+        value.copy(buffer, offset);
+        offset += value.length;
+      }
+    });
+
     return buffer;
   }
 
+  _encodeField(field, value, buffer, offset) {
+    try {
+      return buffer ? field.type.serialize(value, buffer, offset) : field.type.encode(value);
+    } catch (error) {
+      if (error instanceof RangeError) {
+        throw new RangeError(`Field '${field.name}': ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Decode a row; bytes past its end (e.g. fixed-size slot padding) are ignored
+   */
   deserialize(buffer) {
     const obj = {};
-    
-    for (const field of this.fields) {
-      obj[field.name] = field.type.deserialize(buffer, field.offset);
-    }
-    
+    let offset = this.nullBitmapSize;
+
+    this.fields.forEach((field, i) => {
+      if (buffer[i >> 3] & (1 << (i & 7))) {
+        obj[field.name] = null;
+      } else if (field.type.maxLength === undefined) {
+        obj[field.name] = field.type.deserialize(buffer, offset);
+        offset += field.type.size;
+      } else {
+        const prefix = lengthPrefixSize(field.type);
+        const length = prefix === 4 ? buffer.readUInt32LE(offset) : buffer.readUInt16LE(offset);
+        offset += prefix;
+        obj[field.name] = field.type.decode(buffer.subarray(offset, offset + length));
+        offset += length;
+      }
+    });
+
     return obj;
   }
 
@@ -105,13 +573,71 @@ class Schema {
     return {
       totalSize: this.totalSize,
       fieldCount: this.fields.length,
+      primaryKey: [...this.primaryKey],
       fields: this.fields.map(f => ({
         name: f.name,
+        type: f.type.name,
         size: f.size,
-        offset: f.offset
+        nullable: f.nullable,
+        autoIncrement: !!f.autoIncrement
       }))
     };
   }
+
+  /**
+   * Plain description of the fields, suitable for storing in a catalog.
+   * `check` functions and function defaults cannot be stored; `code` names
+   * the options a field had that way, so a schema read back knows what it
+   * is missing (see fromJSON).
+   */
+  toJSON() {
+    const isDefaultKey = this.primaryKey.length === 1 && this.primaryKey[0] === this.fields[0].name;
+
+    return this.fields.map(f => {
+      const field = { name: f.name, type: f.type.name };
+      if (!isDefaultKey && this.primaryKey.includes(f.name)) {
+        field.primaryKey = this.primaryKey.indexOf(f.name); // position in the key
+      }
+      if (f.nullable) field.nullable = true;
+      if (f.autoIncrement) field.autoIncrement = true;
+      if (f.default !== undefined && typeof f.default !== 'function') field.default = f.default;
+      if (f.min !== undefined) field.min = f.min instanceof Date ? f.min.getTime() : f.min;
+      if (f.max !== undefined) field.max = f.max instanceof Date ? f.max.getTime() : f.max;
+      if (f.pattern) field.pattern = { source: f.pattern.source, flags: f.pattern.flags };
+      const code = [];
+      if (f.check) code.push('check');
+      if (typeof f.default === 'function') code.push('default');
+      if (code.length > 0) field.code = code;
+      return field;
+    });
+  }
+
+  /**
+   * Rebuild a schema from `toJSON()` output. Its `unstored` lists the
+   * check functions and function defaults that could not be stored, as
+   * 'field.option' strings; the schema does not enforce them.
+   */
+  static fromJSON(fields) {
+    const types = {};
+    const primaryKey = [];
+    const unstored = [];
+
+    for (const { name, type, primaryKey: position, pattern, code = [], ...options } of fields) {
+      unstored.push(...code.map(option => `${name}.${option}`));
+      types[name] = {
+        ...options,
+        type: parseDataType(type),
+        pattern: pattern && new RegExp(pattern.source, pattern.flags)
+      };
+      if (position !== undefined) {
+        primaryKey[position] = name;
+      }
+    }
+
+    const schema = new Schema(types, primaryKey.length > 0 ? { primaryKey } : {});
+    schema.unstored = unstored;
+    return schema;
+  }
 }
 
 // Pre-defined schemas for common use cases
@@ -127,7 +653,7 @@ const DefaultSchemas = {
   Product: new Schema({
     id: DataTypes.UINT32,
     name: DataTypes.VARCHAR(100),
-    price: DataTypes.DOUBLE,
+    price: DataTypes.DECIMAL(10, 2),
     category_id: DataTypes.UINT32,
     in_stock: DataTypes.BOOLEAN,
     description: DataTypes.VARCHAR(500)
@@ -136,7 +662,7 @@ const DefaultSchemas = {
   // Log entries
   LogEntry: new Schema({
     id: DataTypes.UINT32,
-    timestamp: DataTypes.INT64,
+    timestamp: DataTypes.TIMESTAMP,
     level: DataTypes.VARCHAR(10),
     message: DataTypes.VARCHAR(1000),
     metadata: DataTypes.JSON(500)
@@ -153,7 +679,7 @@ const DefaultSchemas = {
     id: DataTypes.UINT32,
     user_id: DataTypes.UINT32,
     event_type: DataTypes.VARCHAR(50),
-    timestamp: DataTypes.INT64,
+    timestamp: DataTypes.TIMESTAMP,
     properties: DataTypes.JSON(2000)
   })
 };
@@ -161,5 +687,6 @@ const DefaultSchemas = {
 module.exports = {
   DataTypes,
   Schema,
-  DefaultSchemas
+  DefaultSchemas,
+  parseDataType
 };
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * Conversions between the JavaScript values of the DATE, UUID and DECIMAL
+ * types and the integers or bytes they are stored as. Shared by the row
+ * DataTypes and the key codecs so both agree on one encoding.
+ */
+
+const MS_PER_DAY = 86400000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DECIMAL_PATTERN = /^([+-]?)(\d+)(?:\.(\d+))?$/;
+
+/**
+ * 'YYYY-MM-DD' for a number of days since 1970-01-01
+ */
+function fromEpochDays(days) {
+  return new Date(days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Days since 1970-01-01 of a 'YYYY-MM-DD' string or a Date at UTC
+ * midnight; NaN for anything else, including impossible dates
+ */
+function toEpochDays(value) {
+  let ms;
+  if (value instanceof Date) {
+    ms = value.getTime();
+  } else if (typeof value === 'string' && DATE_PATTERN.test(value)) {
+    ms = Date.parse(`${value}T00:00:00Z`);
+  } else {
+    return NaN;
+  }
+
+  if (!Number.isFinite(ms) || ms % MS_PER_DAY !== 0) return NaN;
+
+  const days = ms / MS_PER_DAY;
+  const text = fromEpochDays(days);
+  // Rejects roll-overs such as 2023-02-30 and years past 9999
+  if (!DATE_PATTERN.test(text) || (typeof value === 'string' && text !== value)) return NaN;
+  return days;
+}
+
+function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+function uuidToBytes(uuid) {
+  return Buffer.from(uuid.replace(/-/g, ''), 'hex');
+}
+
+function bytesToUuid(bytes) {
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * A decimal string or number as an integer count of 10^-scale units.
+ * Throws a RangeError saying why when it does not fit DECIMAL(precision, scale).
+ */
+function parseDecimal(value, precision, scale) {
+  const text = typeof value === 'number' ? String(value) : value;
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match) {
+    throw new RangeError(`'${text}' is not a decimal number`);
+  }
+
+  const integer = match[2].replace(/^0+/, '');
+  const fraction = (match[3] || '').replace(/0+$/, '');
+  if (fraction.length > scale) {
+    throw new RangeError(`${text} has more than ${scale} decimal places`);
+  }
+  if (integer.length > precision - scale) {
+    throw new RangeError(`${text} has more than ${precision - scale} digits before the decimal point`);
+  }
+
+  const units = BigInt((integer || '0') + fraction.padEnd(scale, '0'));
+  return match[1] === '-' ? -units : units;
+}
+
+/**
+ * Decimal string with exactly `scale` places for a count of 10^-scale units
+ */
+function formatDecimal(units, scale) {
+  const negative = units < 0n;
+  const digits = (negative ? -units : units).toString().padStart(scale + 1, '0');
+  const text = scale > 0 ? `${digits.slice(0, -scale)}.${digits.slice(-scale)}` : digits;
+  return negative ? `-${text}` : text;
+}
+
+module.exports = {
+  toEpochDays,
+  fromEpochDays,
+  isUuid,
+  uuidToBytes,
+  bytesToUuid,
+  parseDecimal,
+  formatDecimal
+};
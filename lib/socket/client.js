@@ -160,6 +160,16 @@ class DatabaseClient extends EventEmitter {
     })
   }
 
+  /**
+   * Change a table's columns (see Table#alter for `changes`)
+   */
+  async alterTable(tableName, changes) {
+    return await this.sendRequest(MESSAGE_TYPES.ALTER_TABLE, {
+      tableName,
+      changes
+    })
+  }
+
   /**
    * List tables
    */
@@ -168,6 +178,38 @@ class DatabaseClient extends EventEmitter {
     return response.tables
   }
 
+  /**
+   * Run one SQL statement, inside the session's transaction if one is open
+   */
+  async sql(text, params = []) {
+    const response = await this.sendRequest(MESSAGE_TYPES.QUERY, {
+      sql: text,
+      params
+    })
+    return response.result
+  }
+
+  /**
+   * Begin a transaction for this session
+   */
+  async beginTransaction() {
+    return await this.sendRequest(MESSAGE_TYPES.BEGIN_TRANSACTION, {})
+  }
+
+  /**
+   * Commit the session's transaction
+   */
+  async commit() {
+    return await this.sendRequest(MESSAGE_TYPES.COMMIT, {})
+  }
+
+  /**
+   * Roll back the session's transaction
+   */
+  async rollback() {
+    return await this.sendRequest(MESSAGE_TYPES.ROLLBACK, {})
+  }
+
   /**
    * Send a request and wait for response
    */
@@ -370,12 +412,44 @@ class RemoteDatabase {
     return await this.client.createTable(tableName, schema)
   }
 
+  /**
+   * Change a table's columns
+   */
+  async alterTable(tableName, changes) {
+    return await this.client.alterTable(tableName, changes)
+  }
+
   /**
    * List all tables
    */
   async listTables() {
     return await this.client.listTables()
   }
+
+  /**
+   * Run one SQL statement, e.g.
+   * sql('SELECT name FROM users WHERE age > ?', [30])
+   */
+  async sql(text, params = []) {
+    return await this.client.sql(text, params)
+  }
+
+  /**
+   * Run `fn` inside a server-side transaction.
+   * Commits when `fn` resolves, rolls back and rethrows when it rejects.
+   */
+  async transaction(fn) {
+    await this.client.beginTransaction()
+
+    try {
+      const result = await fn(this)
+      await this.client.commit()
+      return result
+    } catch (err) {
+      await this.client.rollback().catch(() => {})
+      throw err
+    }
+  }
 }
 
 /**
@@ -446,6 +520,21 @@ class RemoteTable {
     return response.count
   }
 
+  /**
+   * Group records and compute metrics per group, e.g.
+   * aggregate({ groupBy: ['category'], metrics: { n: { $count: true } } })
+   */
+  async aggregate({ where = {}, groupBy, metrics, having } = {}) {
+    const response = await this.client.sendRequest(MESSAGE_TYPES.AGGREGATE, {
+      tableName: this.name,
+      query: where,
+      groupBy,
+      metrics,
+      having
+    })
+    return response.results
+  }
+
   /**
    * Range query (B+ tree advantage)
    */
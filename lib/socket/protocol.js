@@ -21,6 +21,7 @@ const MESSAGE_TYPES = {
   
   // Database operations
   CREATE_TABLE: 'CREATE_TABLE',
+  ALTER_TABLE: 'ALTER_TABLE',
   GET_TABLE: 'GET_TABLE',
   LIST_TABLES: 'LIST_TABLES',
   DROP_TABLE: 'DROP_TABLE',
@@ -31,6 +32,10 @@ const MESSAGE_TYPES = {
   UPDATE: 'UPDATE',
   DELETE: 'DELETE',
   COUNT: 'COUNT',
+  AGGREGATE: 'AGGREGATE',
+
+  // SQL statements
+  QUERY: 'QUERY',
   
   // Range queries (B+ tree advantage)
   RANGE_QUERY: 'RANGE_QUERY',
@@ -19,6 +19,42 @@ const {
   generateId
 } = require('./protocol')
 
+// A DataType sent as JSON arrives as { name, size, ... }: use its name
+const typeName = (type) => (type && typeof type === 'object' && type.name ? type.name : type)
+
+/**
+ * Schema fields from a CREATE_TABLE message. Each field is a type name such
+ * as 'DECIMAL(10,2)' or "ENUM('a','b')", a DataType, or field options
+ * `{ type, nullable, default, min, max, pattern }`.
+ */
+const parseSchemaFields = (schemaData) => Object.fromEntries(
+  Object.entries(schemaData).map(([name, spec]) => [
+    name,
+    spec && typeof spec === 'object' && spec.type !== undefined
+      ? { ...spec, type: typeName(spec.type) }
+      : typeName(spec),
+  ])
+)
+
+/**
+ * Column changes from an ALTER_TABLE message (see Table#alter), with the
+ * types of added and retyped columns given like schema fields
+ */
+const parseAlterChanges = (changes = {}) => {
+  const withTypeName = (spec) => (spec && spec.type !== undefined ? { ...spec, type: typeName(spec.type) } : spec)
+  const parsed = { ...changes }
+
+  for (const key of ['addColumn', 'changeType']) {
+    if (Array.isArray(changes[key])) parsed[key] = changes[key].map(withTypeName)
+    else if (changes[key] !== undefined) parsed[key] = withTypeName(changes[key])
+  }
+
+  return parsed
+}
+
+// UPDATE and DELETE take a primary key (a scalar or composite array) or a where clause
+const isKeyQuery = (query) => query === null || typeof query !== 'object' || Array.isArray(query)
+
 class DatabaseServer extends EventEmitter {
   constructor(options = {}) {
     super()
@@ -121,6 +157,7 @@ class DatabaseServer extends EventEmitter {
       authenticated: !this.requireAuth,
       sessionId: null,
       database: null,
+      transaction: null,
       connectedAt: Date.now(),
       lastActivity: Date.now()
     }
@@ -157,6 +194,12 @@ class DatabaseServer extends EventEmitter {
    */
   handleDisconnect(client) {
     console.log(`📱 Client disconnected: ${client.id}`)
+
+    // Uncommitted work dies with the session
+    if (client.transaction && client.transaction.isActive()) {
+      client.transaction.rollback()
+    }
+    client.transaction = null
     
     if (client.sessionId) {
       this.sessions.delete(client.sessionId)
@@ -221,6 +264,10 @@ class DatabaseServer extends EventEmitter {
         await this.handleCreateTable(client, message)
         break
         
+      case MESSAGE_TYPES.ALTER_TABLE:
+        await this.handleAlterTable(client, message)
+        break
+        
       case MESSAGE_TYPES.GET_TABLE:
         await this.handleGetTable(client, message)
         break
@@ -248,10 +295,30 @@ class DatabaseServer extends EventEmitter {
       case MESSAGE_TYPES.COUNT:
         await this.handleCount(client, message)
         break
+
+      case MESSAGE_TYPES.AGGREGATE:
+        await this.handleAggregate(client, message)
+        break
         
       case MESSAGE_TYPES.RANGE_QUERY:
         await this.handleRangeQuery(client, message)
         break
+
+      case MESSAGE_TYPES.QUERY:
+        await this.handleQuery(client, message)
+        break
+
+      case MESSAGE_TYPES.BEGIN_TRANSACTION:
+        await this.handleBeginTransaction(client, message)
+        break
+
+      case MESSAGE_TYPES.COMMIT:
+        await this.handleCommit(client, message)
+        break
+
+      case MESSAGE_TYPES.ROLLBACK:
+        await this.handleRollback(client, message)
+        break
         
       case MESSAGE_TYPES.PING:
         this.sendMessage(client, createMessage(MESSAGE_TYPES.PONG, {}, message.id))
@@ -356,7 +423,7 @@ class DatabaseServer extends EventEmitter {
     const { tableName, schema: schemaData } = message.data
     
     try {
-      const schema = new Schema(schemaData)
+      const schema = new Schema(parseSchemaFields(schemaData))
       const table = await client.database.createTable(tableName, schema)
       
       this.sendMessage(client, createSuccessResponse(message.id, {
@@ -373,6 +440,57 @@ class DatabaseServer extends EventEmitter {
     }
   }
 
+  /**
+   * Handle alter table operation. Schema changes are not part of a
+   * session's transaction; they apply to the table straight away.
+   */
+  async handleAlterTable(client, message) {
+    if (!client.database) {
+      this.sendMessage(client, createErrorResponse(
+        message.id,
+        ERROR_CODES.CONNECTION_ERROR,
+        'No database connected'
+      ))
+      return
+    }
+
+    const { tableName, changes } = message.data
+
+    let table
+    try {
+      table = await client.database.getTable(tableName)
+    } catch (err) {
+      this.sendMessage(client, createErrorResponse(
+        message.id,
+        ERROR_CODES.TABLE_NOT_FOUND,
+        err.message
+      ))
+      return
+    }
+
+    try {
+      if (typeof table.alter !== 'function') {
+        throw new Error('Alter is only supported for B+ tree tables')
+      }
+
+      const info = await table.alter(parseAlterChanges(changes))
+      this.sendMessage(client, createSuccessResponse(message.id, {
+        tableName,
+        altered: true,
+        schemaVersion: info.schemaVersion,
+        records: info.records,
+        schema: info.schema
+      }))
+    } catch (err) {
+      this.sendMessage(client, createErrorResponse(
+        message.id,
+        ERROR_CODES.INVALID_SCHEMA,
+        err.message,
+        err.details
+      ))
+    }
+  }
+
   /**
    * Handle table operations
    */
@@ -387,7 +505,8 @@ class DatabaseServer extends EventEmitter {
       this.sendMessage(client, createErrorResponse(
         message.id,
         ERROR_CODES.INVALID_QUERY,
-        err.message
+        err.message,
+        err.details
       ))
     }
   }
@@ -397,14 +516,15 @@ class DatabaseServer extends EventEmitter {
     if (!table) return
 
     try {
-      const { query = {}, limit, offset } = message.data
-      const results = await table.find(query, { limit, offset })
+      const { query = {}, limit, offset, select, orderBy } = message.data
+      const results = await table.read({ where: query, limit, offset, select, orderBy })
       this.sendMessage(client, createSuccessResponse(message.id, { results }))
     } catch (err) {
       this.sendMessage(client, createErrorResponse(
         message.id,
         ERROR_CODES.INVALID_QUERY,
-        err.message
+        err.message,
+        err.details
       ))
     }
   }
@@ -415,13 +535,16 @@ class DatabaseServer extends EventEmitter {
 
     try {
       const { query, updates } = message.data
-      const result = await table.update(query, updates)
+      const result = isKeyQuery(query)
+        ? await table.update(query, updates)
+        : await table.updateWhere(query, updates)
       this.sendMessage(client, createSuccessResponse(message.id, { updated: result }))
     } catch (err) {
       this.sendMessage(client, createErrorResponse(
         message.id,
         ERROR_CODES.INVALID_QUERY,
-        err.message
+        err.message,
+        err.details
       ))
     }
   }
@@ -431,13 +554,17 @@ class DatabaseServer extends EventEmitter {
     if (!table) return
 
     try {
-      const result = await table.delete(message.data.query)
+      const { query } = message.data
+      const result = isKeyQuery(query)
+        ? await table.delete(query)
+        : await table.deleteWhere(query)
       this.sendMessage(client, createSuccessResponse(message.id, { deleted: result }))
     } catch (err) {
       this.sendMessage(client, createErrorResponse(
         message.id,
         ERROR_CODES.INVALID_QUERY,
-        err.message
+        err.message,
+        err.details
       ))
     }
   }
@@ -447,13 +574,32 @@ class DatabaseServer extends EventEmitter {
     if (!table) return
 
     try {
-      const count = await table.count(message.data.query || {})
+      const count = await table.count(message.data.query)
       this.sendMessage(client, createSuccessResponse(message.id, { count }))
     } catch (err) {
       this.sendMessage(client, createErrorResponse(
         message.id,
         ERROR_CODES.INVALID_QUERY,
-        err.message
+        err.message,
+        err.details
+      ))
+    }
+  }
+
+  async handleAggregate(client, message) {
+    const table = await this.getTable(client, message)
+    if (!table) return
+
+    try {
+      const { query, groupBy, metrics, having } = message.data
+      const results = await table.aggregate({ where: query, groupBy, metrics, having })
+      this.sendMessage(client, createSuccessResponse(message.id, { results }))
+    } catch (err) {
+      this.sendMessage(client, createErrorResponse(
+        message.id,
+        ERROR_CODES.INVALID_QUERY,
+        err.message,
+        err.details
       ))
     }
   }
@@ -470,11 +616,124 @@ class DatabaseServer extends EventEmitter {
       this.sendMessage(client, createErrorResponse(
         message.id,
         ERROR_CODES.INVALID_QUERY,
+        err.message,
+        err.details
+      ))
+    }
+  }
+
+  /**
+   * Handle a SQL statement ({ sql, params }), run in the session's
+   * transaction when one is open
+   */
+  async handleQuery(client, message) {
+    if (!client.database) {
+      this.sendMessage(client, createErrorResponse(
+        message.id,
+        ERROR_CODES.CONNECTION_ERROR,
+        'No database connected'
+      ))
+      return
+    }
+
+    try {
+      const { sql, params } = message.data
+      const runner = client.transaction && client.transaction.isActive() ? client.transaction : client.database
+      const result = await runner.sql(sql, params)
+      this.sendMessage(client, createSuccessResponse(message.id, { result }))
+    } catch (err) {
+      this.sendMessage(client, createErrorResponse(
+        message.id,
+        ERROR_CODES.INVALID_QUERY,
+        err.message,
+        err.details
+      ))
+    }
+  }
+
+  /**
+   * Handle transaction control (one open transaction per client session)
+   */
+  async handleBeginTransaction(client, message) {
+    if (!client.database) {
+      this.sendMessage(client, createErrorResponse(
+        message.id,
+        ERROR_CODES.CONNECTION_ERROR,
+        'No database connected'
+      ))
+      return
+    }
+
+    if (client.transaction && client.transaction.isActive()) {
+      this.sendMessage(client, createErrorResponse(
+        message.id,
+        ERROR_CODES.TRANSACTION_ERROR,
+        'A transaction is already in progress'
+      ))
+      return
+    }
+
+    try {
+      client.transaction = client.database.beginTransaction()
+      this.sendMessage(client, createSuccessResponse(message.id, {
+        transactionId: client.transaction.id
+      }))
+    } catch (err) {
+      this.sendMessage(client, createErrorResponse(
+        message.id,
+        ERROR_CODES.TRANSACTION_ERROR,
         err.message
       ))
     }
   }
 
+  async handleCommit(client, message) {
+    const transaction = this.getTransaction(client, message)
+    if (!transaction) return
+
+    client.transaction = null
+
+    try {
+      await transaction.commit()
+      this.sendMessage(client, createSuccessResponse(message.id, {
+        transactionId: transaction.id,
+        committed: true
+      }))
+    } catch (err) {
+      this.sendMessage(client, createErrorResponse(
+        message.id,
+        ERROR_CODES.TRANSACTION_ERROR,
+        err.message
+      ))
+    }
+  }
+
+  async handleRollback(client, message) {
+    const transaction = this.getTransaction(client, message)
+    if (!transaction) return
+
+    client.transaction = null
+
+    await transaction.rollback()
+    this.sendMessage(client, createSuccessResponse(message.id, {
+      transactionId: transaction.id,
+      rolledBack: true
+    }))
+  }
+
+  getTransaction(client, message) {
+    if (!client.transaction || !client.transaction.isActive()) {
+      this.sendMessage(client, createErrorResponse(
+        message.id,
+        ERROR_CODES.TRANSACTION_ERROR,
+        'No transaction in progress'
+      ))
+      return null
+    }
+
+    return client.transaction
+  }
+
   async handleListTables(client, message) {
     if (!client.database) {
       this.sendMessage(client, createErrorResponse(
@@ -486,7 +745,7 @@ class DatabaseServer extends EventEmitter {
     }
 
     try {
-      const tables = Array.from(client.database.tables.keys())
+      const tables = client.database.listTables()
       this.sendMessage(client, createSuccessResponse(message.id, { tables }))
     } catch (err) {
       this.sendMessage(client, createErrorResponse(
@@ -512,6 +771,12 @@ class DatabaseServer extends EventEmitter {
 
     try {
       const table = await client.database.getTable(message.data.tableName)
+
+      // Inside a transaction, operate on the transaction's view of the table
+      if (client.transaction && client.transaction.isActive()) {
+        return client.transaction.table(message.data.tableName)
+      }
+
       return table
     } catch (err) {
       this.sendMessage(client, createErrorResponse(
@@ -0,0 +1,390 @@
+/**
+ * SQL Executor
+ *
+ * Runs parsed statements (see ./parser) through the Table and Database
+ * APIs:
+ *
+ *   CREATE TABLE   Database#createTable
+ *   CREATE INDEX   Table#createIndex
+ *   INSERT         Table#create, several rows in one transaction
+ *   SELECT         Table#read, Table#aggregate (aggregates or GROUP BY) or
+ *                  Database#query (joins)
+ *   UPDATE         Table#updateWhere
+ *   DELETE         Table#deleteWhere
+ *
+ * WHERE and HAVING become Mongo-style where clauses, so they are planned
+ * like any other query; as in SQL, a comparison with NULL matches nothing.
+ * Inside a transaction, reads and writes go through the transaction; joins
+ * and schema changes are not available there.
+ */
+
+const { Schema } = require('../schema/index')
+const { queryError } = require('../core/query')
+const { createResolver } = require('../core/join')
+const { recordComparator } = require('../core/sort')
+
+const COMPARISON_OPERATORS = { '<': '$lt', '<=': '$lte', '>': '$gt', '>=': '$gte' }
+
+// How an aggregate call is named in results without an alias: COUNT(*), SUM(price)
+const aggregateName = ({ fn, column }) => `${fn}(${column || '*'})`
+
+// The metric operator for an aggregate call
+const metricFor = ({ fn, column }) => (column === null ? { $count: true } : { [`$${fn.toLowerCase()}`]: column })
+
+/**
+ * A where clause for a WHERE or HAVING condition. `nameOf(operand)` gives
+ * the field name a column or aggregate stands for, `valueOf(value)` the
+ * value of a literal or parameter.
+ *
+ * As in SQL, a predicate on a NULL column is neither true nor false, so it
+ * matches under NOT no more than without it: NOT is pushed down to the
+ * predicates, and each negated one also requires its column to be set.
+ */
+function whereClause(condition, nameOf, valueOf) {
+  // The rows where `node` is true, or with `negate` where it is false
+  const clause = (node, negate = false) => {
+    switch (node.type) {
+      case 'and': return { [negate ? '$or' : '$and']: node.items.map(item => clause(item, negate)) }
+      case 'or': return { [negate ? '$and' : '$or']: node.items.map(item => clause(item, negate)) }
+      case 'not': return clause(node.item, !negate)
+    }
+
+    const field = nameOf(node.column)
+    if (node.type === 'isNull') return { [field]: { $exists: node.not !== negate } }
+
+    const nothing = { [field]: { $in: [] } }
+    let negated = !!node.not !== negate
+    let test
+    switch (node.type) {
+      case 'compare': {
+        // A comparison with NULL is never true; IS NULL tests for it
+        const value = valueOf(node.value)
+        if (value === null) return nothing
+        if (node.op === '!=') negated = !negated
+        test = node.op === '=' || node.op === '!=' ? { $eq: value } : { [COMPARISON_OPERATORS[node.op]]: value }
+        break
+      }
+      case 'in': {
+        // NULL in the list matches no value, and keeps NOT IN from ever holding
+        const values = node.values.map(valueOf)
+        if (negated && values.includes(null)) return nothing
+        test = { $in: values.filter(value => value !== null) }
+        break
+      }
+      case 'between':
+        test = { $between: [valueOf(node.low), valueOf(node.high)] }
+        break
+      case 'like':
+        test = { $like: valueOf(node.pattern) }
+        break
+    }
+    return { [field]: negated ? { $exists: true, $not: test } : test }
+  }
+
+  return condition ? clause(condition) : undefined
+}
+
+class Executor {
+  /**
+   * @param {Database} db
+   * @param {Object} [options]
+   * @param {Array} [options.params] - values for ? placeholders, in order
+   * @param {Transaction} [options.transaction] - run reads and writes in it
+   */
+  constructor(db, { params = [], transaction = null } = {}) {
+    if (!Array.isArray(params)) throw queryError('SQL parameters must be an array')
+    this.db = db
+    this.params = params
+    this.transaction = transaction
+  }
+
+  async execute(statement) {
+    if (this.params.length > statement.paramCount) {
+      throw queryError(`${this.params.length} parameters given for ${statement.paramCount} placeholders`)
+    }
+
+    switch (statement.type) {
+      case 'createTable': return await this.createTable(statement)
+      case 'createIndex': return await this.createIndex(statement)
+      case 'insert': return await this.insert(statement)
+      case 'select': return await this.select(statement)
+      case 'update': return await this.update(statement)
+      case 'delete': return await this.delete(statement)
+    }
+  }
+
+  value(node) {
+    if (node.type === 'literal') return node.value
+    if (node.index >= this.params.length) {
+      throw queryError(`No value given for parameter ${node.index + 1}`)
+    }
+    return this.params[node.index]
+  }
+
+  // LIMIT and OFFSET values
+  count(node, what) {
+    if (!node) return undefined
+    const value = this.value(node)
+    if (!Number.isInteger(value) || value < 0) {
+      throw queryError(`${what} must be a non-negative integer`)
+    }
+    return value
+  }
+
+  // Where reads and writes go: the table itself or its view in the transaction
+  async target(name) {
+    const table = await this.db.getTable(name)
+    return { table, target: this.transaction ? this.transaction.table(name) : table }
+  }
+
+  assertNoTransaction(what) {
+    if (this.transaction) throw queryError(`${what} cannot run inside a transaction`)
+  }
+
+  // The field a column of a single-table statement names, accepting `table.field`
+  fieldOf(table, names) {
+    return (operand) => {
+      if (operand.type === 'aggregate') throw queryError(`${aggregateName(operand)} cannot be used here`)
+
+      let name = operand.name
+      const dot = name.indexOf('.')
+      if (dot !== -1) {
+        if (!names.includes(name.slice(0, dot))) throw queryError(`Unknown table '${name.slice(0, dot)}'`)
+        name = name.slice(dot + 1)
+      }
+      if (!table.schema.getField(name)) throw queryError(`Unknown column '${name}'`)
+      return name
+    }
+  }
+
+  async createTable(statement) {
+    this.assertNoTransaction('CREATE TABLE')
+    if (statement.ifNotExists && this.db.listTables().includes(statement.table)) {
+      return { success: true, table: statement.table, created: false }
+    }
+
+    const primaryKey = statement.primaryKey || [statement.columns[0].name]
+    const fields = {}
+    for (const column of statement.columns) {
+      if (fields[column.name]) throw queryError(`Column '${column.name}' is given twice`)
+
+      const field = { type: column.dataType }
+      // SQL columns accept NULL unless they say otherwise
+      if (!column.notNull && !primaryKey.includes(column.name)) field.nullable = true
+      if (column.nullable) field.nullable = true
+      if (column.default !== undefined) field.default = this.value(column.default)
+      if (column.autoIncrement) field.autoIncrement = true
+      fields[column.name] = field
+    }
+
+    await this.db.createTable(statement.table, new Schema(fields, { primaryKey }))
+    return { success: true, table: statement.table, created: true }
+  }
+
+  async createIndex({ table: name, column, unique }) {
+    this.assertNoTransaction('CREATE INDEX')
+    const table = await this.db.getTable(name)
+    await table.createIndex(column, { unique })
+    return { success: true, table: name, index: column }
+  }
+
+  async insert(statement) {
+    const { table, target } = await this.target(statement.table)
+    const columns = statement.columns || table.schema.getFields().map(field => field.name)
+    const fieldOf = this.fieldOf(table, [statement.table])
+    columns.forEach(name => fieldOf({ type: 'column', name }))
+
+    const records = statement.rows.map((row, i) => {
+      if (row.length !== columns.length) {
+        throw queryError(`INSERT lists ${columns.length} columns but row ${i + 1} has ${row.length} values`)
+      }
+      return Object.fromEntries(columns.map((name, j) => [name, this.value(row[j])]))
+    })
+
+    const createAll = async (target) => {
+      const keys = []
+      for (const record of records) {
+        keys.push((await target.create(record)).key)
+      }
+      return { success: true, count: keys.length, keys }
+    }
+
+    if (this.transaction || records.length === 1) {
+      return await createAll(target)
+    }
+    // All rows or none
+    return await this.db.transaction(tx => createAll(tx.table(statement.table)))
+  }
+
+  async update(statement) {
+    const { table, target } = await this.target(statement.table)
+    const fieldOf = this.fieldOf(table, [statement.table])
+    const data = {}
+    for (const { column, value } of statement.set) {
+      data[fieldOf({ type: 'column', name: column })] = this.value(value)
+    }
+
+    const where = whereClause(statement.where, fieldOf, node => this.value(node))
+    return await target.updateWhere(where || {}, data)
+  }
+
+  async delete(statement) {
+    const { table, target } = await this.target(statement.table)
+    const where = whereClause(statement.where, this.fieldOf(table, [statement.table]), node => this.value(node))
+    return await target.deleteWhere(where || {})
+  }
+
+  async select(statement) {
+    const aggregated = statement.groupBy.length > 0 || statement.having !== null ||
+      statement.columns.some(column => column.type === 'aggregate')
+
+    if (statement.joins.length > 0) {
+      if (aggregated) throw queryError('Aggregates and GROUP BY cannot be combined with JOIN')
+      this.assertNoTransaction('A JOIN')
+      return await this.selectJoined(statement)
+    }
+    return aggregated ? await this.selectAggregated(statement) : await this.selectRows(statement)
+  }
+
+  // The select list as [field, output name] pairs, `*` expanded
+  selectList(statement, fieldOf, starFields) {
+    return statement.columns.flatMap(column => {
+      if (column.type === 'star') return starFields(column.table).map(field => [field, field])
+      const field = fieldOf(column)
+      return [[field, column.alias || field]]
+    })
+  }
+
+  // ORDER BY terms, where a select alias stands for its column
+  orderBy(statement, fieldOf) {
+    return statement.orderBy.map(({ expression, dir }) => {
+      const aliased = expression.type === 'column' &&
+        statement.columns.find(column => column.alias === expression.name && column.type === 'column')
+      return { field: fieldOf(aliased || expression), dir }
+    })
+  }
+
+  async selectRows(statement) {
+    const { table: tableName, alias } = statement.from
+    const { table, target } = await this.target(tableName)
+    const fieldOf = this.fieldOf(table, [tableName, alias])
+    const starFields = (qualifier) => {
+      if (qualifier !== null && qualifier !== alias) throw queryError(`Unknown table '${qualifier}'`)
+      return table.schema.getFields().map(field => field.name)
+    }
+
+    const columns = this.selectList(statement, fieldOf, starFields)
+    const records = await target.read({
+      where: whereClause(statement.where, fieldOf, node => this.value(node)),
+      orderBy: this.orderBy(statement, fieldOf),
+      select: [...new Set(columns.map(([field]) => field))],
+      offset: this.count(statement.offset, 'OFFSET'),
+      limit: this.count(statement.limit, 'LIMIT')
+    })
+
+    return records.map(record => Object.fromEntries(columns.map(([field, name]) => [name, record[field]])))
+  }
+
+  async selectAggregated(statement) {
+    const { table: tableName, alias } = statement.from
+    const { table, target } = await this.target(tableName)
+    const fieldOf = this.fieldOf(table, [tableName, alias])
+    const groupBy = statement.groupBy.map(name => fieldOf({ type: 'column', name }))
+
+    // Aggregate calls become metrics, named by their alias in the select list if any
+    const metrics = {}
+    const metricFields = {}
+    const metricName = (call, alias) => {
+      const operand = { ...call, column: call.column === null ? null : fieldOf({ type: 'column', name: call.column }) }
+      const name = alias || aggregateName(operand)
+      if (metrics[name] && JSON.stringify(metrics[name]) !== JSON.stringify(metricFor(operand))) {
+        throw queryError(`Column name '${name}' is used twice`)
+      }
+      metrics[name] = metricFor(operand)
+      metricFields[name] = operand.fn === 'SUM' || operand.fn === 'MIN' || operand.fn === 'MAX' ? operand.column : null
+      return name
+    }
+
+    const columns = statement.columns.map(column => {
+      if (column.type === 'star') throw queryError('SELECT * cannot be combined with aggregates or GROUP BY')
+      if (column.type === 'aggregate') {
+        const name = metricName(column, column.alias)
+        return [name, name]
+      }
+      const field = fieldOf(column)
+      if (!groupBy.includes(field)) {
+        throw queryError(`Column '${field}' must be in GROUP BY or used in an aggregate`)
+      }
+      return [field, column.alias || field]
+    })
+
+    // HAVING and ORDER BY may name select aliases, group fields or other aggregates
+    const nameOf = (operand) => {
+      if (operand.type === 'aggregate') {
+        const selected = statement.columns.find(column => column.type === 'aggregate' &&
+          aggregateName(column) === aggregateName(operand))
+        return selected ? metricName(selected, selected.alias) : metricName(operand)
+      }
+      const aliased = statement.columns.find(column => column.alias === operand.name)
+      if (aliased) return aliased.type === 'aggregate' ? aliased.alias : fieldOf(aliased)
+      return fieldOf(operand)
+    }
+
+    const having = whereClause(statement.having, nameOf, node => this.value(node))
+    const orderBy = statement.orderBy.map(({ expression, dir }) => ({ field: nameOf(expression), dir }))
+
+    let rows = await target.aggregate({
+      where: whereClause(statement.where, fieldOf, node => this.value(node)),
+      groupBy,
+      metrics,
+      having
+    })
+
+    if (orderBy.length > 0) {
+      const compareFor = (name) => table._valueCompare(metricFields[name] || name)
+      rows.sort(recordComparator(orderBy, compareFor))
+    }
+    const offset = this.count(statement.offset, 'OFFSET') || 0
+    const limit = this.count(statement.limit, 'LIMIT')
+    rows = rows.slice(offset, limit === undefined ? undefined : offset + limit)
+
+    return rows.map(row => Object.fromEntries(columns.map(([field, name]) => [name, row[field]])))
+  }
+
+  async selectJoined(statement) {
+    const sources = [statement.from, ...statement.joins]
+    const tables = new Map()
+    for (const { table, alias } of sources) {
+      if (tables.has(alias)) throw queryError(`Table name '${alias}' is used twice; give one of them another name with AS`)
+      tables.set(alias, await this.db.getTable(table))
+    }
+    const resolve = createResolver(sources, tables)
+    const fieldOf = (operand) => {
+      if (operand.type === 'aggregate') throw queryError(`${aggregateName(operand)} cannot be used here`)
+      return resolve(operand.name).name
+    }
+    const starFields = (qualifier) => {
+      if (qualifier !== null && !tables.has(qualifier)) throw queryError(`Unknown table '${qualifier}'`)
+      const aliases = qualifier === null ? sources.map(({ alias }) => alias) : [qualifier]
+      return aliases.flatMap(alias => tables.get(alias).schema.getFields().map(field => `${alias}.${field.name}`))
+    }
+
+    const columns = this.selectList(statement, fieldOf, starFields)
+    const rows = await this.db.query({
+      from: { table: statement.from.table, as: statement.from.alias },
+      join: statement.joins.map(({ table, alias, type, on }) => ({ table, as: alias, type, on: Object.fromEntries(on) })),
+      where: whereClause(statement.where, fieldOf, node => this.value(node)),
+      orderBy: this.orderBy(statement, fieldOf),
+      select: [...new Set(columns.map(([field]) => field))],
+      offset: this.count(statement.offset, 'OFFSET'),
+      limit: this.count(statement.limit, 'LIMIT')
+    })
+
+    return rows.map(row => Object.fromEntries(columns.map(([field, name]) => [name, row[field]])))
+  }
+}
+
+module.exports = {
+  Executor,
+  whereClause,
+}
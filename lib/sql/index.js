@@ -0,0 +1,27 @@
+/**
+ * SQL Module - a small SQL dialect over the Table and Database APIs
+ *
+ * Supports CREATE TABLE, CREATE INDEX, INSERT, SELECT (with JOIN, WHERE,
+ * GROUP BY, HAVING, ORDER BY, LIMIT and OFFSET), UPDATE and DELETE; one
+ * statement per call, with ? placeholders for values.
+ */
+
+const { tokenize } = require('./tokenizer')
+const { parse } = require('./parser')
+const { Executor } = require('./executor')
+
+/**
+ * Parse and run one statement against `db`. SELECT resolves to rows; other
+ * statements to a result object such as { success, count, keys }.
+ */
+async function executeSql(db, text, params = [], options = {}) {
+  const statement = parse(text)
+  return await new Executor(db, { ...options, params }).execute(statement)
+}
+
+module.exports = {
+  tokenize,
+  parse,
+  Executor,
+  executeSql
+}
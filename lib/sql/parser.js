@@ -0,0 +1,443 @@
+/**
+ * SQL Parser
+ *
+ * Parses one statement into a plain object tree (see ./executor for what
+ * runs it):
+ *
+ *   { type: 'createTable', table, ifNotExists, columns: [{ name, dataType,
+ *     primaryKey, notNull, nullable, default, autoIncrement }], primaryKey }
+ *   { type: 'createIndex', table, column, unique }
+ *   { type: 'insert', table, columns, rows: [[value]] }
+ *   { type: 'select', columns, from, joins, where, groupBy, having, orderBy,
+ *     limit, offset }
+ *   { type: 'update', table, set: [{ column, value }], where }
+ *   { type: 'delete', table, where }
+ *
+ * Every statement also has `paramCount`, the number of ? placeholders in
+ * it. Values are `{ type: 'literal', value }` or `{ type: 'param', index }`.
+ * Conditions are `{ type: 'and' | 'or', items }`, `{ type: 'not', item }`,
+ * `{ type: 'compare', column, op, value }`, `{ type: 'in', column, values }`,
+ * `{ type: 'between', column, low, high }`, `{ type: 'like', column,
+ * pattern }` and `{ type: 'isNull', column }`, the last four with `not`.
+ * A column is `{ type: 'column', name }`, its name qualified ('u.name') or
+ * not, or in HAVING an aggregate `{ type: 'aggregate', fn, column }`.
+ */
+
+const { tokenize, sqlError } = require('./tokenizer')
+
+// Words that cannot be used unquoted as table or column names
+const RESERVED = new Set([
+  'ALL', 'AND', 'AS', 'ASC', 'BETWEEN', 'BY', 'CREATE', 'DEFAULT', 'DELETE', 'DESC', 'DISTINCT',
+  'EXISTS', 'FALSE', 'FROM', 'GROUP', 'HAVING', 'IF', 'IN', 'INDEX', 'INNER', 'INSERT', 'INTO',
+  'IS', 'JOIN', 'KEY', 'LEFT', 'LIKE', 'LIMIT', 'NOT', 'NULL', 'OFFSET', 'ON', 'OR', 'ORDER',
+  'OUTER', 'PRIMARY', 'SELECT', 'SET', 'TABLE', 'TRUE', 'UNIQUE', 'UPDATE', 'VALUES', 'WHERE'
+])
+
+const AGGREGATES = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX']
+
+const COMPARISONS = { '=': '=', '!=': '!=', '<>': '!=', '<': '<', '<=': '<=', '>': '>', '>=': '>=' }
+
+// SQL type names that the schema knows under another name
+const TYPE_ALIASES = { INT: 'INT32', INTEGER: 'INT32', BIGINT: 'INT64', BOOL: 'BOOLEAN', REAL: 'DOUBLE' }
+
+class Parser {
+  constructor(text) {
+    this.text = text
+    this.tokens = tokenize(text)
+    this.position = 0
+  }
+
+  get token() {
+    return this.tokens[this.position]
+  }
+
+  error(message, token = this.token) {
+    return sqlError(message, this.text, token.position)
+  }
+
+  // What a token looks like in error messages
+  describe(token = this.token) {
+    switch (token.type) {
+      case 'end': return 'end of statement'
+      case 'string': return `'${token.value}'`
+      case 'param': return '?'
+      case 'identifier': return `"${token.value}"`
+      default: return `'${token.value}'`
+    }
+  }
+
+  isKeyword(...words) {
+    return this.token.type === 'word' && words.includes(this.token.upper)
+  }
+
+  isSymbol(...symbols) {
+    return this.token.type === 'symbol' && symbols.includes(this.token.value)
+  }
+
+  // Consume the keyword(s) if they come next
+  acceptKeyword(...words) {
+    const start = this.position
+    for (const word of words) {
+      if (!this.isKeyword(word)) {
+        this.position = start
+        return false
+      }
+      this.position++
+    }
+    return true
+  }
+
+  acceptSymbol(symbol) {
+    if (!this.isSymbol(symbol)) return false
+    this.position++
+    return true
+  }
+
+  expectKeyword(...words) {
+    for (const word of words) {
+      if (!this.acceptKeyword(word)) throw this.error(`Expected ${word} but found ${this.describe()}`)
+    }
+  }
+
+  expectSymbol(symbol) {
+    if (!this.acceptSymbol(symbol)) throw this.error(`Expected '${symbol}' but found ${this.describe()}`)
+  }
+
+  // A table or column name
+  name(what = 'a name') {
+    const token = this.token
+    if (token.type === 'identifier' || (token.type === 'word' && !RESERVED.has(token.upper))) {
+      this.position++
+      return token.value
+    }
+    throw this.error(`Expected ${what} but found ${this.describe()}`)
+  }
+
+  // A column name, optionally qualified by a table name: users.name
+  columnName() {
+    const first = this.name('a column name')
+    return this.acceptSymbol('.') ? `${first}.${this.name('a column name')}` : first
+  }
+
+  // A comma-separated list of what `item` parses
+  list(item) {
+    const items = [item()]
+    while (this.acceptSymbol(',')) items.push(item())
+    return items
+  }
+
+  parenthesized(item) {
+    this.expectSymbol('(')
+    const items = this.list(item)
+    this.expectSymbol(')')
+    return items
+  }
+
+  parseStatement() {
+    let statement
+    if (this.acceptKeyword('SELECT')) statement = this.select()
+    else if (this.acceptKeyword('INSERT')) statement = this.insert()
+    else if (this.acceptKeyword('UPDATE')) statement = this.update()
+    else if (this.acceptKeyword('DELETE')) statement = this.delete()
+    else if (this.acceptKeyword('CREATE')) statement = this.create()
+    else throw this.error(`Expected SELECT, INSERT, UPDATE, DELETE or CREATE but found ${this.describe()}`)
+
+    this.acceptSymbol(';')
+    if (this.token.type !== 'end') {
+      throw this.error(`Unexpected ${this.describe()} after the end of the statement`)
+    }
+    statement.paramCount = this.tokens.filter(token => token.type === 'param').length
+    return statement
+  }
+
+  // A literal or ? placeholder
+  value() {
+    const token = this.token
+    if (token.type === 'param') {
+      this.position++
+      return { type: 'param', index: token.index }
+    }
+    if (token.type === 'string') {
+      this.position++
+      return { type: 'literal', value: token.value }
+    }
+    if (this.isSymbol('-', '+') && this.tokens[this.position + 1].type === 'number') {
+      const sign = token.value === '-' ? -1 : 1
+      this.position += 2
+      return { type: 'literal', value: sign * this.tokens[this.position - 1].value }
+    }
+    if (token.type === 'number') {
+      this.position++
+      return { type: 'literal', value: token.value }
+    }
+    if (this.acceptKeyword('NULL')) return { type: 'literal', value: null }
+    if (this.acceptKeyword('TRUE')) return { type: 'literal', value: true }
+    if (this.acceptKeyword('FALSE')) return { type: 'literal', value: false }
+    throw this.error(`Expected a value but found ${this.describe()}`)
+  }
+
+  // CREATE TABLE ... or CREATE [UNIQUE] INDEX ...
+  create() {
+    if (this.acceptKeyword('TABLE')) return this.createTable()
+
+    const unique = this.acceptKeyword('UNIQUE')
+    this.expectKeyword('INDEX')
+    // The index name is optional; indexes are known by their column
+    if (!this.isKeyword('ON')) this.name('an index name')
+    this.expectKeyword('ON')
+    const table = this.name('a table name')
+    const start = this.token
+    const columns = this.parenthesized(() => this.name('a column name'))
+    if (columns.length !== 1) throw this.error('An index covers exactly one column', start)
+    return { type: 'createIndex', table, column: columns[0], unique }
+  }
+
+  createTable() {
+    const ifNotExists = this.acceptKeyword('IF', 'NOT', 'EXISTS')
+    const table = this.name('a table name')
+    const columns = []
+    let primaryKey = null
+
+    this.expectSymbol('(')
+    do {
+      if (this.acceptKeyword('PRIMARY')) {
+        this.expectKeyword('KEY')
+        if (primaryKey) throw this.error('The primary key is given twice')
+        primaryKey = this.parenthesized(() => this.name('a column name'))
+      } else {
+        columns.push(this.columnDefinition())
+      }
+    } while (this.acceptSymbol(','))
+    this.expectSymbol(')')
+
+    const inline = columns.filter(column => column.primaryKey).map(column => column.name)
+    if (inline.length > 1 || (inline.length === 1 && primaryKey)) {
+      throw this.error('The primary key is given twice; list several columns with PRIMARY KEY (a, b)')
+    }
+
+    return { type: 'createTable', table, ifNotExists, columns, primaryKey: primaryKey || (inline.length ? inline : null) }
+  }
+
+  // name TYPE [PRIMARY KEY] [NOT NULL | NULL] [DEFAULT value] [AUTO_INCREMENT]
+  columnDefinition() {
+    const column = { name: this.name('a column name'), dataType: this.dataType() }
+
+    while (true) {
+      if (this.acceptKeyword('PRIMARY')) {
+        this.expectKeyword('KEY')
+        column.primaryKey = true
+      } else if (this.acceptKeyword('NOT', 'NULL')) {
+        column.notNull = true
+      } else if (this.acceptKeyword('NULL')) {
+        column.nullable = true
+      } else if (this.acceptKeyword('DEFAULT')) {
+        column.default = this.value()
+      } else if (this.acceptKeyword('AUTO_INCREMENT') || this.acceptKeyword('AUTOINCREMENT')) {
+        column.autoIncrement = true
+      } else {
+        return column
+      }
+    }
+  }
+
+  // A type name as parseDataType reads it: INT, VARCHAR(50), DECIMAL(10,2), ENUM('a','b')
+  dataType() {
+    const token = this.token
+    if (token.type !== 'word') throw this.error(`Expected a data type but found ${this.describe()}`)
+    this.position++
+
+    const name = TYPE_ALIASES[token.upper] || token.upper
+    if (!this.isSymbol('(')) return name
+
+    const args = this.parenthesized(() => {
+      const arg = this.token
+      if (arg.type === 'number') {
+        this.position++
+        return arg.text
+      }
+      if (arg.type === 'string') {
+        this.position++
+        return `'${arg.value.replace(/'/g, "''")}'`
+      }
+      throw this.error(`Expected a type argument but found ${this.describe()}`)
+    })
+    return `${name}(${args.join(',')})`
+  }
+
+  // INSERT INTO table [(columns)] VALUES (...), (...)
+  insert() {
+    this.expectKeyword('INTO')
+    const table = this.name('a table name')
+    const columns = this.isSymbol('(') ? this.parenthesized(() => this.name('a column name')) : null
+    this.expectKeyword('VALUES')
+    const rows = this.list(() => this.parenthesized(() => this.value()))
+    return { type: 'insert', table, columns, rows }
+  }
+
+  // UPDATE table SET column = value, ... [WHERE ...]
+  update() {
+    const table = this.name('a table name')
+    this.expectKeyword('SET')
+    const set = this.list(() => {
+      const column = this.name('a column name')
+      this.expectSymbol('=')
+      return { column, value: this.value() }
+    })
+    return { type: 'update', table, set, where: this.acceptKeyword('WHERE') ? this.condition() : null }
+  }
+
+  // DELETE FROM table [WHERE ...]
+  delete() {
+    this.expectKeyword('FROM')
+    const table = this.name('a table name')
+    return { type: 'delete', table, where: this.acceptKeyword('WHERE') ? this.condition() : null }
+  }
+
+  select() {
+    const columns = this.list(() => this.selectItem())
+    this.expectKeyword('FROM')
+    const from = this.tableReference()
+
+    const joins = []
+    while (this.isKeyword('JOIN', 'INNER', 'LEFT')) {
+      const type = this.acceptKeyword('LEFT') ? 'left' : 'inner'
+      if (type === 'left') this.acceptKeyword('OUTER')
+      else this.acceptKeyword('INNER')
+      this.expectKeyword('JOIN')
+      const joined = this.tableReference()
+      this.expectKeyword('ON')
+      const on = [this.joinCondition()]
+      while (this.acceptKeyword('AND')) on.push(this.joinCondition())
+      joins.push({ ...joined, type, on })
+    }
+
+    const statement = { type: 'select', columns, from, joins, where: null, groupBy: [], having: null, orderBy: [], limit: null, offset: null }
+    if (this.acceptKeyword('WHERE')) statement.where = this.condition()
+    if (this.acceptKeyword('GROUP', 'BY')) statement.groupBy = this.list(() => this.columnName())
+    if (this.acceptKeyword('HAVING')) statement.having = this.condition({ aggregates: true })
+    if (this.acceptKeyword('ORDER', 'BY')) {
+      statement.orderBy = this.list(() => {
+        const expression = this.operand({ aggregates: true })
+        const dir = this.acceptKeyword('DESC') ? 'desc' : (this.acceptKeyword('ASC'), 'asc')
+        return { expression, dir }
+      })
+    }
+    if (this.acceptKeyword('LIMIT')) statement.limit = this.value()
+    if (this.acceptKeyword('OFFSET')) statement.offset = this.value()
+    return statement
+  }
+
+  // *, table.*, column [AS alias] or AGGREGATE(...) [AS alias]
+  selectItem() {
+    if (this.acceptSymbol('*')) return { type: 'star', table: null }
+
+    const next = this.tokens[this.position + 1]
+    const after = this.tokens[this.position + 2]
+    if (next && after && next.type === 'symbol' && next.value === '.' && after.type === 'symbol' && after.value === '*') {
+      const table = this.name('a table name')
+      this.position += 2
+      return { type: 'star', table }
+    }
+
+    const expression = this.operand({ aggregates: true })
+    const alias = this.acceptKeyword('AS') ? this.name('a column alias') : null
+    return { ...expression, alias }
+  }
+
+  // table [[AS] alias]
+  tableReference() {
+    const table = this.name('a table name')
+    const aliased = this.acceptKeyword('AS')
+    const alias = aliased || this.token.type === 'identifier' || (this.token.type === 'word' && !RESERVED.has(this.token.upper))
+      ? this.name('a table alias')
+      : table
+    return { table, alias }
+  }
+
+  // a.x = b.y
+  joinCondition() {
+    const left = this.columnName()
+    this.expectSymbol('=')
+    return [left, this.columnName()]
+  }
+
+  // A column, or an aggregate call where `aggregates` allows it
+  operand({ aggregates = false } = {}) {
+    const token = this.token
+    const call = this.tokens[this.position + 1]
+    if (token.type === 'word' && AGGREGATES.includes(token.upper) && call.type === 'symbol' && call.value === '(') {
+      if (!aggregates) throw this.error(`${token.upper}() cannot be used here`)
+      this.position += 2
+      const column = token.upper === 'COUNT' && this.acceptSymbol('*') ? null : this.columnName()
+      this.expectSymbol(')')
+      return { type: 'aggregate', fn: token.upper, column }
+    }
+    return { type: 'column', name: this.columnName() }
+  }
+
+  // OR of ANDs of (possibly negated) predicates
+  condition(options = {}) {
+    const items = [this.conjunction(options)]
+    while (this.acceptKeyword('OR')) items.push(this.conjunction(options))
+    return items.length === 1 ? items[0] : { type: 'or', items }
+  }
+
+  conjunction(options) {
+    const items = [this.negation(options)]
+    while (this.acceptKeyword('AND')) items.push(this.negation(options))
+    return items.length === 1 ? items[0] : { type: 'and', items }
+  }
+
+  negation(options) {
+    if (this.acceptKeyword('NOT')) return { type: 'not', item: this.negation(options) }
+    if (this.acceptSymbol('(')) {
+      const inner = this.condition(options)
+      this.expectSymbol(')')
+      return inner
+    }
+    return this.predicate(options)
+  }
+
+  predicate(options) {
+    const column = this.operand(options)
+
+    if (this.token.type === 'symbol' && COMPARISONS[this.token.value]) {
+      const op = COMPARISONS[this.token.value]
+      this.position++
+      return { type: 'compare', column, op, value: this.value() }
+    }
+
+    if (this.acceptKeyword('IS')) {
+      const not = this.acceptKeyword('NOT')
+      this.expectKeyword('NULL')
+      return { type: 'isNull', column, not }
+    }
+
+    const not = this.acceptKeyword('NOT')
+    if (this.acceptKeyword('IN')) {
+      return { type: 'in', column, values: this.parenthesized(() => this.value()), not }
+    }
+    if (this.acceptKeyword('BETWEEN')) {
+      const low = this.value()
+      this.expectKeyword('AND')
+      return { type: 'between', column, low, high: this.value(), not }
+    }
+    if (this.acceptKeyword('LIKE')) {
+      return { type: 'like', column, pattern: this.value(), not }
+    }
+
+    throw this.error(`Expected a comparison but found ${this.describe()}`)
+  }
+}
+
+/**
+ * Parse one SQL statement. Throws an INVALID_QUERY error saying where the
+ * text went wrong.
+ */
+function parse(text) {
+  return new Parser(text).parseStatement()
+}
+
+module.exports = {
+  parse,
+}
@@ -0,0 +1,96 @@
+/**
+ * SQL Tokenizer
+ *
+ * Splits statement text into tokens:
+ *
+ *   word        unquoted names and keywords, e.g. SELECT or users (`upper`
+ *               holds the upper-cased text for keyword checks)
+ *   identifier  "quoted" or `backquoted` names, never keywords
+ *   string      'single quoted', with '' for a quote
+ *   number      123, 4.5, 1e3
+ *   param       ? placeholders, numbered from 0 in order of appearance
+ *   symbol      ( ) , . ; * = != <> < <= > >=
+ *
+ * Whitespace and -- line comments are skipped. Every token records its
+ * `position` in the text for error messages.
+ */
+
+const SYMBOLS = ['<=', '>=', '!=', '<>', '(', ')', ',', '.', ';', '*', '=', '<', '>', '-', '+']
+
+/**
+ * Error for malformed SQL, with code INVALID_QUERY like other bad queries.
+ * `position` is an offset into the statement text.
+ */
+function sqlError(message, text, position) {
+  const error = new Error(position === undefined ? message : `${message} (${describePosition(text, position)})`)
+  error.code = 'INVALID_QUERY'
+  error.details = { position }
+  return error
+}
+
+// "line 2, column 5" for an offset into `text`
+function describePosition(text, position) {
+  const before = text.slice(0, position).split('\n')
+  return `line ${before.length}, column ${before[before.length - 1].length + 1}`
+}
+
+function tokenize(text) {
+  if (typeof text !== 'string') throw sqlError('SQL text must be a string')
+
+  const tokens = []
+  let params = 0
+  let i = 0
+
+  while (i < text.length) {
+    const char = text[i]
+    const start = i
+
+    if (/\s/.test(char)) {
+      i++
+    } else if (text.startsWith('--', i)) {
+      while (i < text.length && text[i] !== '\n') i++
+    } else if (/[A-Za-z_]/.test(char)) {
+      while (i < text.length && /[A-Za-z0-9_]/.test(text[i])) i++
+      const value = text.slice(start, i)
+      tokens.push({ type: 'word', value, upper: value.toUpperCase(), position: start })
+    } else if (char === '"' || char === '`') {
+      const end = text.indexOf(char, i + 1)
+      if (end === -1) throw sqlError('Unterminated quoted name', text, start)
+      tokens.push({ type: 'identifier', value: text.slice(i + 1, end), position: start })
+      i = end + 1
+    } else if (char === "'") {
+      let value = ''
+      i++
+      while (true) {
+        if (i >= text.length) throw sqlError('Unterminated string', text, start)
+        if (text[i] === "'") {
+          if (text[i + 1] !== "'") break
+          i++
+        }
+        value += text[i++]
+      }
+      i++
+      tokens.push({ type: 'string', value, position: start })
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(text[i + 1] || ''))) {
+      const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(text.slice(i))
+      i += match[0].length
+      tokens.push({ type: 'number', value: Number(match[0]), text: match[0], position: start })
+    } else if (char === '?') {
+      i++
+      tokens.push({ type: 'param', index: params++, position: start })
+    } else {
+      const symbol = SYMBOLS.find(candidate => text.startsWith(candidate, i))
+      if (!symbol) throw sqlError(`Unexpected character '${char}'`, text, start)
+      i += symbol.length
+      tokens.push({ type: 'symbol', value: symbol, position: start })
+    }
+  }
+
+  tokens.push({ type: 'end', position: text.length })
+  return tokens
+}
+
+module.exports = {
+  tokenize,
+  sqlError,
+}
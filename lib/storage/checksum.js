@@ -0,0 +1,37 @@
+/**
+ * Checksum Utilities
+ *
+ * CRC-32 (IEEE 802.3 polynomial) used to detect torn or corrupted records
+ * in the storage layer.
+ */
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256)
+
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+
+  return table
+})()
+
+/**
+ * Compute the CRC-32 of a buffer (optionally a [start, end) slice of it)
+ */
+const crc32 = (buffer, start = 0, end = buffer.length) => {
+  let crc = 0xFFFFFFFF
+
+  for (let i = start; i < end; i++) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8)
+  }
+
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+module.exports = {
+  crc32
+}
@@ -14,6 +14,7 @@ class Pager {
     this.rowSize = options.rowSize || options.schema?.getRowSize()
     this.serialize = options.serialize
     this.deserialize = options.deserialize
+    this.wal = options.wal || null // Optional write-ahead log (see ./wal)
     this.cacheSize = options.cacheSize || 100 // LRU cache size
     this.accessOrder = [] // For LRU cache
   }
@@ -49,6 +50,8 @@ class Pager {
   }
 
   async flush() {
+    const images = []
+
     for (let i = 0; i < this.pages.length; i++) {
       const p = this.pages[i]
 
@@ -63,9 +66,23 @@ class Pager {
           ? this.serialize(s, Buffer.alloc(PageSize))
           : this._defaultSerialize(s, Buffer.alloc(PageSize))
           
-        await this.db.write(i, serialized)
+        images.push([i, serialized])
       }
     }
+
+    // Log the page images first so a crash mid-flush can be repaired
+    if (this.wal) {
+      await this.wal.logPages(images)
+    }
+
+    for (const [pn, image] of images) {
+      await this.db.write(pn, image)
+    }
+
+    if (this.wal) {
+      await this.db.flush()
+      await this.wal.reset()
+    }
   }
 
   _cachePage(pn, page) {
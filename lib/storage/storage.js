@@ -100,6 +100,8 @@ const createPager = async (db, options) => {
     },
     
     async flush() {
+      const images = []
+
       for (let i = 0; i < pager.pages.length; i++) {
         const p = pager.pages[i]
     
@@ -114,9 +116,23 @@ const createPager = async (db, options) => {
             ? options.serialize(s, Buffer.alloc(PageSize))
             : this.serialize(s, Buffer.alloc(PageSize))
             
-          await db.write(i, serialized)
+          images.push([i, serialized])
         }
       }
+
+      // Log the page images first so a crash mid-flush can be repaired
+      if (options.wal) {
+        await options.wal.logPages(images)
+      }
+
+      for (const [pn, image] of images) {
+        await db.write(pn, image)
+      }
+
+      if (options.wal) {
+        await db.flush()
+        await options.wal.reset()
+      }
     },
 
     // Default serialization/deserialization (can be overridden)
@@ -0,0 +1,194 @@
+/**
+ * Write-Ahead Log
+ *
+ * Every table keeps a `<table>.wal` file next to its `<table>.db`. Two kinds of
+ * entries are written to it:
+ *
+ *  - Logical records, appended as each operation happens, so work done since
+ *    the last flush survives a crash.
+ *  - Page images, written (and fsynced) together with a commit marker before
+ *    the pager overwrites any page in place. A crash in the middle of a flush
+ *    is repaired by re-applying the committed images.
+ *
+ * Once the pages are safely in the table file the log is truncated. A
+ * non-empty log on open therefore means the previous process did not shut
+ * down cleanly.
+ */
+
+const fs = require('fs/promises')
+const { crc32 } = require('./checksum')
+
+const RecordType = {
+  ['Logical']: 1, // JSON payload describing a single operation
+  ['Page']: 2,    // page number + full page image
+  ['Commit']: 3,  // all preceding page images are complete
+}
+
+// Frame header: type + payload length + payload crc32
+const FrameHeaderLayout = [
+  ['Type', 1 /* uint8_t */],
+  ['Length', 4 /* uint32_t */],
+  ['Checksum', 4 /* uint32_t */],
+]
+
+const FrameHeaderSize = FrameHeaderLayout.reduce((sum, [, size]) => sum + size, 0)
+
+const encodeFrame = (type, payload) => {
+  const frame = Buffer.alloc(FrameHeaderSize + payload.length)
+
+  frame.writeUInt8(type, 0)
+  frame.writeUInt32LE(payload.length, 1)
+  frame.writeUInt32LE(crc32(payload), 5)
+  payload.copy(frame, FrameHeaderSize)
+
+  return frame
+}
+
+/**
+ * Split a log into frames, stopping at the first torn or corrupted one
+ */
+const decodeFrames = (buffer) => {
+  const frames = []
+  let offset = 0
+
+  while (offset + FrameHeaderSize <= buffer.length) {
+    const type = buffer.readUInt8(offset)
+    const length = buffer.readUInt32LE(offset + 1)
+    const checksum = buffer.readUInt32LE(offset + 5)
+    const start = offset + FrameHeaderSize
+
+    if (!Object.values(RecordType).includes(type) || start + length > buffer.length) break
+    if (crc32(buffer, start, start + length) !== checksum) break
+
+    frames.push({ type, payload: buffer.subarray(start, start + length) })
+    offset = start + length
+  }
+
+  return frames
+}
+
+/**
+ * Write-ahead log connection interface
+ */
+const connectWAL = (path, options = {}) => {
+  /** @type { fs.FileHandle } */
+  let fd
+
+  // Logical records follow the table's sync policy; page commits always sync
+  const immediateSync = options.immediateSync !== false
+
+  const readFrames = async () => {
+    const { size } = await fd.stat()
+    if (size === 0) return []
+
+    const buffer = Buffer.alloc(size)
+    await fd.read(buffer, 0, size, 0)
+
+    return decodeFrames(buffer)
+  }
+
+  return {
+    path,
+
+    open: async () => {
+      fd = await fs.open(path, 'a+')
+    },
+
+    size: async () => {
+      return (await fd.stat()).size
+    },
+
+    /**
+     * Append a logical record (any JSON-serializable object)
+     */
+    log: async (record) => {
+      await fd.write(encodeFrame(RecordType.Logical, Buffer.from(JSON.stringify(record))))
+
+      if (immediateSync) {
+        await fd.sync()
+      }
+    },
+
+    /**
+     * Durably log a batch of page images followed by a commit marker.
+     * `images` is a list of [pageNo, buffer] pairs.
+     */
+    logPages: async (images) => {
+      const frames = images.map(([pn, image]) => {
+        const payload = Buffer.alloc(4 + image.length)
+        payload.writeUInt32LE(pn, 0)
+        image.copy(payload, 4)
+        return encodeFrame(RecordType.Page, payload)
+      })
+
+      frames.push(encodeFrame(RecordType.Commit, Buffer.alloc(0)))
+
+      await fd.write(Buffer.concat(frames))
+      await fd.sync()
+    },
+
+    /**
+     * Discard the log once its contents are safely in the table file
+     */
+    reset: async () => {
+      await fd.truncate(0)
+      await fd.sync()
+    },
+
+    /**
+     * Repair the table file after an unclean shutdown.
+     *
+     * Committed page images are written back to `db`; logical records that
+     * are not yet covered by a committed page batch are returned so the
+     * caller can replay them against the tree.
+     */
+    recover: async (db) => {
+      const records = []
+      const pages = []
+      let committed = false
+
+      for (const { type, payload } of await readFrames()) {
+        if (type === RecordType.Logical) {
+          records.push(JSON.parse(payload.toString('utf8')))
+        } else if (type === RecordType.Page) {
+          pages.push([payload.readUInt32LE(0), payload.subarray(4)])
+        } else if (type === RecordType.Commit) {
+          committed = true
+        }
+      }
+
+      if (!committed) {
+        // The table file was never touched by the interrupted flush
+        return { records, pagesRestored: 0 }
+      }
+
+      for (const [pn, image] of pages) {
+        await db.write(pn, image)
+      }
+      await db.flush()
+
+      return { records: [], pagesRestored: pages.length }
+    },
+
+    /**
+     * Read back the logical records currently in the log
+     */
+    records: async () => {
+      return (await readFrames())
+        .filter(({ type }) => type === RecordType.Logical)
+        .map(({ payload }) => JSON.parse(payload.toString('utf8')))
+    },
+
+    close: async () => {
+      await fd.sync()
+      await fd.close()
+    },
+  }
+}
+
+module.exports = {
+  connectWAL,
+  RecordType,
+  encodeFrame,
+  decodeFrames,
+}
@@ -396,13 +396,14 @@ async function performanceComparisonTest() {
   // Insert performance
   console.log('\n1. Insert Performance:')
   const insertCounts = [100, 500, 1000]
+  let nextId = 1
   
   for (const count of insertCounts) {
     const startTime = performance.now()
     
     for (let i = 1; i <= count; i++) {
       await table.create({
-        id: Date.now() + i, // Ensure unique IDs
+        id: nextId++, // Unique across the runs
         name: `User${i}`,
         value: Math.random() * 100
       })
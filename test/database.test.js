@@ -0,0 +1,400 @@
+const assert = require('assert')
+const fs = require('fs/promises')
+const Database = require('../lib/core/database')
+const { Schema, DataTypes } = require('../lib/schema/index')
+
+const testDir = './test-data/database'
+
+// Test utilities
+async function cleanupTestData() {
+  await fs.rm(testDir, { recursive: true, force: true })
+}
+
+async function runTest(testName, testFn) {
+  console.log(`\n🧪 Testing: ${testName}`)
+  try {
+    await testFn()
+    console.log(`✅ ${testName} passed`)
+    return true
+  } catch (error) {
+    console.error(`❌ ${testName} failed:`, error.message)
+    console.error(error.stack)
+    return false
+  }
+}
+
+const orderSchema = new Schema({
+  id: DataTypes.UINT32,
+  item_id: DataTypes.UINT32,
+  qty: DataTypes.UINT32
+})
+
+const inventorySchema = new Schema({
+  id: DataTypes.UINT32,
+  name: DataTypes.VARCHAR(20),
+  stock: DataTypes.UINT32
+})
+
+async function openShop(name) {
+  const db = new Database(name, testDir)
+  await db.connect()
+  const orders = await db.createTable(`${name}_orders`, orderSchema)
+  const inventory = await db.createTable(`${name}_inventory`, inventorySchema)
+  return { db, orders, inventory }
+}
+
+// Simulate a killed process: drop the file handles without flushing anything
+async function crash(db) {
+  for (const table of db.tables.values()) {
+    await table.wal.close()
+    await table.db.close()
+  }
+  await db.txLog.close()
+}
+
+async function testDatabase() {
+  console.log('╔════════════════════════════════════════════════════════════════╗')
+  console.log('║                        Database Tests                          ║')
+  console.log('╚════════════════════════════════════════════════════════════════╝')
+
+  const results = []
+
+  await cleanupTestData()
+
+  results.push(await runTest('Transaction commits across tables', async () => {
+    const { db, orders, inventory } = await openShop('commit')
+    await inventory.create({ id: 7, name: 'Widget', stock: 10 })
+
+    await db.transaction(async tx => {
+      await tx.table('commit_orders').create({ id: 1, item_id: 7, qty: 2 })
+      const [item] = await tx.table('commit_inventory').read({ key: 7 })
+      await tx.table('commit_inventory').update(7, { stock: item.stock - 2 })
+
+      // Pending writes are invisible outside the transaction
+      assert.strictEqual(await orders.count(), 0)
+      assert.strictEqual((await tx.table('commit_orders').read()).length, 1)
+    })
+
+    assert.strictEqual((await orders.read({ key: 1 }))[0].qty, 2)
+    assert.strictEqual((await inventory.read({ key: 7 }))[0].stock, 8)
+    await db.close()
+  }))
+
+  results.push(await runTest('Transaction rolls back on error', async () => {
+    const { db, orders, inventory } = await openShop('rollback')
+    await inventory.create({ id: 7, name: 'Widget', stock: 10 })
+
+    await assert.rejects(db.transaction(async tx => {
+      await tx.table('rollback_orders').create({ id: 1, item_id: 7, qty: 2 })
+      await tx.table('rollback_inventory').update(7, { stock: 8 })
+      throw new Error('payment declined')
+    }), /payment declined/)
+
+    assert.strictEqual(await orders.count(), 0)
+    assert.strictEqual((await inventory.read({ key: 7 }))[0].stock, 10)
+    await db.close()
+  }))
+
+  results.push(await runTest('Conflicting commit applies nothing', async () => {
+    const { db, orders, inventory } = await openShop('conflict')
+    await inventory.create({ id: 7, name: 'Widget', stock: 10 })
+
+    const tx = db.beginTransaction()
+    await tx.table('conflict_inventory').update(7, { stock: 9 })
+    await tx.table('conflict_orders').create({ id: 1, item_id: 7, qty: 1 })
+
+    // Someone else takes the order id first
+    await orders.create({ id: 1, item_id: 7, qty: 5 })
+
+    await assert.rejects(tx.commit(), /already exists/)
+    assert.strictEqual(tx.isActive(), false)
+    assert.strictEqual((await inventory.read({ key: 7 }))[0].stock, 10)
+    assert.strictEqual((await orders.read({ key: 1 }))[0].qty, 5)
+    await db.close()
+  }))
+
+  results.push(await runTest('Overlapping updates of one record do not lose either', async () => {
+    const { db, inventory } = await openShop('overlap')
+    await inventory.create({ id: 7, name: 'Widget', stock: 10 })
+    await inventory.create({ id: 8, name: 'Gadget', stock: 5 })
+
+    // Both read the row before either commits and change different fields
+    const rename = db.beginTransaction()
+    const restock = db.beginTransaction()
+    await rename.table('overlap_inventory').update(7, { name: 'Sprocket' })
+    await restock.table('overlap_inventory').update(7, { stock: 20 })
+
+    await rename.commit()
+    await assert.rejects(restock.commit(), (error) =>
+      error.code === 'TRANSACTION_CONFLICT' && /key 7 in 'overlap_inventory' was changed after this transaction read it/.test(error.message))
+    assert.deepStrictEqual((await inventory.read({ key: 7 }))[0], { id: 7, name: 'Sprocket', stock: 10 })
+
+    // A plain write in between counts too, and so does a delete of a changed row
+    const remove = db.beginTransaction()
+    await remove.table('overlap_inventory').delete(8)
+    await inventory.update(8, { stock: 4 })
+    await assert.rejects(remove.commit(), /was changed after this transaction read it/)
+    assert.strictEqual((await inventory.read({ key: 8 }))[0].stock, 4)
+
+    // Retried on the current row, the update goes through
+    await db.transaction(async tx => {
+      await tx.table('overlap_inventory').update(7, { stock: 20 })
+      await tx.table('overlap_inventory').update(7, { stock: 21 })
+    })
+    assert.deepStrictEqual((await inventory.read({ key: 7 }))[0], { id: 7, name: 'Sprocket', stock: 21 })
+    await db.close()
+  }))
+
+  results.push(await runTest('Plain writes wait for a commit in progress', async () => {
+    const { db, orders, inventory } = await openShop('racing')
+    await inventory.create({ id: 7, name: 'Widget', stock: 10 })
+
+    const tx = db.beginTransaction()
+    await tx.table('racing_inventory').update(7, { stock: 9 })
+    await tx.table('racing_orders').create({ id: 1, item_id: 7, qty: 1 })
+
+    // Issued while the commit runs: it must not land between its checks and its writes
+    const commit = tx.commit()
+    const plain = orders.create({ id: 1, item_id: 7, qty: 5 })
+
+    await commit
+    await assert.rejects(plain, /already exists/)
+    assert.strictEqual((await inventory.read({ key: 7 }))[0].stock, 9)
+    assert.strictEqual((await orders.read({ key: 1 }))[0].qty, 1)
+    await db.close()
+  }))
+
+  results.push(await runTest('Unique indexes are checked at commit', async () => {
+    const { db, inventory } = await openShop('unique')
+    await inventory.createIndex('name', { unique: true })
+    await inventory.create({ id: 1, name: 'Widget', stock: 1 })
+    await inventory.create({ id: 2, name: 'Gadget', stock: 1 })
+
+    await assert.rejects(db.transaction(async tx => {
+      await tx.table('unique_inventory').create({ id: 3, name: 'Gizmo', stock: 1 })
+      await tx.table('unique_inventory').create({ id: 4, name: 'Gizmo', stock: 1 })
+    }), /Duplicate value 'Gizmo'/)
+
+    // Swapping names inside one transaction is allowed
+    await db.transaction(async tx => {
+      await tx.table('unique_inventory').update(1, { name: 'Gadget' })
+      await tx.table('unique_inventory').update(2, { name: 'Widget' })
+    })
+
+    const [gadget] = await inventory.read({ where: { name: 'Gadget' } })
+    assert.strictEqual(gadget.id, 1)
+    assert.strictEqual(await inventory.count(), 2)
+    await db.close()
+  }))
+
+  results.push(await runTest('Recovery replays only committed transactions', async () => {
+    const shop = await openShop('recover')
+
+    await shop.db.transaction(async tx => {
+      await tx.table('recover_orders').create({ id: 1, item_id: 7, qty: 2 })
+      await tx.table('recover_inventory').create({ id: 7, name: 'Widget', stock: 8 })
+    })
+
+    // Logged in one table but the process died before the commit record
+    await shop.orders._logTransaction('deadbeef', [
+      { op: 'put', key: 2, value: { id: 2, item_id: 7, qty: 1 } }
+    ])
+    await crash(shop.db)
+
+    const db = new Database('recover', testDir)
+    await db.connect()
+    const orders = await db.getTable('recover_orders')
+    const inventory = await db.getTable('recover_inventory')
+    assert.deepStrictEqual((await orders.read()).map(o => o.id), [1])
+    assert.strictEqual((await inventory.read({ key: 7 }))[0].stock, 8)
+    await db.close()
+  }))
+
+  results.push(await runTest('Catalog reopens tables in a new process', async () => {
+    const { db, inventory } = await openShop('catalog')
+    await inventory.create({ id: 7, name: 'Widget', stock: 10 })
+    await db.close()
+
+    // A table file from before the meta page, which held the schema
+    await fs.writeFile(`${testDir}/legacy.db`, Buffer.alloc(4096, 1))
+
+    const reopened = new Database('catalog', testDir)
+    await reopened.connect()
+
+    const tables = reopened.listTables()
+    assert.ok(tables.includes('catalog_orders'))
+    assert.ok(tables.includes('catalog_inventory'))
+    assert.ok(tables.includes('legacy'))
+
+    const table = await reopened.getTable('catalog_inventory')
+    assert.deepStrictEqual(table.schema.toJSON(), inventorySchema.toJSON())
+    assert.strictEqual((await table.read({ key: 7 }))[0].name, 'Widget')
+
+    await assert.rejects(reopened.getTable('legacy'), /Unsupported file format/)
+    await assert.rejects(reopened.createTable('catalog_orders', orderSchema), /already exists/)
+    await reopened.close()
+  }))
+
+  results.push(await runTest('Transactions update and delete by query', async () => {
+    const { db, inventory } = await openShop('querytx')
+    for (const [id, name, stock] of [[1, 'Bolt', 0], [2, 'Nut', 5], [3, 'Washer', 0]]) {
+      await inventory.create({ id, name, stock })
+    }
+
+    await db.transaction(async tx => {
+      const table = tx.table('querytx_inventory')
+      assert.deepStrictEqual((await table.updateWhere({ stock: 0 }, { stock: 10 })).keys, [1, 3])
+      assert.strictEqual(await table.count({ stock: { $gte: 10 } }), 2)
+      assert.strictEqual((await table.deleteWhere({ name: { $like: 'N%' } })).count, 1)
+      await table.create({ id: 4, name: 'Anchor', stock: 1 })
+      // Staged writes sort and project with the rest
+      assert.deepStrictEqual(await table.read({ orderBy: 'name', select: ['name'], limit: 2 }), [{ name: 'Anchor' }, { name: 'Bolt' }])
+      assert.deepStrictEqual(await table.aggregate({ metrics: { stock: { $sum: 'stock' } } }), [{ stock: 21 }])
+      // Not applied until commit
+      assert.strictEqual(await inventory.count({ stock: 0 }), 2)
+    })
+
+    assert.deepStrictEqual((await inventory.read()).map(item => [item.id, item.stock]), [[1, 10], [3, 10], [4, 1]])
+    await db.close()
+  }))
+
+  results.push(await runTest('Queries join tables', async () => {
+    const db = new Database('joins', testDir)
+    await db.connect()
+    const users = await db.createTable('users', new Schema({ id: DataTypes.UINT32, name: DataTypes.VARCHAR(20), country: DataTypes.VARCHAR(2) }))
+    const events = await db.createTable('events', new Schema({
+      id: DataTypes.UINT32,
+      user_id: { type: DataTypes.UINT32, nullable: true },
+      kind: DataTypes.VARCHAR(10)
+    }))
+    const products = await db.createTable('products', new Schema({ id: DataTypes.UINT32, category_id: DataTypes.UINT32, name: DataTypes.VARCHAR(20) }))
+    const categories = await db.createTable('categories', new Schema({ id: DataTypes.UINT32, code: DataTypes.UINT32, label: DataTypes.VARCHAR(20) }))
+
+    for (const [id, name, country] of [[1, 'Ann', 'NL'], [2, 'Bob', 'BE'], [3, 'Cleo', 'NL']]) {
+      await users.create({ id, name, country })
+    }
+    for (const [id, userId, kind] of [[1, 1, 'click'], [2, 2, 'view'], [3, 1, 'view'], [4, 9, 'click'], [5, null, 'click']]) {
+      await events.create({ id, user_id: userId, kind })
+    }
+    for (const [id, code, label] of [[1, 10, 'Tools'], [2, 20, 'Toys']]) {
+      await categories.create({ id, code, label })
+    }
+    for (const [id, categoryId, name] of [[1, 10, 'Hammer'], [2, 20, 'Kite'], [3, 10, 'Saw'], [4, 30, 'Lamp']]) {
+      await products.create({ id, category_id: categoryId, name })
+    }
+
+    // Inner join on a primary key: an index nested-loop join
+    const spec = {
+      from: 'events',
+      join: [{ table: 'users', on: { 'events.user_id': 'users.id' } }],
+      where: { 'users.country': 'NL', kind: { $in: ['click', 'view'] } },
+      select: ['events.id', 'users.name'],
+      orderBy: [{ field: 'users.name' }, { field: 'events.id', dir: 'desc' }]
+    }
+    assert.deepStrictEqual(await db.query(spec), [{ 'events.id': 3, 'users.name': 'Ann' }, { 'events.id': 1, 'users.name': 'Ann' }])
+    assert.deepStrictEqual((await db.explainQuery(spec)).joins,
+      [{ table: 'users', as: 'users', type: 'inner', strategy: 'indexNestedLoop', via: 'primaryKey' }])
+
+    // Left join keeps unmatched rows, with nulls; where sees those nulls
+    const left = { from: 'events', join: [{ table: 'users', as: 'u', on: { 'u.id': 'events.user_id' }, type: 'left' }] }
+    assert.deepStrictEqual((await db.query({ ...left, select: ['events.id', 'u.name'] })).map(row => row['u.name']),
+      ['Ann', 'Bob', 'Ann', null, null])
+    assert.deepStrictEqual((await db.query({ ...left, where: { 'u.id': null }, select: 'events.id' })).map(row => row['events.id']), [4, 5])
+
+    // No usable index: a hash join, until the join column gets an index
+    const byCategory = { from: 'products', join: [{ table: 'categories', on: { 'products.category_id': 'categories.code' } }], select: ['products.*', 'label'] }
+    assert.deepStrictEqual(await db.query(byCategory), [
+      { 'products.id': 1, 'products.category_id': 10, 'products.name': 'Hammer', 'categories.label': 'Tools' },
+      { 'products.id': 2, 'products.category_id': 20, 'products.name': 'Kite', 'categories.label': 'Toys' },
+      { 'products.id': 3, 'products.category_id': 10, 'products.name': 'Saw', 'categories.label': 'Tools' }
+    ])
+    assert.strictEqual((await db.explainQuery(byCategory)).joins[0].strategy, 'hashJoin')
+    await categories.createIndex('code')
+    assert.deepStrictEqual((await db.explainQuery(byCategory)).joins[0], { table: 'categories', as: 'categories', type: 'inner', strategy: 'indexNestedLoop', via: 'code' })
+    assert.strictEqual((await db.query(byCategory)).length, 3)
+
+    // Hash joins on INT64 values past 2^53, which come back as BigInts
+    const readings = await db.createTable('readings', new Schema({ id: DataTypes.UINT32, sensor: DataTypes.INT64 }))
+    const sensors = await db.createTable('sensors', new Schema({ id: DataTypes.UINT32, serial: DataTypes.INT64, place: DataTypes.VARCHAR(10) }))
+    await sensors.create({ id: 1, serial: 2n ** 60n, place: 'roof' })
+    await sensors.create({ id: 2, serial: 2n ** 60n + 1n, place: 'cellar' })
+    await readings.create({ id: 1, sensor: 2n ** 60n + 1n })
+    const bySensor = { from: 'readings', join: [{ table: 'sensors', on: { 'readings.sensor': 'sensors.serial' } }], select: ['readings.id', 'place'] }
+    assert.strictEqual((await db.explainQuery(bySensor)).joins[0].strategy, 'hashJoin')
+    assert.deepStrictEqual(await db.query(bySensor), [{ 'readings.id': 1, 'sensors.place': 'cellar' }])
+
+    // A table joined to itself needs another name
+    const pairs = await db.query({ from: 'users', join: [{ table: 'users', as: 'peer', on: { 'users.country': 'peer.country' } }], where: { 'peer.id': { $gt: 1 } }, select: ['users.id', 'peer.id'] })
+    assert.deepStrictEqual(pairs.map(row => [row['users.id'], row['peer.id']]), [[1, 3], [2, 2], [3, 3]])
+
+    await assert.rejects(() => db.query({ ...spec, where: { id: 1 } }), /'id' is ambiguous/)
+    await assert.rejects(() => db.query({ from: 'users', join: [{ table: 'users', on: { 'users.id': 'users.id' } }] }), /used twice/)
+    await assert.rejects(() => db.query({ ...left, join: [{ ...left.join[0], type: 'outer' }] }), (error) => error.code === 'INVALID_QUERY')
+    await db.close()
+  }))
+
+  results.push(await runTest('Auto-increment keys survive restarts', async () => {
+    const noteSchema = new Schema({
+      id: { type: DataTypes.UINT32, autoIncrement: true },
+      text: DataTypes.VARCHAR(20)
+    })
+
+    const db = new Database('sequence', testDir)
+    await db.connect()
+    const notes = await db.createTable('notes', noteSchema)
+
+    const created = await Promise.all(['a', 'b', 'c'].map(text => notes.create({ text })))
+    assert.deepStrictEqual(created.map(result => result.key), [1, 2, 3])
+    assert.strictEqual(created[1].data.id, 2)
+
+    await notes.create({ id: 10, text: 'explicit' })
+    assert.strictEqual((await notes.create({ text: 'd' })).key, 11)
+    await notes.delete(11)
+
+    await db.transaction(async tx => {
+      assert.strictEqual((await tx.table('notes').create({ text: 'tx' })).key, 12)
+    })
+    await db.close()
+
+    const reopened = new Database('sequence', testDir)
+    await reopened.connect()
+    const table = await reopened.getTable('notes')
+    assert.deepStrictEqual(table.getInfo().autoIncrement, { field: 'id', lastValue: 12 })
+    assert.strictEqual((await table.create({ text: 'e' })).key, 13)
+    await crash(reopened)
+
+    // The sequence is rebuilt from the replayed log
+    const recovered = new Database('sequence', testDir)
+    await recovered.connect()
+    assert.strictEqual((await (await recovered.getTable('notes')).create({ text: 'f' })).key, 14)
+    await recovered.close()
+
+    assert.throws(() => new Schema({ id: { type: 'VARCHAR(8)', autoIncrement: true } }), /autoIncrement needs an integer type/)
+    assert.throws(() => new Schema({ id: DataTypes.UINT32, n: { type: 'UINT32', autoIncrement: true } }), /only supported on a single-column primary key/)
+  }))
+
+  await cleanupTestData()
+
+  const passed = results.filter(Boolean).length
+  console.log('\n' + '='.repeat(60))
+  console.log(`TEST RESULTS: ${passed}/${results.length} tests passed`)
+  console.log('='.repeat(60))
+
+  return passed === results.length
+}
+
+// Run all tests
+if (require.main === module) {
+  testDatabase()
+    .then((success) => {
+      if (!success) process.exit(1)
+    })
+    .catch((error) => {
+      console.error('❌ Test suite failed:', error)
+      process.exit(1)
+    })
+}
+
+module.exports = {
+  testDatabase
+}
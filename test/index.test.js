@@ -0,0 +1,218 @@
+const assert = require('assert')
+const fs = require('fs/promises')
+const { Table } = require('../lib/core/table')
+const { Schema, DataTypes } = require('../lib/schema/index')
+
+const testDir = './test-data/index'
+
+// Test utilities
+async function cleanupTestData() {
+  await fs.rm(testDir, { recursive: true, force: true })
+}
+
+async function runTest(testName, testFn) {
+  console.log(`\n🧪 Testing: ${testName}`)
+  try {
+    await testFn()
+    console.log(`✅ ${testName} passed`)
+    return true
+  } catch (error) {
+    console.error(`❌ ${testName} failed:`, error.message)
+    console.error(error.stack)
+    return false
+  }
+}
+
+const productSchema = new Schema({
+  id: DataTypes.UINT32,
+  sku: DataTypes.VARCHAR(16),
+  category: DataTypes.VARCHAR(16),
+  price: DataTypes.UINT32
+})
+
+async function openProducts(name, count = 0) {
+  const table = new Table(name, productSchema, testDir)
+  await table.open()
+  for (let i = 1; i <= count; i++) {
+    await table.create({ id: i, sku: `SKU-${i}`, category: `cat${i % 5}`, price: (i * 37) % 1000 })
+  }
+  return table
+}
+
+// Simulate a killed process: drop the file handles without flushing anything
+async function crash(table) {
+  for (const index of table.indexes.values()) {
+    await index.db.close()
+  }
+  await table.wal.close()
+  await table.db.close()
+}
+
+async function testIndex() {
+  console.log('╔════════════════════════════════════════════════════════════════╗')
+  console.log('║                    Secondary Index Tests                       ║')
+  console.log('╚════════════════════════════════════════════════════════════════╝')
+
+  const results = []
+
+  await cleanupTestData()
+
+  results.push(await runTest('Index answers equality and range queries', async () => {
+    const table = await openProducts('lookup', 500)
+    const all = await table.read()
+
+    await table.createIndex('category')
+    await table.createIndex('price')
+    assert.deepStrictEqual(table.getIndexes(), [
+      { field: 'category', unique: false },
+      { field: 'price', unique: false }
+    ])
+
+    // Results must match a full scan, in primary key order
+    const byCategory = await table.read({ where: { category: 'cat3' } })
+    assert.deepStrictEqual(byCategory, all.filter(r => r.category === 'cat3'))
+
+    const byPrice = await table.read({ where: { price: { $gte: 100, $lt: 200 } } })
+    assert.deepStrictEqual(byPrice, all.filter(r => r.price >= 100 && r.price < 200))
+
+    const combined = await table.read({ where: { category: 'cat1', price: { $gt: 500 } } })
+    assert.deepStrictEqual(combined, all.filter(r => r.category === 'cat1' && r.price > 500))
+
+    await table.close()
+  }))
+
+  results.push(await runTest('Index follows updates and deletes', async () => {
+    const table = await openProducts('maintain', 50)
+    await table.createIndex('category')
+
+    await table.update(3, { category: 'sale' })
+    await table.delete(8)
+    await table.create({ id: 51, sku: 'SKU-51', category: 'sale', price: 1 })
+
+    const sale = await table.read({ where: { category: 'sale' } })
+    assert.deepStrictEqual(sale.map(r => r.id), [3, 51])
+
+    const cat3 = await table.read({ where: { category: 'cat3' } })
+    assert.ok(!cat3.some(r => r.id === 3 || r.id === 8))
+    await table.close()
+  }))
+
+  results.push(await runTest('Unique index rejects duplicates', async () => {
+    const table = await openProducts('unique', 20)
+    await table.createIndex('sku', { unique: true })
+
+    await assert.rejects(
+      table.create({ id: 21, sku: 'SKU-4', category: 'x', price: 1 }),
+      /Duplicate value 'SKU-4'/
+    )
+    await assert.rejects(table.update(5, { sku: 'SKU-6' }), /Duplicate value/)
+    assert.strictEqual(await table.count(), 20)
+
+    // Rewriting a record with its own value is fine
+    await table.update(5, { price: 9 })
+    await assert.rejects(table.createIndex('category', { unique: true }), /Duplicate value/)
+    assert.deepStrictEqual(table.getIndexes(), [{ field: 'sku', unique: true }])
+    await table.close()
+  }))
+
+  results.push(await runTest('Unique indexes find equal dates that are different objects', async () => {
+    const eventSchema = new Schema({
+      id: DataTypes.UINT32,
+      at: { type: DataTypes.TIMESTAMP, nullable: true },
+      label: { type: DataTypes.VARCHAR(32), nullable: true }
+    })
+    const table = new Table('dates', eventSchema, testDir)
+    await table.open()
+    await table.create({ id: 1, at: '2024-01-01T00:00:00Z', label: '2024-01-01T00:00:00Z' })
+    await table.create({ id: 2, at: new Date('2024-01-01T00:00:00Z'), label: '2024-01-01T00:00:00.000Z' })
+    await table.create({ id: 3, at: null, label: null })
+    await table.create({ id: 4, at: null, label: null })
+
+    // Building the index compares the values, not the Date objects; nulls never collide
+    await assert.rejects(table.createIndex('at', { unique: true }), /Duplicate value .* for unique index on 'at'/)
+    await table.delete(2)
+    await table.createIndex('at', { unique: true })
+
+    // Two puts in one batch
+    const day = (n) => ({ op: 'put', key: 10 + n, value: { id: 10 + n, at: new Date('2024-02-02T00:00:00Z'), label: null } })
+    await assert.rejects(table._checkUnique([day(0), day(1)]), /Duplicate value/)
+
+    // Labels that differ as text become equal dates when retyped
+    await table.createIndex('label', { unique: true })
+    await table.create({ id: 2, at: '2024-03-01T00:00:00Z', label: '2024-01-01T00:00:00.000Z' })
+    await assert.rejects(table.alter({ changeType: { name: 'label', type: 'TIMESTAMP' } }), /duplicate value .* for unique index on 'label'/)
+    await table.close()
+  }))
+
+  results.push(await runTest('Fields too wide for an index entry are refused', async () => {
+    const table = new Table('wide', new Schema({
+      id: DataTypes.UINT32,
+      title: DataTypes.VARCHAR(2000),
+      tag: DataTypes.VARCHAR(16)
+    }), testDir)
+    await table.open()
+    await table.create({ id: 1, title: 'x'.repeat(1500), tag: 'a' })
+
+    await assert.rejects(table.createIndex('title'), /Cannot index 'title': its values take up to \d+ bytes, more than the \d+ an index entry has room for/)
+    assert.deepStrictEqual(table.getIndexes(), [])
+
+    // Widening an indexed column is refused before any row is rewritten
+    await table.createIndex('tag')
+    await assert.rejects(table.alter({ changeType: { name: 'tag', type: 'VARCHAR(2000)' } }), /Cannot index 'tag'/)
+    assert.strictEqual(table.getInfo().schemaVersion, 1)
+    assert.deepStrictEqual((await table.read({ where: { tag: 'a' } })).map(row => row.id), [1])
+
+    await table.pager.flush()
+    assert.deepStrictEqual((await table.verify()).errors, [])
+    await table.close()
+  }))
+
+  results.push(await runTest('Indexes persist and are rebuilt after a crash', async () => {
+    const table = await openProducts('persist', 100)
+    await table.createIndex('category')
+    await table.close()
+
+    const reopened = await openProducts('persist')
+    assert.deepStrictEqual(reopened.getIndexes(), [{ field: 'category', unique: false }])
+    await reopened.update(1, { category: 'moved' })
+    await reopened.delete(6)
+    await crash(reopened)
+
+    const recovered = await openProducts('persist')
+    const moved = await recovered.read({ where: { category: 'moved' } })
+    assert.deepStrictEqual(moved.map(r => r.id), [1])
+
+    const cat1 = await recovered.read({ where: { category: 'cat1' } })
+    assert.deepStrictEqual(cat1.map(r => r.id), [11, 16, 21, 26, 31, 36, 41, 46, 51, 56, 61, 66, 71, 76, 81, 86, 91, 96])
+
+    await recovered.dropIndex('category')
+    assert.deepStrictEqual(recovered.getIndexes(), [])
+    await assert.rejects(fs.access(`${testDir}/persist.category.idx`))
+    await recovered.close()
+  }))
+
+  await cleanupTestData()
+
+  const passed = results.filter(Boolean).length
+  console.log('\n' + '='.repeat(60))
+  console.log(`TEST RESULTS: ${passed}/${results.length} tests passed`)
+  console.log('='.repeat(60))
+
+  return passed === results.length
+}
+
+// Run all tests
+if (require.main === module) {
+  testIndex()
+    .then((success) => {
+      if (!success) process.exit(1)
+    })
+    .catch((error) => {
+      console.error('❌ Test suite failed:', error)
+      process.exit(1)
+    })
+}
+
+module.exports = {
+  testIndex
+}
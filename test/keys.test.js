@@ -0,0 +1,185 @@
+const assert = require('assert')
+const fs = require('fs/promises')
+const { Table } = require('../lib/core/table')
+const { Schema, DataTypes, DefaultSchemas } = require('../lib/schema/index')
+const { createKeyCodec, encodeKey } = require('../lib/index/key-codec')
+
+const testDir = './test-data/keys'
+
+// Test utilities
+async function cleanupTestData() {
+  await fs.rm(testDir, { recursive: true, force: true })
+}
+
+async function runTest(testName, testFn) {
+  console.log(`\n🧪 Testing: ${testName}`)
+  try {
+    await testFn()
+    console.log(`✅ ${testName} passed`)
+    return true
+  } catch (error) {
+    console.error(`❌ ${testName} failed:`, error.message)
+    console.error(error.stack)
+    return false
+  }
+}
+
+// Sorting encoded keys byte-wise must match sorting the values
+function assertOrderPreserved(types, keys) {
+  const codec = createKeyCodec(types)
+  const byValue = [...keys].sort(codec.compare)
+  const byBytes = [...keys].sort((a, b) => Buffer.compare(encodeKey(codec, a), encodeKey(codec, b)))
+
+  assert.deepStrictEqual(byBytes, byValue)
+  for (const key of keys) {
+    assert.strictEqual(codec.compare(codec.read(encodeKey(codec, key), 0), key), 0)
+  }
+}
+
+async function testKeys() {
+  console.log('╔════════════════════════════════════════════════════════════════╗')
+  console.log('║                      Primary Key Tests                         ║')
+  console.log('╚════════════════════════════════════════════════════════════════╝')
+
+  const results = []
+
+  await cleanupTestData()
+
+  results.push(await runTest('Key encodings preserve order', async () => {
+    assertOrderPreserved([DataTypes.INT32], [5, -1, 0, -2147483648, 2147483647, 42, -42])
+    assertOrderPreserved([DataTypes.UINT32], [0, 1, 255, 256, 65536, 4294967295])
+    assertOrderPreserved([DataTypes.INT64], [0, -1, 1, 2n ** 62n, -(2n ** 63n), 2n ** 63n - 1n, 1234567890123])
+    assertOrderPreserved([DataTypes.DOUBLE], [0, -0.5, 0.5, -1e300, 1e300, 3.14, -3.14, 1e-10])
+    assertOrderPreserved([DataTypes.VARCHAR(16)], ['', 'a', 'ab', 'b', 'B', 'é', '😀', '￿', 'aa'])
+    assertOrderPreserved([DataTypes.VARCHAR(8), DataTypes.INT32], [['b', 1], ['a', 2], ['a', -3], ['ab', 0], ['', 9]])
+    assertOrderPreserved([DataTypes.TIMESTAMP], [new Date(0), new Date(-86400000), new Date('2024-05-01T12:00:00Z'), new Date(1)])
+    assertOrderPreserved([DataTypes.DATE], ['2024-02-29', '1969-12-31', '1970-01-01', '2000-01-01'])
+    assertOrderPreserved([DataTypes.UUID], ['ffffffff-0000-4000-8000-000000000000', '00000000-0000-4000-8000-000000000001', '0a000000-0000-4000-8000-000000000000'])
+    assertOrderPreserved([DataTypes.DECIMAL(8, 2)], ['-10.50', '-0.01', '0.00', '0.10', '9.99', '10.00', '123456.78'])
+
+    const varchar = createKeyCodec([DataTypes.VARCHAR(4)])
+    assert.throws(() => encodeKey(varchar, 'toolong'), /longer than VARCHAR\(4\)/)
+    assert.throws(() => createKeyCodec([DataTypes.JSON(10)]), /cannot be used as a key/)
+  }))
+
+  results.push(await runTest('String keys in the KeyValue schema', async () => {
+    const table = new Table('kv', DefaultSchemas.KeyValue, testDir)
+    await table.open()
+
+    const keys = Array.from({ length: 60 }, (_, i) => `key:${(i * 7919) % 60}`)
+    for (const key of keys) {
+      await table.create({ key, value: { n: key.length } })
+    }
+    await table.update('key:7', { value: { n: -1 } })
+    await table.delete('key:8')
+    await table.close()
+
+    const reopened = new Table('kv', null, testDir)
+    await reopened.open()
+    const rows = await reopened.read()
+    assert.deepStrictEqual(rows.map(r => r.key), keys.filter(k => k !== 'key:8').sort())
+    assert.deepStrictEqual((await reopened.read({ key: 'key:7' }))[0].value, { n: -1 })
+
+    const range = await reopened.read({ where: { gte: 'key:2', lte: 'key:3' } })
+    assert.deepStrictEqual(range.map(r => r.key), rows.map(r => r.key).filter(k => k >= 'key:2' && k <= 'key:3'))
+    await reopened.close()
+  }))
+
+  results.push(await runTest('Signed 64-bit keys', async () => {
+    const schema = new Schema({ ts: DataTypes.INT64, level: DataTypes.VARCHAR(8) })
+    const table = new Table('events', schema, testDir)
+    await table.open()
+
+    for (const ts of [1700000000000, -5, 0, 9007199254740991, -9007199254740991]) {
+      await table.create({ ts, level: 'info' })
+    }
+
+    const keys = (await table.bPlusTree.getAllInOrder()).map(r => r.key)
+    assert.deepStrictEqual(keys, [-9007199254740991, -5, 0, 1700000000000, 9007199254740991])
+    assert.strictEqual((await table.read({ where: { gte: -5, lte: 0 } })).length, 2)
+
+    // Beyond 2^53 rows keep their exact keys, as BigInts, across a reopen
+    const large = [2n ** 62n, 2n ** 62n + 1n, -(2n ** 63n)]
+    for (const ts of large) {
+      await table.create({ ts, level: 'big' })
+    }
+    await table.close()
+
+    const reopened = new Table('events', schema, testDir)
+    await reopened.open()
+    const rows = await reopened.read({ where: { level: 'big' } })
+    assert.deepStrictEqual(rows.map(row => row.ts), [-(2n ** 63n), 2n ** 62n, 2n ** 62n + 1n])
+    assert.deepStrictEqual(rows.map(row => typeof row.ts), ['bigint', 'bigint', 'bigint'])
+
+    assert.strictEqual((await reopened.updateWhere({ ts: 2n ** 62n + 1n }, { level: 'upd' })).count, 1)
+    assert.strictEqual((await reopened.read({ key: 2n ** 62n }))[0].level, 'big')
+    assert.strictEqual((await reopened.deleteWhere({ level: 'big' })).count, 2)
+    assert.deepStrictEqual((await reopened.read({ where: { level: 'upd' } })).map(row => row.ts), [2n ** 62n + 1n])
+    assert.strictEqual(await reopened.count(), 6)
+
+    // They group like any other value
+    await reopened.create({ ts: 2n ** 62n, level: 'upd' })
+    const groups = await reopened.aggregate({ where: { level: 'upd' }, groupBy: ['ts'], metrics: { n: { $count: true } } })
+    assert.deepStrictEqual(groups, [{ ts: 2n ** 62n, n: 1 }, { ts: 2n ** 62n + 1n, n: 1 }])
+    await reopened.close()
+  }))
+
+  results.push(await runTest('Composite primary keys', async () => {
+    const schema = new Schema({
+      tenant: DataTypes.VARCHAR(16),
+      id: DataTypes.UINT32,
+      name: DataTypes.VARCHAR(20)
+    }, { primaryKey: ['tenant', 'id'] })
+
+    const table = new Table('accounts', schema, testDir)
+    await table.open()
+    for (const tenant of ['beta', 'acme']) {
+      for (let id = 1; id <= 30; id++) {
+        await table.create({ tenant, id, name: `${tenant}-${id}` })
+      }
+    }
+
+    await assert.rejects(table.create({ tenant: 'acme', id: 3, name: 'dup' }), /already exists/)
+    await assert.rejects(table.update(['acme', 3], { id: 4 }), /Cannot modify primary key/)
+    await table.update(['acme', 3], { name: 'renamed' })
+    await table.delete(['beta', 1])
+    await table.close()
+
+    // The key definition is part of the stored schema
+    const reopened = new Table('accounts', null, testDir)
+    await reopened.open()
+    assert.deepStrictEqual(reopened.schema.primaryKey, ['tenant', 'id'])
+    assert.strictEqual((await reopened.read({ key: ['acme', 3] }))[0].name, 'renamed')
+    assert.deepStrictEqual(await reopened.read({ key: ['beta', 1] }), [])
+
+    const acme = await reopened.read({ where: { gte: ['acme', 0], lte: ['acme', 4294967295] } })
+    assert.deepStrictEqual(acme.map(r => r.id), Array.from({ length: 30 }, (_, i) => i + 1))
+    assert.strictEqual(await reopened.count(), 59)
+    await reopened.close()
+  }))
+
+  await cleanupTestData()
+
+  const passed = results.filter(Boolean).length
+  console.log('\n' + '='.repeat(60))
+  console.log(`TEST RESULTS: ${passed}/${results.length} tests passed`)
+  console.log('='.repeat(60))
+
+  return passed === results.length
+}
+
+// Run all tests
+if (require.main === module) {
+  testKeys()
+    .then((success) => {
+      if (!success) process.exit(1)
+    })
+    .catch((error) => {
+      console.error('❌ Test suite failed:', error)
+      process.exit(1)
+    })
+}
+
+module.exports = {
+  testKeys
+}
@@ -0,0 +1,405 @@
+const assert = require('assert')
+const fs = require('fs/promises')
+const { Table } = require('../lib/core/table')
+const { compileWhere } = require('../lib/core/query')
+const { ExternalSorter } = require('../lib/core/sort')
+const { Schema, DataTypes } = require('../lib/schema/index')
+
+const testDir = './test-data/query'
+
+// Test utilities
+async function cleanupTestData() {
+  await fs.rm(testDir, { recursive: true, force: true })
+}
+
+async function runTest(testName, testFn) {
+  console.log(`\n🧪 Testing: ${testName}`)
+  try {
+    await testFn()
+    console.log(`✅ ${testName} passed`)
+    return true
+  } catch (error) {
+    console.error(`❌ ${testName} failed:`, error.message)
+    console.error(error.stack)
+    return false
+  }
+}
+
+const people = [
+  { id: 1, name: 'Ann', age: 34, city: 'Utrecht', price: '10.50' },
+  { id: 2, name: 'Bob', age: 17, city: 'Gent', price: '9.99' },
+  { id: 3, name: 'Cleo', age: null, city: 'Utrecht', price: '100.00' },
+  { id: 4, name: 'Dirk', age: 52, city: 'Antwerpen', price: '0.00' },
+  { id: 5, name: 'Anouk', age: 17, city: 'Gent', price: '25.00' }
+]
+
+const personSchema = () => new Schema({
+  id: DataTypes.UINT32,
+  name: DataTypes.VARCHAR(20),
+  age: { type: DataTypes.UINT8, nullable: true },
+  city: DataTypes.VARCHAR(20),
+  price: 'DECIMAL(8,2)'
+})
+
+async function testQuery() {
+  console.log('╔════════════════════════════════════════════════════════════════╗')
+  console.log('║                         Query Tests                            ║')
+  console.log('╚════════════════════════════════════════════════════════════════╝')
+
+  const results = []
+
+  await cleanupTestData()
+
+  results.push(await runTest('Where clauses support the full operator set', async () => {
+    const ids = (where) => people.filter(compileWhere(where)).map(person => person.id)
+
+    assert.deepStrictEqual(ids({ city: 'Gent' }), [2, 5])
+    assert.deepStrictEqual(ids({ age: { $eq: 17 } }), [2, 5])
+    assert.deepStrictEqual(ids({ age: { $ne: 17 } }), [1, 3, 4])
+    assert.deepStrictEqual(ids({ age: { $gt: 17, $lte: 52 } }), [1, 4])
+    assert.deepStrictEqual(ids({ age: { $lt: 20 } }), [2, 5])
+    assert.deepStrictEqual(ids({ city: { $in: ['Gent', 'Antwerpen'] } }), [2, 4, 5])
+    assert.deepStrictEqual(ids({ city: { $nin: ['Gent', 'Antwerpen'] } }), [1, 3])
+    assert.deepStrictEqual(ids({ age: { $between: [17, 34] } }), [1, 2, 5])
+    assert.deepStrictEqual(ids({ name: { $like: 'An%' } }), [1, 5])
+    assert.deepStrictEqual(ids({ name: { $like: '_o_' } }), [2])
+    assert.deepStrictEqual(ids({ name: { $regex: '^a', $options: 'i' } }), [1, 5])
+    assert.deepStrictEqual(ids({ name: { $regex: /k$/ } }), [4, 5])
+    assert.deepStrictEqual(ids({ age: { $exists: false } }), [3])
+    assert.deepStrictEqual(ids({ age: null }), [3])
+    assert.deepStrictEqual(ids({ age: { $not: { $gte: 18 } } }), [2, 3, 5])
+    assert.deepStrictEqual(ids({ $or: [{ city: 'Utrecht' }, { age: { $gt: 50 } }] }), [1, 3, 4])
+    assert.deepStrictEqual(ids({ $and: [{ city: 'Gent' }, { name: { $like: 'A%' } }] }), [5])
+    assert.deepStrictEqual(ids({ $not: { city: 'Gent' }, age: { $exists: true } }), [1, 4])
+    assert.deepStrictEqual(ids({ city: 'Gent', age: { $ne: 17 } }), [])
+    assert.deepStrictEqual(ids({ name: { $like: '100\\%' } }), [])
+
+    assert.throws(() => compileWhere({ age: { $near: 1 } }), /Unknown operator '\$near'/)
+    assert.throws(() => compileWhere({ $xor: [] }), /Unknown operator '\$xor'/)
+    assert.throws(() => compileWhere({ city: { $in: 'Gent' } }), (error) => {
+      assert.strictEqual(error.code, 'INVALID_QUERY')
+      assert.strictEqual(error.message, "'$in' on 'city' needs an array")
+      return true
+    })
+    assert.throws(() => compileWhere({ age: { $between: [1] } }), /needs an array of 2 values/)
+    assert.throws(() => compileWhere({ $or: { city: 'Gent' } }), /needs an array of where clauses/)
+  }))
+
+  results.push(await runTest('Table.read, count, updateWhere and deleteWhere take queries', async () => {
+    const table = new Table('people', personSchema(), testDir)
+    await table.open()
+    for (const person of people) {
+      await table.create(person)
+    }
+
+    const ids = async (where) => (await table.read({ where })).map(person => person.id)
+
+    // Decimals compare by value, not as strings
+    assert.deepStrictEqual(await ids({ price: { $gt: '9.99', $lt: '30' } }), [1, 5])
+    assert.deepStrictEqual(await ids({ price: { $in: ['0', '25'] } }), [4, 5])
+    assert.deepStrictEqual(await ids({ $or: [{ name: { $like: '%e%' } }, { age: { $gt: 50 } }] }), [3, 4])
+    await assert.rejects(() => table.read({ where: { age: { $near: 1 } } }), /Unknown operator/)
+
+    // Indexed lookups give the same answers as scans
+    const queries = [{ age: 17 }, { age: { $between: [17, 34] } }, { age: { $gte: 18 }, city: 'Utrecht' }, { age: { $in: [17, 52] } }, { age: { $ne: 17 } }]
+    const scanned = await Promise.all(queries.map(ids))
+    await table.createIndex('age')
+    assert.deepStrictEqual(await Promise.all(queries.map(ids)), scanned)
+
+    assert.strictEqual(await table.count(), 5)
+    assert.strictEqual(await table.count({ city: { $in: ['Gent'] } }), 2)
+
+    const updated = await table.updateWhere({ city: 'Gent' }, { city: 'Ghent' })
+    assert.deepStrictEqual(updated, { success: true, count: 2, keys: [2, 5] })
+    assert.deepStrictEqual(await ids({ city: 'Ghent' }), [2, 5])
+
+    // Nothing is written when one of the records would become invalid
+    await assert.rejects(() => table.updateWhere({ age: { $exists: true } }, { name: null }), /Field 'name' is required/)
+    assert.strictEqual(await table.count({ name: { $exists: true } }), 5)
+
+    const deleted = await table.deleteWhere({ age: { $lt: 18 } })
+    assert.deepStrictEqual(deleted.keys, [2, 5])
+    assert.deepStrictEqual(await ids({ age: 17 }), [])
+    assert.deepStrictEqual(await ids(), [1, 3, 4])
+    await table.close()
+  }))
+
+  results.push(await runTest('Operands a date or decimal field cannot read are rejected', async () => {
+    const table = new Table('events', new Schema({
+      id: DataTypes.UINT32,
+      at: DataTypes.TIMESTAMP,
+      day: DataTypes.DATE,
+      price: 'DECIMAL(8,2)'
+    }), testDir)
+    await table.open()
+    await table.create({ id: 1, at: '2024-01-01T10:00:00Z', day: '2024-01-01', price: '1.50' })
+    await table.create({ id: 2, at: '2024-02-01T10:00:00Z', day: '2024-02-01', price: '2.50' })
+
+    const rejects = (where, message) => assert.rejects(() => table.read({ where }), (error) => {
+      assert.strictEqual(error.code, 'INVALID_QUERY')
+      assert.ok(message.test(error.message), error.message)
+      return true
+    })
+    await rejects({ at: 'garbage' }, /^Cannot compare TIMESTAMP field 'at' with 'garbage': invalid date$/)
+    await rejects({ at: { $gt: '2024-01-15', $lt: 'later' } }, /field 'at' with 'later'/)
+    await rejects({ $or: [{ id: 1 }, { day: { $in: ['2024-01-01', 'soon'] } }] }, /DATE field 'day' with 'soon': 'soon' is not a YYYY-MM-DD date/)
+    await rejects({ day: { $not: { $between: ['2024-01-01', 7] } } }, /DATE field 'day' with 7/)
+    await rejects({ price: { $lt: 'cheap' } }, /DECIMAL\(8,2\) field 'price' with 'cheap'/)
+    await assert.rejects(() => table.count({ price: 'cheap' }), /field 'price'/)
+
+    // Valid operands still compare in the field's order; null needs no parsing
+    assert.deepStrictEqual((await table.read({ where: { at: { $gt: '2024-01-15' } } })).map(row => row.id), [2])
+    assert.deepStrictEqual((await table.read({ where: { at: Date.parse('2024-01-01T10:00:00Z') } })).map(row => row.id), [1])
+    assert.deepStrictEqual((await table.read({ where: { day: { $lte: '2024-01-31' }, price: { $gte: 1 } } })).map(row => row.id), [1])
+    assert.deepStrictEqual(await table.read({ where: { at: null } }), [])
+    await table.close()
+  }))
+
+  results.push(await runTest('The query planner picks the cheapest access path', async () => {
+    const table = new Table('planned', new Schema({
+      id: DataTypes.UINT32,
+      code: DataTypes.VARCHAR(10),
+      parity: DataTypes.UINT8
+    }), testDir)
+    await table.open()
+    for (let id = 1; id <= 1000; id++) {
+      await table.create({ id, code: `c${id}`, parity: id % 2 })
+    }
+    await table.createIndex('code')
+    await table.createIndex('parity')
+
+    const explain = async (where) => (await table.explain({ where })).plan.access
+
+    assert.strictEqual(await explain({ id: { $gte: 100, $lt: 200 } }), 'keyRange')
+    assert.strictEqual(await explain({ gte: 100, lte: 200 }), 'keyRange')
+    assert.strictEqual(await explain({ id: { $in: [5, 7] } }), 'keyLookup')
+    assert.strictEqual(await explain({ code: 'c42' }), 'indexRange')
+    assert.strictEqual(await explain({ $and: [{ code: { $in: ['c1', 'c2'] } }, { parity: 1 }] }), 'indexRange')
+    // Half the rows: one lookup each costs more than reading every leaf
+    assert.strictEqual(await explain({ parity: 1 }), 'fullScan')
+    assert.strictEqual(await explain({ $or: [{ code: 'c1' }, { id: 2 }] }), 'fullScan')
+
+    const report = await table.explain({ where: { id: { $gt: 500, $lte: 600 } }, limit: 10 })
+    // The range starts at 500 itself, which filtering drops; reading stops at the limit
+    assert.strictEqual(report.actualRows, 11)
+    assert.strictEqual(report.returnedRows, 10)
+    assert.ok(Math.abs(report.plan.estimatedRows - 100) <= 10, `estimated ${report.plan.estimatedRows} rows`)
+    assert.ok(report.pagesTouched < (await table.explain()).pagesTouched)
+    assert.deepStrictEqual(report.alternatives.map(plan => plan.access), ['fullScan'])
+
+    // Plans return what a filtered scan would
+    const queries = [{ code: { $in: ['c9', 'c10', 'c11'] } }, { id: { $between: [10, 20] }, parity: 0 }, { code: { $gte: 'c99' } }]
+    for (const where of queries) {
+      const scanned = (await table.read()).filter(record => table._matchesWhere(record, where))
+      assert.deepStrictEqual(await table.read({ where }), scanned)
+    }
+
+    // Row counts survive a restart
+    await table.deleteWhere({ id: { $gt: 900 } })
+    await table.close()
+    const reopened = new Table('planned', null, testDir)
+    await reopened.open()
+    assert.strictEqual(reopened.pager.meta.rowCount, 900)
+    assert.strictEqual(reopened.indexes.get('code').pager.meta.entries, 900)
+    await reopened.close()
+  }))
+
+  results.push(await runTest('Scans stream records in key order, either way', async () => {
+    const table = new Table('scanned', new Schema({
+      id: DataTypes.UINT32,
+      note: DataTypes.VARCHAR(100)
+    }), testDir)
+    await table.open()
+    for (let id = 1; id <= 500; id++) {
+      await table.create({ id, note: `note ${id}`.padEnd(80, '.') })
+    }
+
+    const ids = async (options) => {
+      const seen = []
+      for await (const record of table.scan(options)) seen.push(record.id)
+      return seen
+    }
+    const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i)
+
+    assert.deepStrictEqual(await ids(), range(1, 500))
+    assert.deepStrictEqual(await ids({ from: 120, to: 260 }), range(120, 260))
+    assert.deepStrictEqual(await ids({ from: 120, to: 260, reverse: true }), range(120, 260).reverse())
+    assert.deepStrictEqual(await ids({ reverse: true }), range(1, 500).reverse())
+    assert.deepStrictEqual(await ids({ to: 30, reverse: true, where: { id: { $in: [3, 7, 40] } } }), [7, 3])
+    assert.deepStrictEqual(await ids({ from: 501 }), [])
+    assert.deepStrictEqual(await ids({ from: 10, to: 9 }), [])
+
+    // Stopping early reads only the leaves it needs
+    const { height } = await table.bPlusTree.shape()
+    table.pager.trace = new Set()
+    let newest = null
+    for await (const record of table.scan({ reverse: true })) {
+      newest = record.id
+      break
+    }
+    assert.strictEqual(newest, 500)
+    assert.ok(table.pager.trace.size <= height, `read ${table.pager.trace.size} pages`)
+    table.pager.trace = null
+
+    const all = []
+    for await (const record of table) all.push(record.id)
+    assert.strictEqual(all.length, 500)
+
+    // count() uses the stored row count, or counts matches as it reads them
+    await table.deleteWhere({ id: { $gt: 450 } })
+    assert.strictEqual(await table.count(), 450)
+    assert.strictEqual(await table.count({ note: { $like: 'note 1%' } }), 111)
+    await table.close()
+  }))
+
+  results.push(await runTest('Reads sort, project and spill large sorts to disk', async () => {
+    const tempDir = `${testDir}/sort-tmp`
+    const table = new Table('sorted', new Schema({
+      id: DataTypes.UINT32,
+      price: 'DECIMAL(8,2)',
+      name: DataTypes.VARCHAR(20),
+      rank: { type: DataTypes.UINT32, nullable: true }
+    }), testDir, { sortMemory: 1024, tempDir })
+    await table.open()
+
+    const records = []
+    for (let id = 1; id <= 300; id++) {
+      const record = { id, price: `${(id * 37) % 101}.${id % 10}0`, name: `item${id % 7}`, rank: id % 5 === 0 ? null : (id * 13) % 300 }
+      records.push(record)
+      await table.create(record)
+    }
+
+    // Reference order: price by value descending, then name, then id
+    const expected = [...records].sort((a, b) =>
+      parseFloat(b.price) - parseFloat(a.price) || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0) || a.id - b.id)
+    const orderBy = [{ field: 'price', dir: 'desc' }, 'name']
+
+    const report = await table.explain({ orderBy })
+    assert.strictEqual(report.plan.order, 'sort')
+    assert.strictEqual(report.sort, 'external')
+    assert.deepStrictEqual((await table.read({ orderBy })).map(record => record.id), expected.map(record => record.id))
+    assert.deepStrictEqual(await table.read({ orderBy, select: ['id', 'price'], offset: 5, limit: 3 }),
+      expected.slice(5, 8).map(({ id, price }) => ({ id, price })))
+    assert.deepStrictEqual(await fs.readdir(tempDir), [], 'run files are removed')
+
+    // Many runs are merged a few at a time; equal records keep the order they were added in
+    const sorter = new ExternalSorter((a, b) => a.n - b.n, {
+      memory: 200,
+      fanIn: 3,
+      tempDir,
+      serialize: (record) => Buffer.from(JSON.stringify(record)),
+      deserialize: (buffer) => JSON.parse(buffer)
+    })
+    const numbers = Array.from({ length: 1000 }, (_, i) => ({ n: (i * 37) % 101, i }))
+    for (const record of numbers) await sorter.add(record)
+    assert.ok(sorter.runs.length > 27, `${sorter.runs.length} runs`)
+    const merged = []
+    for await (const record of sorter.sorted()) {
+      assert.ok(sorter.runs.length <= 3, `${sorter.runs.length} runs merged at once`)
+      merged.push(record)
+    }
+    await sorter.close()
+    assert.deepStrictEqual(merged, [...numbers].sort((a, b) => a.n - b.n || a.i - b.i))
+    assert.deepStrictEqual(await fs.readdir(tempDir), [])
+
+    // Nulls sort first, ties in key order
+    const byRank = await table.read({ orderBy: 'rank', select: ['id', 'rank'], limit: 61 })
+    assert.deepStrictEqual(byRank.slice(0, 60).map(record => record.id), records.filter(r => r.rank === null).map(r => r.id))
+    assert.notStrictEqual(byRank[60].rank, null)
+
+    // Key order needs no sort; an index matching the order is walked and stops at the limit
+    assert.strictEqual((await table.explain({ orderBy: { field: 'id', dir: 'desc' } })).plan.order, 'reverse')
+    assert.deepStrictEqual((await table.read({ orderBy: { field: 'id', dir: 'DESC' }, limit: 2 })).map(r => r.id), [300, 299])
+    // Descending key order walks the leaves backwards and stops at the limit too
+    const latest = await table.explain({ where: { id: { $lte: 150 }, name: 'item1' }, orderBy: { field: 'id', dir: 'desc' }, limit: 3 })
+    assert.strictEqual(latest.plan.access, 'keyRange')
+    assert.ok(latest.actualRows <= 21, `read ${latest.actualRows} rows`)
+    assert.deepStrictEqual((await table.read({ where: { id: { $lte: 150 }, name: 'item1' }, orderBy: { field: 'id', dir: 'desc' }, limit: 3 }))
+      .map(r => r.id), [148, 141, 134])
+    assert.deepStrictEqual((await table.read({ where: { id: { $in: [9, 4, 7] } }, orderBy: { field: 'id', dir: 'desc' } })).map(r => r.id), [9, 7, 4])
+
+    await table.createIndex('price')
+    const walk = await table.explain({ where: { name: 'item3' }, orderBy: 'price', limit: 5 })
+    assert.strictEqual(walk.plan.order, 'index')
+    assert.ok(walk.actualRows < 100, `read ${walk.actualRows} rows`)
+    const cheapest = records.filter(record => record.name === 'item3')
+      .sort((a, b) => parseFloat(a.price) - parseFloat(b.price) || a.id - b.id).slice(0, 5)
+    assert.deepStrictEqual((await table.read({ where: { name: 'item3' }, orderBy: 'price', limit: 5 })).map(r => r.id),
+      cheapest.map(record => record.id))
+
+    // A selective key condition still beats walking the whole index
+    assert.strictEqual((await table.explain({ where: { id: { $in: [3, 4] } }, orderBy: 'price' })).plan.access, 'keyLookup')
+
+    await assert.rejects(() => table.read({ orderBy: 'colour' }), /Cannot order by unknown field 'colour'/)
+    await assert.rejects(() => table.read({ orderBy: { field: 'price', dir: 'up' } }), (error) => error.code === 'INVALID_QUERY')
+    await assert.rejects(() => table.read({ select: 'id' }), /select must be an array of field names/)
+    await table.close()
+  }))
+
+  results.push(await runTest('Aggregations group records and compute metrics', async () => {
+    const table = new Table('totals', personSchema(), testDir)
+    await table.open()
+    for (const person of people) {
+      await table.create(person)
+    }
+
+    const byCity = await table.aggregate({
+      groupBy: ['city'],
+      metrics: {
+        n: { $count: true },
+        aged: { $count: 'age' },
+        total: { $sum: 'price' },
+        avgAge: { $avg: 'age' },
+        youngest: { $min: 'age' },
+        priciest: { $max: 'price' }
+      }
+    })
+    assert.deepStrictEqual(byCity, [
+      { city: 'Antwerpen', n: 1, aged: 1, total: '0.00', avgAge: 52, youngest: 52, priciest: '0.00' },
+      { city: 'Gent', n: 2, aged: 2, total: '34.99', avgAge: 17, youngest: 17, priciest: '25.00' },
+      { city: 'Utrecht', n: 2, aged: 1, total: '110.50', avgAge: 34, youngest: 34, priciest: '100.00' }
+    ])
+
+    // Decimals compare by value in having, as in where
+    assert.deepStrictEqual(await table.aggregate({
+      where: { age: { $ne: 52 } },
+      groupBy: 'city',
+      metrics: { total: { $sum: 'price' } },
+      having: { total: { $gt: '50' } }
+    }), [{ city: 'Utrecht', total: '110.50' }])
+
+    // One row without groupBy, even when nothing matches
+    assert.deepStrictEqual(await table.aggregate({ metrics: { n: { $count: true }, top: { $max: 'name' } } }), [{ n: 5, top: 'Dirk' }])
+    assert.deepStrictEqual(await table.aggregate({ where: { age: 99 }, metrics: { n: { $count: true }, sum: { $sum: 'age' } } }), [{ n: 0, sum: null }])
+
+    await assert.rejects(() => table.aggregate({ metrics: { s: { $sum: 'name' } } }), /needs a numeric field/)
+    await assert.rejects(() => table.aggregate({ groupBy: ['colour'] }), /Cannot group by unknown field 'colour'/)
+    await assert.rejects(() => table.aggregate({ metrics: { m: { $median: 'age' } } }), (error) => error.code === 'INVALID_QUERY')
+    await table.close()
+  }))
+
+  await cleanupTestData()
+
+  const passed = results.filter(Boolean).length
+  console.log('\n' + '='.repeat(60))
+  console.log(`TEST RESULTS: ${passed}/${results.length} tests passed`)
+  console.log('='.repeat(60))
+
+  return passed === results.length
+}
+
+// Run all tests
+if (require.main === module) {
+  testQuery()
+    .then((success) => {
+      if (!success) process.exit(1)
+    })
+    .catch((error) => {
+      console.error('❌ Test suite failed:', error)
+      process.exit(1)
+    })
+}
+
+module.exports = {
+  testQuery
+}
@@ -135,8 +135,10 @@ async function testDataTypes() {
 async function testDatabaseIntegration() {
   console.log('Testing database integration with custom schemas...')
   
-  // Test with Product schema
-  const db = connectDB('./tests/test_products.db')
+  // Test with Product schema, in a fresh file
+  await require('fs/promises').rm('./test-data/schema', { recursive: true, force: true })
+  await require('fs/promises').mkdir('./test-data/schema', { recursive: true })
+  const db = connectDB('./test-data/schema/test_products.db')
   await db.open()
   
   const pager = await createPager(db, {
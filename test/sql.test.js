@@ -0,0 +1,244 @@
+const assert = require('assert')
+const fs = require('fs/promises')
+const Database = require('../lib/core/database')
+const { parse } = require('../lib/sql/index')
+
+const testDir = './test-data/sql'
+
+// Test utilities
+async function cleanupTestData() {
+  await fs.rm(testDir, { recursive: true, force: true })
+}
+
+async function runTest(testName, testFn) {
+  console.log(`\n🧪 Testing: ${testName}`)
+  try {
+    await testFn()
+    console.log(`✅ ${testName} passed`)
+    return true
+  } catch (error) {
+    console.error(`❌ ${testName} failed:`, error.message)
+    console.error(error.stack)
+    return false
+  }
+}
+
+// A database with users and their orders
+async function openShop(name) {
+  const db = new Database(name, `${testDir}/${name}`)
+  await db.connect()
+
+  await db.sql(`CREATE TABLE users (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(20) NOT NULL,
+    age INT,
+    country ENUM('NL', 'BE') DEFAULT 'NL'
+  )`)
+  await db.sql(`CREATE TABLE orders (
+    id INT,
+    user_id INT NOT NULL,
+    total DECIMAL(10,2),
+    PRIMARY KEY (id)
+  )`)
+  await db.sql("INSERT INTO users (name, age) VALUES ('Ann', 31), ('Bob', 25), ('Cy', NULL)")
+  await db.sql('INSERT INTO users (name, age, country) VALUES (?, ?, ?)', ['Dee', 40, 'BE'])
+  await db.sql("INSERT INTO orders VALUES (1, 1, '10.50'), (2, 1, 5), (3, 2, 7.25), (4, 9, 1)")
+  return db
+}
+
+async function testSql() {
+  console.log('╔════════════════════════════════════════════════════════════════╗')
+  console.log('║                          SQL Tests                             ║')
+  console.log('╚════════════════════════════════════════════════════════════════╝')
+
+  const results = []
+
+  await cleanupTestData()
+
+  results.push(await runTest('Statements parse into plain trees', async () => {
+    const select = parse('SELECT u.name AS n, COUNT(*) FROM "users" u WHERE (age >= ? OR age IS NULL) AND name NOT LIKE \'x%\' ORDER BY n DESC LIMIT 5;')
+    assert.deepStrictEqual(select.columns, [
+      { type: 'column', name: 'u.name', alias: 'n' },
+      { type: 'aggregate', fn: 'COUNT', column: null, alias: null }
+    ])
+    assert.deepStrictEqual(select.from, { table: 'users', alias: 'u' })
+    assert.deepStrictEqual(select.where, {
+      type: 'and',
+      items: [
+        {
+          type: 'or',
+          items: [
+            { type: 'compare', column: { type: 'column', name: 'age' }, op: '>=', value: { type: 'param', index: 0 } },
+            { type: 'isNull', column: { type: 'column', name: 'age' }, not: false }
+          ]
+        },
+        { type: 'like', column: { type: 'column', name: 'name' }, pattern: { type: 'literal', value: 'x%' }, not: true }
+      ]
+    })
+    assert.deepStrictEqual(select.orderBy, [{ expression: { type: 'column', name: 'n' }, dir: 'desc' }])
+    assert.deepStrictEqual(select.limit, { type: 'literal', value: 5 })
+
+    const create = parse("create table t (id int primary key, price decimal(10, 2) default -1.5, size enum('it''s', 'b'))")
+    assert.deepStrictEqual(create.columns.map(column => column.dataType), ['INT32', 'DECIMAL(10,2)', "ENUM('it''s','b')"])
+    assert.deepStrictEqual(create.columns[1].default, { type: 'literal', value: -1.5 })
+    assert.deepStrictEqual(create.primaryKey, ['id'])
+
+    for (const [text, message] of [
+      ['SELECT * FORM users', /Expected FROM but found 'FORM' \(line 1, column 10\)/],
+      ['SELECT *\nFROM users WHERE', /Expected a column name but found end of statement \(line 2, column 17\)/],
+      ["SELECT * FROM users WHERE name = 'open", /Unterminated string/],
+      ['DROP TABLE users', /Expected SELECT, INSERT, UPDATE, DELETE or CREATE/],
+      ['SELECT * FROM users; SELECT 1', /after the end of the statement/],
+      ['SELECT * FROM users WHERE COUNT(*) > 1', /COUNT\(\) cannot be used here/]
+    ]) {
+      assert.throws(() => parse(text), error => error.code === 'INVALID_QUERY' && message.test(error.message))
+    }
+  }))
+
+  results.push(await runTest('CREATE and INSERT build tables and rows', async () => {
+    const db = await openShop('create')
+
+    const users = await db.getTable('users')
+    assert.strictEqual(users.schema.autoIncrement, 'id')
+    assert.strictEqual(users.schema.getField('age').nullable, true)
+    assert.strictEqual(users.schema.getField('name').nullable, false)
+    assert.deepStrictEqual(await db.sql('SELECT * FROM users WHERE id = 1'), [{ id: 1, name: 'Ann', age: 31, country: 'NL' }])
+
+    // A failing row leaves none of its statement's rows behind
+    await assert.rejects(db.sql("INSERT INTO users (id, name) VALUES (10, 'Eve'), (1, 'Dup')"), /already exists/)
+    assert.deepStrictEqual(await db.sql('SELECT id FROM users WHERE id = 10'), [])
+    await assert.rejects(db.sql("INSERT INTO users (name) VALUES ('x'), (1, 2)"), /INSERT lists 1 columns but row 2 has 2 values/)
+    await assert.rejects(db.sql('INSERT INTO users (nope) VALUES (1)'), /Unknown column 'nope'/)
+
+    const created = await db.sql('CREATE TABLE IF NOT EXISTS users (id INT)')
+    assert.strictEqual(created.created, false)
+
+    await db.sql('CREATE UNIQUE INDEX users_name ON users (name)')
+    assert.deepStrictEqual(users.getIndexes().map(index => index.field), ['name'])
+    await assert.rejects(db.sql("INSERT INTO users (name) VALUES ('Ann')"))
+
+    await db.close()
+  }))
+
+  results.push(await runTest('SELECT filters, sorts, projects and pages', async () => {
+    const db = await openShop('select')
+
+    assert.deepStrictEqual(
+      await db.sql('SELECT name, age AS years FROM users WHERE age > ? ORDER BY years DESC', [20]),
+      [{ name: 'Dee', years: 40 }, { name: 'Ann', years: 31 }, { name: 'Bob', years: 25 }])
+    assert.deepStrictEqual(
+      (await db.sql('SELECT id FROM users WHERE age IS NULL OR age BETWEEN 30 AND 35')).map(row => row.id), [1, 3])
+    assert.deepStrictEqual(
+      (await db.sql("SELECT users.id FROM users WHERE name LIKE '%e%' AND NOT country IN ('NL')")).map(row => row.id), [4])
+    assert.deepStrictEqual(
+      (await db.sql('SELECT id FROM users WHERE age IS NOT NULL AND age <> 31 ORDER BY id DESC LIMIT ? OFFSET 1', [1])).map(row => row.id), [2])
+    assert.deepStrictEqual(
+      (await db.sql('SELECT id FROM orders WHERE total >= 7.25')).map(row => row.id), [1, 3])
+
+    // Comparisons with NULL match nothing, even the rows where age is null
+    assert.deepStrictEqual(await db.sql('SELECT id FROM users WHERE age = NULL'), [])
+    assert.deepStrictEqual(await db.sql('SELECT id FROM users WHERE age <> ?', [null]), [])
+    assert.deepStrictEqual(await db.sql('SELECT id FROM users WHERE id = NULL'), [])
+    assert.deepStrictEqual(
+      (await db.sql('SELECT id FROM users WHERE age = NULL OR age IS NULL')).map(row => row.id), [3])
+
+    // Negated predicates do not hold for a NULL column either
+    const ids = async (where) => (await db.sql(`SELECT id FROM users WHERE ${where}`)).map(row => row.id)
+    assert.deepStrictEqual(await ids('age != 31'), [2, 4])
+    assert.deepStrictEqual(await ids('age <> 31'), [2, 4])
+    assert.deepStrictEqual(await ids('age NOT IN (31)'), [2, 4])
+    assert.deepStrictEqual(await ids('age NOT BETWEEN 30 AND 35'), [2, 4])
+    assert.deepStrictEqual(await ids("age NOT LIKE '3%'"), [2, 4])
+    assert.deepStrictEqual(await ids('NOT age = 31'), [2, 4])
+    assert.deepStrictEqual(await ids('NOT (age > 30 AND name = \'Cy\')'), [1, 2, 4])
+    assert.deepStrictEqual(await ids('NOT (age > 30 OR name = \'Ann\')'), [2])
+    assert.deepStrictEqual(await ids('NOT NOT age = 31'), [1])
+    assert.deepStrictEqual(await ids('NOT age IS NULL'), [1, 2, 4])
+    assert.deepStrictEqual(await ids('age IN (31, NULL)'), [1])
+    assert.deepStrictEqual(await ids('age NOT IN (31, NULL)'), [])
+
+    await assert.rejects(db.sql('SELECT nope FROM users'), /Unknown column 'nope'/)
+    await assert.rejects(db.sql('SELECT * FROM users WHERE age > ?'), /No value given for parameter 1/)
+    await assert.rejects(db.sql('SELECT * FROM users WHERE age > ?', [20, 30]), /2 parameters given for 1 placeholders/)
+    await assert.rejects(db.sql('SELECT * FROM users', [20]), error => error.code === 'INVALID_QUERY')
+    await assert.rejects(db.sql('SELECT * FROM users LIMIT -1'), /LIMIT must be a non-negative integer/)
+
+    await db.close()
+  }))
+
+  results.push(await runTest('SELECT aggregates and joins', async () => {
+    const db = await openShop('aggregate')
+
+    assert.deepStrictEqual(
+      await db.sql('SELECT country, COUNT(*) AS n, AVG(age) FROM users GROUP BY country HAVING COUNT(*) > 1'),
+      [{ country: 'NL', n: 3, 'AVG(age)': 28 }])
+    assert.deepStrictEqual(
+      await db.sql('SELECT SUM(total), MAX(total), COUNT(user_id) FROM orders'),
+      [{ 'SUM(total)': '23.75', 'MAX(total)': '10.50', 'COUNT(user_id)': 4 }])
+    // Decimal sums sort by value, not as strings
+    assert.deepStrictEqual(
+      await db.sql('SELECT user_id, SUM(total) AS spent FROM orders GROUP BY user_id ORDER BY spent DESC LIMIT 2'),
+      [{ user_id: 1, spent: '15.50' }, { user_id: 2, spent: '7.25' }])
+    await assert.rejects(db.sql('SELECT name, COUNT(*) FROM users GROUP BY country'), /'name' must be in GROUP BY/)
+
+    assert.deepStrictEqual(
+      await db.sql('SELECT u.name, o.total AS total FROM orders o JOIN users u ON o.user_id = u.id ORDER BY total'),
+      [{ 'u.name': 'Ann', total: '5.00' }, { 'u.name': 'Bob', total: '7.25' }, { 'u.name': 'Ann', total: '10.50' }])
+    assert.deepStrictEqual(
+      await db.sql('SELECT o.*, name FROM orders AS o LEFT JOIN users AS u ON u.id = o.user_id WHERE o.id >= 3'),
+      [
+        { 'o.id': 3, 'o.user_id': 2, 'o.total': '7.25', 'u.name': 'Bob' },
+        { 'o.id': 4, 'o.user_id': 9, 'o.total': '1.00', 'u.name': null }
+      ])
+
+    await db.close()
+  }))
+
+  results.push(await runTest('UPDATE and DELETE, also inside transactions', async () => {
+    const db = await openShop('write')
+
+    assert.deepStrictEqual(await db.sql("UPDATE users SET country = 'BE', age = ? WHERE name LIKE 'B%'", [26]),
+      { success: true, count: 1, keys: [2] })
+    assert.deepStrictEqual(await db.sql('SELECT country, age FROM users WHERE id = 2'), [{ country: 'BE', age: 26 }])
+    assert.deepStrictEqual(await db.sql('DELETE FROM orders WHERE user_id NOT IN (1, 2)'), { success: true, count: 1, keys: [4] })
+    assert.deepStrictEqual(await db.sql('SELECT COUNT(*) AS n FROM orders'), [{ n: 3 }])
+
+    const tx = db.beginTransaction()
+    await tx.sql("INSERT INTO users (id, name) VALUES (50, 'Tx')")
+    await tx.sql('DELETE FROM orders')
+    assert.deepStrictEqual(await tx.sql('SELECT name FROM users WHERE id = 50'), [{ name: 'Tx' }])
+    assert.deepStrictEqual(await db.sql('SELECT name FROM users WHERE id = 50'), [])
+    await assert.rejects(tx.sql('CREATE TABLE t (id INT)'), /cannot run inside a transaction/)
+    await tx.commit()
+
+    assert.deepStrictEqual(await db.sql('SELECT name FROM users WHERE id = 50'), [{ name: 'Tx' }])
+    assert.deepStrictEqual(await db.sql('SELECT * FROM orders'), [])
+
+    await db.close()
+  }))
+
+  await cleanupTestData()
+
+  const passed = results.filter(Boolean).length
+  console.log('\n' + '='.repeat(60))
+  console.log(`TEST RESULTS: ${passed}/${results.length} tests passed`)
+  console.log('='.repeat(60))
+
+  return passed === results.length
+}
+
+// Run all tests
+if (require.main === module) {
+  testSql()
+    .then((success) => {
+      if (!success) process.exit(1)
+    })
+    .catch((error) => {
+      console.error('❌ Test suite failed:', error)
+      process.exit(1)
+    })
+}
+
+module.exports = {
+  testSql
+}
@@ -0,0 +1,498 @@
+const assert = require('assert')
+const fs = require('fs/promises')
+const { Table } = require('../lib/core/table')
+const { Schema, DataTypes } = require('../lib/schema/index')
+const { FileFormat } = require('../lib/index/bplus-tree')
+
+const testDir = './test-data/storage'
+
+// Test utilities
+async function cleanupTestData() {
+  await fs.rm(testDir, { recursive: true, force: true })
+}
+
+async function runTest(testName, testFn) {
+  console.log(`\n🧪 Testing: ${testName}`)
+  try {
+    await testFn()
+    console.log(`✅ ${testName} passed`)
+    return true
+  } catch (error) {
+    console.error(`❌ ${testName} failed:`, error.message)
+    console.error(error.stack)
+    return false
+  }
+}
+
+const schema = new Schema({
+  id: DataTypes.UINT32,
+  name: DataTypes.VARCHAR(20)
+})
+
+async function openTable(name) {
+  const table = new Table(name, schema, testDir)
+  await table.open()
+  return table
+}
+
+// Simulate a killed process: drop the file handles without flushing the pager
+async function crash(table) {
+  await table.wal.close()
+  await table.db.close()
+}
+
+async function testStorage() {
+  console.log('╔════════════════════════════════════════════════════════════════╗')
+  console.log('║                      Storage Layer Tests                       ║')
+  console.log('╚════════════════════════════════════════════════════════════════╝')
+
+  const results = []
+
+  await cleanupTestData()
+
+  results.push(await runTest('Reopen table after clean shutdown', async () => {
+    const table = await openTable('reopen')
+    for (let i = 1; i <= 300; i++) {
+      await table.create({ id: i, name: `Row${i}` })
+    }
+    await table.close()
+
+    const reopened = await openTable('reopen')
+    assert.strictEqual(reopened.recovery, null)
+    assert.strictEqual(await reopened.count(), 300)
+    assert.strictEqual((await reopened.read({ key: 150 }))[0].name, 'Row150')
+    await reopened.close()
+  }))
+
+  results.push(await runTest('WAL replays operations after a crash', async () => {
+    const table = await openTable('replay')
+    for (let i = 1; i <= 50; i++) {
+      await table.create({ id: i, name: `Row${i}` })
+    }
+    await table.update(10, { name: 'Updated' })
+    await table.delete(20)
+    await crash(table)
+
+    const recovered = await openTable('replay')
+    assert.deepStrictEqual(recovered.recovery, { pagesRestored: 0, operationsReplayed: 52 })
+    assert.strictEqual(await recovered.count(), 49)
+    assert.strictEqual((await recovered.read({ key: 10 }))[0].name, 'Updated')
+    assert.deepStrictEqual(await recovered.read({ key: 20 }), [])
+    assert.strictEqual(await recovered.wal.size(), 0)
+    await recovered.close()
+  }))
+
+  results.push(await runTest('WAL repairs a flush interrupted midway', async () => {
+    const table = await openTable('torn')
+    for (let i = 1; i <= 100; i++) {
+      await table.create({ id: i, name: `Row${i}` })
+    }
+    await table.close()
+
+    const reopened = await openTable('torn')
+    for (let i = 101; i <= 400; i++) {
+      await reopened.create({ id: i, name: `Row${i}` })
+    }
+
+    // Let two page writes through, then die
+    const write = reopened.db.write
+    let writes = 0
+    reopened.db.write = async (...args) => {
+      if (++writes > 2) throw new Error('simulated crash')
+      return write(...args)
+    }
+
+    await assert.rejects(reopened.pager.flush(), /simulated crash/)
+    await crash(reopened)
+
+    const recovered = await openTable('torn')
+    const rows = await recovered.read()
+    assert.strictEqual(rows.length, 400)
+    rows.forEach((row, i) => assert.strictEqual(row.id, i + 1))
+    await recovered.close()
+  }))
+
+  results.push(await runTest('Vacuum compacts a fragmented table', async () => {
+    const table = await openTable('vacuum')
+    for (let i = 1; i <= 2000; i++) {
+      await table.create({ id: i, name: `Row${i}` })
+    }
+    for (let i = 1; i <= 2000; i++) {
+      if (i > 100 && i % 10 !== 0) await table.delete(i)
+    }
+    await table.pager.flush()
+    const expected = await table.read()
+    const { size: sizeBefore } = await fs.stat(`${testDir}/vacuum.db`)
+
+    // Reads during the vacuum see the old file, writes wait for the swap
+    const vacuuming = table.vacuum()
+    const readDuring = table.read({ key: 50 })
+    const writeDuring = table.create({ id: 5000, name: 'After' })
+
+    const report = await vacuuming
+    assert.strictEqual((await readDuring)[0].name, 'Row50')
+    await writeDuring
+
+    const { size: sizeAfter } = await fs.stat(`${testDir}/vacuum.db`)
+    assert.strictEqual(report.bytesBefore, sizeBefore)
+    assert.strictEqual(report.bytesReclaimed, sizeBefore - report.bytesAfter)
+    assert.ok(report.bytesReclaimed > 0)
+    assert.ok(sizeAfter <= report.bytesAfter + 4096)
+
+    assert.deepStrictEqual(await table.bPlusTree.checkInvariants(), [])
+    assert.strictEqual(table.pager.getStats().freePages, 0)
+
+    // Leaves are laid out in key order
+    const leaves = []
+    for (let leaf = await table.bPlusTree.firstLeaf(); leaf; leaf = leaf.next ? await table.pager.page(leaf.next) : null) {
+      leaves.push(leaf.no)
+    }
+    assert.deepStrictEqual(leaves, [...leaves].sort((a, b) => a - b))
+    await table.close()
+
+    const reopened = await openTable('vacuum')
+    assert.deepStrictEqual(await reopened.read(), [...expected, { id: 5000, name: 'After' }])
+    await reopened.close()
+  }))
+
+  results.push(await runTest('Reads running across the vacuum swap see every row', async () => {
+    const table = await openTable('vacuum-reads')
+    for (let i = 1; i <= 2000; i++) {
+      await table.create({ id: i, name: `Row${i}` })
+    }
+    for (let i = 1; i <= 2000; i += 2) {
+      await table.delete(i)
+    }
+
+    let done = false
+    const vacuuming = table.vacuum().finally(() => { done = true })
+    const missing = []
+    let reads = 0
+    for (let i = 0; !done || reads < 50; i++) {
+      const key = 2 + ((i * 202) % 2000)
+      const rows = await table.read({ key })
+      if (rows.length !== 1) missing.push(key)
+      reads++
+      // Cached reads never wait on I/O, so let the vacuum move on
+      await new Promise(resolve => setImmediate(resolve))
+    }
+    await vacuuming
+
+    assert.deepStrictEqual(missing, [])
+    assert.strictEqual(await table.count(), 1000)
+    await table.close()
+  }))
+
+  results.push(await runTest('Bulk load packs sorted and unsorted rows into a new file', async () => {
+    const loadSchema = new Schema({
+      id: { type: DataTypes.UINT32, autoIncrement: true },
+      name: DataTypes.VARCHAR(20),
+      code: DataTypes.UINT32
+    })
+    const tempDir = `${testDir}/sort`
+    const table = new Table('bulk', loadSchema, testDir, { sortMemory: 4096, tempDir })
+    await table.open()
+    await table.createIndex('code', { unique: true })
+    await table.create({ id: 5000, name: 'Existing', code: 5000 })
+
+    // Unsorted, streamed from a generator and sorted through run files
+    async function* shuffled() {
+      for (let i = 0; i < 3000; i++) {
+        const id = ((i * 7919) % 3000) + 1
+        yield { id, name: `Row${id}`, code: id }
+      }
+    }
+    assert.deepStrictEqual(await table.bulkLoad(shuffled()), { success: true, count: 3000, records: 3001 })
+    assert.deepStrictEqual(await fs.readdir(tempDir), [])
+    assert.deepStrictEqual((await table.verify()).errors, [])
+    assert.strictEqual(table.pager.getStats().freePages, 0)
+    assert.deepStrictEqual((await table.read({ where: { code: 1234 } })).map(row => row.id), [1234])
+
+    // Packed leaves leave no room, so the file is about as small as the rows
+    const packedPages = table.pager.no
+    const rows = await table.read()
+    assert.deepStrictEqual(rows.map(row => row.id), [...Array.from({ length: 3000 }, (_, i) => i + 1), 5000])
+
+    // Sorted rows go straight in; keys are assigned like creates
+    const more = Array.from({ length: 500 }, (_, i) => ({ name: `New${i}`, code: 10000 + i }))
+    assert.strictEqual((await table.bulkLoad(more, { sorted: true, fillFactor: 0.5 })).records, 3501)
+    assert.deepStrictEqual((await table.read({ key: 5001 }))[0], { id: 5001, name: 'New0', code: 10000 })
+    assert.strictEqual((await table.create({ name: 'Next', code: 1 << 20 })).key, 5501)
+    assert.deepStrictEqual((await table.verify()).errors, [])
+    assert.ok(table.pager.no > packedPages * 3500 / 3001 * 1.5, `${table.pager.no} pages at half fill`)
+
+    // Failed loads leave the table as it was
+    await assert.rejects(table.bulkLoad([{ id: 9000, name: 'a', code: 9000 }, { id: 1, name: 'b', code: 9001 }]), /Record with key 1 already exists/)
+    await assert.rejects(table.bulkLoad([{ id: 9000, name: 'a', code: 9000 }, { id: 9000, name: 'b', code: 9001 }]), /loaded twice/)
+    await assert.rejects(table.bulkLoad([{ id: 9001, name: 'a', code: 9000 }, { id: 9000, name: 'b', code: 9001 }], { sorted: true }), /not in primary key order/)
+    await assert.rejects(table.bulkLoad([{ id: 9000, name: 'a', code: 7 }]), /Duplicate value '7' for unique index on 'code'/)
+    await assert.rejects(table.bulkLoad([], { fillFactor: 0.1 }), /fillFactor must be between 0.5 and 1/)
+    assert.strictEqual(await table.count(), 3502)
+    await table.close()
+
+    const reopened = new Table('bulk', loadSchema, testDir)
+    await reopened.open()
+    assert.strictEqual(await reopened.count(), 3502)
+    assert.deepStrictEqual((await reopened.read({ key: 2999 }))[0], { id: 2999, name: 'Row2999', code: 2999 })
+    assert.deepStrictEqual((await reopened.verify()).errors, [])
+
+    // A crash after the swap but before the indexes caught up has them rebuilt on open
+    reopened._rebuildIndexes = async () => { throw new Error('simulated crash') }
+    await assert.rejects(reopened.bulkLoad([{ id: 9000, name: 'Late', code: 9000 }]), /simulated crash/)
+    await reopened.indexes.get('code').close()
+    await crash(reopened)
+
+    const recovered = new Table('bulk', loadSchema, testDir)
+    await recovered.open()
+    assert.deepStrictEqual((await recovered.read({ where: { code: 9000 } })).map(row => row.name), ['Late'])
+    assert.deepStrictEqual((await recovered.verify()).errors, [])
+    await recovered.close()
+  }))
+
+  results.push(await runTest('Bulk load finds duplicate dates in a unique index', async () => {
+    const eventSchema = new Schema({
+      id: DataTypes.UINT32,
+      at: DataTypes.TIMESTAMP
+    })
+    const table = new Table('bulk-dates', eventSchema, testDir)
+    await table.open()
+    await table.createIndex('at', { unique: true })
+    await table.create({ id: 1, at: '2024-01-01T00:00:00Z' })
+
+    await assert.rejects(table.bulkLoad([{ id: 2, at: '2024-02-01T00:00:00Z' }, { id: 3, at: new Date('2024-02-01T00:00:00Z') }]),
+      /Duplicate value .* for unique index on 'at'/)
+    await assert.rejects(table.bulkLoad([{ id: 2, at: '2024-01-01T00:00:00Z' }]), /Duplicate value .* for unique index on 'at'/)
+    assert.strictEqual(await table.count(), 1)
+    assert.deepStrictEqual((await table.verify()).errors, [])
+    await table.close()
+  }))
+
+  results.push(await runTest('Overlapping bulk loads and vacuums run one after the other', async () => {
+    const table = await openTable('bulk-queue')
+    await table.create({ id: 1, name: 'First' })
+
+    const batch = (from) => Array.from({ length: 500 }, (_, i) => ({ id: from + i, name: `Row${from + i}` }))
+    const [first, second] = await Promise.all([table.bulkLoad(batch(1000)), table.bulkLoad(batch(2000))])
+    assert.strictEqual(first.records, 501)
+    assert.strictEqual(second.records, 1001)
+
+    // A write issued behind a load waits for it
+    const loading = table.bulkLoad(batch(3000))
+    const write = table.create({ id: 3000, name: 'Taken' })
+    await loading
+    await assert.rejects(write, /already exists/)
+
+    // A vacuum called during a load queues its own rebuild
+    const loadingMore = table.bulkLoad(batch(4000))
+    const report = await table.vacuum()
+    assert.ok(report.bytesBefore > 0 && report.bytesAfter > 0, JSON.stringify(report))
+    assert.strictEqual((await loadingMore).records, 2001)
+
+    assert.strictEqual(await table.count(), 2001)
+    assert.deepStrictEqual((await table.verify()).errors, [])
+    assert.deepStrictEqual((await fs.readdir(testDir)).filter(file => file.endsWith('.vacuum')), [])
+    await table.close()
+
+    const reopened = await openTable('bulk-queue')
+    assert.strictEqual(await reopened.count(), 2001)
+    await reopened.close()
+  }))
+
+  results.push(await runTest('Page checksums catch corruption', async () => {
+    const table = await openTable('corrupt')
+    for (let i = 1; i <= 500; i++) {
+      await table.create({ id: i, name: `Row${i}` })
+    }
+    await table.createIndex('name', { unique: true })
+
+    const clean = await table.verify()
+    assert.deepStrictEqual(clean.errors, [])
+    assert.strictEqual(clean.ok, true)
+    assert.strictEqual(clean.records, 500)
+
+    const leaf = (await table.bPlusTree.firstLeaf()).next
+    await table.close()
+
+    // Flip one bit in the middle of a leaf
+    const file = await fs.open(`${testDir}/corrupt.db`, 'r+')
+    const byte = Buffer.alloc(1)
+    await file.read(byte, 0, 1, leaf * 4096 + 200)
+    byte[0] ^= 0x10
+    await file.write(byte, 0, 1, leaf * 4096 + 200)
+    await file.close()
+
+    const reopened = await openTable('corrupt')
+    const report = await reopened.verify()
+    assert.strictEqual(report.ok, false)
+    assert.ok(report.errors.some(error => error.startsWith(`Page ${leaf} is corrupt: checksum mismatch`)), report.errors.join('\n'))
+    await assert.rejects(reopened.read(), new RegExp(`Page ${leaf} is corrupt`))
+    await reopened.close()
+
+    // A damaged meta page stops the table from opening at all
+    const meta = await fs.open(`${testDir}/corrupt.db`, 'r+')
+    await meta.write(Buffer.from([0xff]), 0, 1, 20)
+    await meta.close()
+    await assert.rejects(openTable('corrupt'), /Page 0 is corrupt/)
+  }))
+
+  results.push(await runTest('Files in an older layout are refused as such', async () => {
+    const rejectsFormat = (name, reason) => assert.rejects(openTable(name), (error) => {
+      assert.strictEqual(error.code, 'UNSUPPORTED_FORMAT')
+      assert.ok(reason.test(error.message), error.message)
+      return true
+    })
+
+    // A meta page from before checksums: the JSON followed the size directly
+    const old = Buffer.alloc(4096)
+    const json = Buffer.from(JSON.stringify({ rowCount: 0, schema: schema.toJSON() }))
+    old.writeUInt8(2, 0)
+    old.writeUInt32LE(0, 1)
+    old.writeUInt32LE(json.length, 5)
+    json.copy(old, 9)
+    await fs.writeFile(`${testDir}/old-meta.db`, old)
+    await rejectsFormat('old-meta', /^Unsupported file format: the meta page has no format 2 marker/)
+
+    // Older still: no meta page, the root leaf in page 0
+    const leaf = Buffer.alloc(4096)
+    leaf.writeUInt8(1, 0)
+    await fs.writeFile(`${testDir}/no-meta.db`, leaf)
+    await rejectsFormat('no-meta', /page 0 is a tree node/)
+
+    // Files written now carry the marker
+    const table = await openTable('current')
+    await table.create({ id: 1, name: 'Row1' })
+    await table.close()
+    const page = await fs.readFile(`${testDir}/current.db`)
+    assert.strictEqual(page.readUInt16LE(13), FileFormat)
+  }))
+
+  results.push(await runTest('Rows larger than a page use overflow chains', async () => {
+    const bigSchema = new Schema({
+      id: DataTypes.UINT32,
+      doc: DataTypes.JSON(12000),
+      blob: DataTypes.BINARY(6000)
+    })
+    const makeRow = (id, version) => ({
+      id,
+      doc: { id, version, text: 'x'.repeat((id * 397) % 11000) },
+      blob: Buffer.alloc(1000 + (id * 131) % 5000, id + version)
+    })
+    const assertRow = (row, expected) => {
+      assert.deepStrictEqual(row.doc, expected.doc)
+      assert.ok(row.blob.equals(expected.blob))
+    }
+
+    const table = new Table('overflow', bigSchema, testDir)
+    await table.open()
+    const expected = new Map()
+    for (let id = 1; id <= 60; id++) {
+      expected.set(id, makeRow(id, 0))
+      await table.create(expected.get(id))
+    }
+    await table.pager.flush()
+    assert.deepStrictEqual((await table.verify()).errors, [])
+
+    // Unchanged rows keep their chains
+    const pages = table.pager.no
+    await table.pager.flush()
+    assert.strictEqual(table.pager.no, pages)
+    assert.strictEqual(table.pager.getStats().freePages, 0)
+
+    // Changed rows get new chains, old and deleted ones go to the free list
+    for (let id = 1; id <= 60; id += 3) {
+      expected.set(id, makeRow(id, 1))
+      await table.update(id, { doc: expected.get(id).doc, blob: expected.get(id).blob })
+    }
+    for (let id = 2; id <= 60; id += 3) {
+      expected.delete(id)
+      await table.delete(id)
+    }
+    const report = await table.verify()
+    assert.deepStrictEqual(report.errors, [])
+    assert.strictEqual(report.records, expected.size)
+    assert.ok(table.pager.getStats().freePages > 0)
+    await table.close()
+
+    const reopened = new Table('overflow', bigSchema, testDir)
+    await reopened.open()
+    const rows = await reopened.read()
+    assert.deepStrictEqual(rows.map(row => row.id), [...expected.keys()])
+    rows.forEach(row => assertRow(row, expected.get(row.id)))
+
+    await reopened.vacuum()
+    assert.deepStrictEqual((await reopened.verify()).errors, [])
+    assert.strictEqual(reopened.pager.getStats().freePages, 0)
+    assertRow((await reopened.read({ key: 58 }))[0], expected.get(58))
+    await reopened.close()
+  }))
+
+  results.push(await runTest('Variable-length rows are packed by their size', async () => {
+    const noteSchema = new Schema({
+      id: DataTypes.UINT32,
+      title: DataTypes.VARCHAR(16),
+      body: DataTypes.VARCHAR(2000)
+    })
+    const makeBody = (id, version) => 'b'.repeat((id * 7 + version * 13) % 40)
+
+    const table = new Table('notes', noteSchema, testDir)
+    await table.open()
+    for (let id = 1; id <= 400; id++) {
+      await table.create({ id, title: `note ${id}`, body: makeBody(id, 0) })
+    }
+    await table.pager.flush()
+
+    // Short rows share pages even though a body may be 2000 bytes long
+    assert.ok(table.pager.no < 20, `${table.pager.no} pages for 400 short rows`)
+
+    // Growing some rows a lot and shrinking or removing others rebalances by bytes
+    for (let id = 1; id <= 400; id += 5) {
+      await table.update(id, { body: 'B'.repeat(900 + id) })
+    }
+    for (let id = 2; id <= 400; id += 5) {
+      await table.delete(id)
+    }
+    const report = await table.verify()
+    assert.deepStrictEqual(report.errors, [])
+    assert.strictEqual(report.records, 320)
+
+    // Values longer than their declared size are rejected up front
+    await assert.rejects(
+      () => table.create({ id: 1000, title: 'x'.repeat(17), body: '' }),
+      /Field 'title'.*VARCHAR\(16\)/
+    )
+    assert.strictEqual((await table.read({ key: 1000 })).length, 0)
+    await table.close()
+
+    const reopened = new Table('notes', noteSchema, testDir)
+    await reopened.open()
+    const row = (await reopened.read({ key: 6 }))[0]
+    assert.strictEqual(row.body, 'B'.repeat(906))
+    assert.strictEqual((await reopened.read({ key: 3 }))[0].body, makeBody(3, 0))
+    await reopened.close()
+  }))
+
+  await cleanupTestData()
+
+  const passed = results.filter(Boolean).length
+  console.log('\n' + '='.repeat(60))
+  console.log(`TEST RESULTS: ${passed}/${results.length} tests passed`)
+  console.log('='.repeat(60))
+
+  return passed === results.length
+}
+
+// Run all tests
+if (require.main === module) {
+  testStorage()
+    .then((success) => {
+      if (!success) process.exit(1)
+    })
+    .catch((error) => {
+      console.error('❌ Test suite failed:', error)
+      process.exit(1)
+    })
+}
+
+module.exports = {
+  testStorage
+}
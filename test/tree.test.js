@@ -0,0 +1,296 @@
+const assert = require('assert')
+const fs = require('fs/promises')
+const { BPlusTree, connectDB, createPager } = require('../lib/index/bplus-tree')
+
+const testDir = './test-data/tree'
+
+// Test utilities
+async function cleanupTestData() {
+  await fs.rm(testDir, { recursive: true, force: true })
+}
+
+async function runTest(testName, testFn) {
+  console.log(`\n🧪 Testing: ${testName}`)
+  try {
+    await testFn()
+    console.log(`✅ ${testName} passed`)
+    return true
+  } catch (error) {
+    console.error(`❌ ${testName} failed:`, error.message)
+    console.error(error.stack)
+    return false
+  }
+}
+
+// Small order so a few hundred keys give a tree several levels deep
+async function openTree(name, order) {
+  const db = connectDB(`${testDir}/${name}.db`, { immediateSync: false })
+  await db.open()
+
+  const pager = await createPager(db, {
+    rowSize: 4,
+    serialize: (value) => {
+      const buffer = Buffer.alloc(4)
+      buffer.writeUInt32LE(value)
+      return buffer
+    },
+    deserialize: (buffer) => buffer.readUInt32LE(0),
+  })
+
+  const tree = new BPlusTree(pager, { order })
+  if (pager.no > 1) {
+    tree.root = await pager.page(0)
+  }
+
+  return { db, pager, tree }
+}
+
+// Deterministic shuffle so failures can be reproduced
+function shuffle(values, seed) {
+  const result = [...values]
+  for (let i = result.length - 1; i > 0; i--) {
+    seed = (seed * 1103515245 + 12345) % 2147483648
+    const j = seed % (i + 1)
+    ;[result[i], result[j]] = [result[j], result[i]]
+  }
+  return result
+}
+
+async function assertSound(tree, expectedKeys) {
+  assert.deepStrictEqual(await tree.checkInvariants(), [])
+  const keys = (await tree.getAllInOrder()).map(r => r.key)
+  assert.deepStrictEqual(keys, [...expectedKeys].sort((a, b) => a - b))
+
+  // The prev pointers give the same chain backwards
+  const backwards = []
+  for await (const { key } of tree.entries(undefined, undefined, { reverse: true })) backwards.push(key)
+  assert.deepStrictEqual(backwards, keys.reverse())
+}
+
+async function height(tree) {
+  let levels = 1
+  let node = tree.root
+  while (node.type === 'Internal') {
+    node = await tree.pager.page(node.pointers[0])
+    levels++
+  }
+  return levels
+}
+
+async function countReachable(tree) {
+  const count = async (node) => {
+    if (node.type === 'Leaf') return 1
+    let total = 1
+    for (const pointer of node.pointers) {
+      total += await count(await tree.pager.page(pointer))
+    }
+    return total
+  }
+  return count(tree.root)
+}
+
+async function testTree() {
+  console.log('╔════════════════════════════════════════════════════════════════╗')
+  console.log('║                    B+ Tree Delete Tests                        ║')
+  console.log('╚════════════════════════════════════════════════════════════════╝')
+
+  const results = []
+
+  await cleanupTestData()
+  await fs.mkdir(testDir, { recursive: true })
+
+  for (const order of [2, 3, 4, 7]) {
+    results.push(await runTest(`Random deletes keep invariants (order ${order})`, async () => {
+      const { db, tree } = await openTree(`random-${order}`, order)
+      const keys = shuffle(Array.from({ length: 400 }, (_, i) => i + 1), order)
+
+      for (const key of keys) {
+        await tree.insert(key, key * 10)
+      }
+      await assertSound(tree, keys)
+
+      const remaining = new Set(keys)
+      for (const key of shuffle(keys, order + 99)) {
+        assert.strictEqual(await tree.delete(key), true)
+        remaining.delete(key)
+
+        // Checking after every delete is slow, so sample
+        if (remaining.size % 17 === 0) {
+          await assertSound(tree, remaining)
+        }
+      }
+
+      await assertSound(tree, [])
+      assert.strictEqual(tree.root.type, 'Leaf')
+      assert.strictEqual(await tree.delete(1), false)
+      await db.close()
+    }))
+  }
+
+  results.push(await runTest('Bottom-up build produces a valid packed tree', async () => {
+    for (const order of [2, 3, 5]) {
+      for (const count of [0, 1, 2, 3, 7, 8, 9, 50, 333]) {
+        const { db, tree } = await openTree(`build-${order}-${count}`, order)
+        const keys = Array.from({ length: count }, (_, i) => i * 3)
+        await tree.buildFromSorted(keys.map(key => ({ key, value: key })))
+
+        if (count === 0) {
+          assert.strictEqual(tree.root, null)
+        } else {
+          await assertSound(tree, keys)
+        }
+        await db.close()
+      }
+    }
+
+    const { db, tree } = await openTree('build-unsorted', 3)
+    await assert.rejects(tree.buildFromSorted([{ key: 2, value: 2 }, { key: 1, value: 1 }]), /sorted/)
+    await assert.rejects(tree.buildFromSorted([], { fillFactor: 0.2 }), /fillFactor/)
+    await db.close()
+  }))
+
+  results.push(await runTest('Streamed build writes a sound file from an async source', async () => {
+    for (const order of [2, 5]) {
+      for (const count of [1, 4, 29, 333, 1000]) {
+        const name = `stream-${order}-${count}`
+        const keys = Array.from({ length: count }, (_, i) => i * 2 + 1)
+        async function* source() {
+          for (const key of keys) yield { key, value: key }
+        }
+
+        const { db, pager, tree } = await openTree(name, order)
+        assert.strictEqual(await tree.buildFromSorted(source(), { fillFactor: 0.6, stream: true }), count)
+        // Only the last few nodes of each level were kept
+        assert.ok(pager.pages.filter(Boolean).length <= 6 * (order + 1) * await height(tree))
+        await pager.flush()
+        await db.close()
+
+        const reopened = await openTree(name, order)
+        await assertSound(reopened.tree, keys)
+        const limit = Math.max(Math.floor(order / 2), Math.floor(order * 0.6))
+        for (let leaf = await reopened.tree.firstLeaf(); leaf; leaf = leaf.next && await reopened.pager.page(leaf.next)) {
+          assert.ok(leaf.size <= limit, `leaf #${leaf.no} holds ${leaf.size} keys`)
+        }
+        await reopened.db.close()
+      }
+    }
+  }))
+
+  results.push(await runTest('Tree shrinks and keeps its leaf links across a reopen', async () => {
+    const { db, pager, tree } = await openTree('shrink', 3)
+    const keys = Array.from({ length: 300 }, (_, i) => i + 1)
+    for (const key of keys) {
+      await tree.insert(key, key)
+    }
+    const tallHeight = await height(tree)
+
+    // Delete a contiguous run and every other key after it
+    const deleted = keys.filter(k => k <= 200 || k % 2 === 0)
+    for (const key of deleted) {
+      await tree.delete(key)
+    }
+    const remaining = keys.filter(k => !deleted.includes(k))
+    await assertSound(tree, remaining)
+    assert.ok(await height(tree) < tallHeight, 'tree should lose levels')
+
+    await pager.flush()
+    await db.close()
+
+    const reopened = await openTree('shrink', 3)
+    await assertSound(reopened.tree, remaining)
+
+    const range = await reopened.tree.rangeSearch(211, 241)
+    assert.deepStrictEqual(range.map(r => r.key), remaining.filter(k => k >= 211 && k <= 241))
+    const latest = await reopened.tree.rangeSearch(211, 241, { reverse: true, limit: 4 })
+    assert.deepStrictEqual(latest.map(r => r.key), [241, 239, 237, 235])
+    assert.deepStrictEqual((await reopened.tree.rangeSearch(undefined, 210, { reverse: true })).map(r => r.key), [209, 207, 205, 203, 201])
+    assert.deepStrictEqual((await reopened.tree.rangeSearch(296, undefined, { reverse: true })).map(r => r.key), [299, 297])
+    assert.deepStrictEqual((await reopened.tree.rangeSearch(211, 241, 2)).map(r => r.key), [211, 213])
+
+    // Walk the chain backwards from the last leaf
+    let leaf = await reopened.tree.findLeaf(remaining[remaining.length - 1])
+    const backwards = []
+    while (leaf) {
+      backwards.unshift(...leaf.keys)
+      leaf = leaf.prev ? await reopened.pager.page(leaf.prev) : null
+    }
+    assert.deepStrictEqual(backwards, remaining)
+    await reopened.db.close()
+  }))
+
+  results.push(await runTest('Freed pages are reused after a reopen', async () => {
+    const { db, pager, tree } = await openTree('free', 3)
+    const keys = Array.from({ length: 300 }, (_, i) => i + 1)
+    for (const key of keys) {
+      await tree.insert(key, key)
+    }
+    const grownTo = pager.no
+
+    for (const key of keys.slice(0, 250)) {
+      await tree.delete(key)
+    }
+
+    const stats = pager.getStats()
+    assert.ok(stats.freePages > 0)
+    assert.strictEqual(stats.usedPages, await countReachable(tree))
+    assert.strictEqual(stats.usedPages + stats.freePages + stats.metaPages, stats.totalPages)
+
+    await pager.flush()
+    await db.close()
+
+    const reopened = await openTree('free', 3)
+    assert.deepStrictEqual(reopened.pager.getStats(), stats)
+
+    // Growing back to the same size must not extend the file
+    for (const key of keys.slice(0, 250)) {
+      await reopened.tree.insert(key, key)
+    }
+    await assertSound(reopened.tree, keys)
+    assert.ok(reopened.pager.no <= grownTo, `file grew from ${grownTo} to ${reopened.pager.no} pages`)
+    assert.strictEqual(reopened.pager.getStats().usedPages, await countReachable(reopened.tree))
+    await reopened.db.close()
+  }))
+
+  results.push(await runTest('Invariant check reports damaged links', async () => {
+    const { db, pager, tree } = await openTree('damaged', 4)
+    for (let key = 1; key <= 200; key++) {
+      await tree.insert(key, key)
+    }
+    assert.deepStrictEqual(await tree.checkInvariants(), [])
+
+    // Unlink the last child of the root: its pages become orphans
+    const orphan = tree.root.pointers.pop()
+    tree.root.size--
+    tree.root.keys.pop()
+
+    const errors = await tree.checkInvariants()
+    assert.ok(errors.includes(`Page ${orphan} is neither in the tree nor on the free list`), errors.join('\n'))
+    assert.ok(errors.some(error => error.includes('next is')), errors.join('\n'))
+    await db.close()
+  }))
+
+  await cleanupTestData()
+
+  const passed = results.filter(Boolean).length
+  console.log('\n' + '='.repeat(60))
+  console.log(`TEST RESULTS: ${passed}/${results.length} tests passed`)
+  console.log('='.repeat(60))
+
+  return passed === results.length
+}
+
+// Run all tests
+if (require.main === module) {
+  testTree()
+    .then((success) => {
+      if (!success) process.exit(1)
+    })
+    .catch((error) => {
+      console.error('❌ Test suite failed:', error)
+      process.exit(1)
+    })
+}
+
+module.exports = {
+  testTree
+}
@@ -0,0 +1,275 @@
+const assert = require('assert')
+const fs = require('fs/promises')
+const { Table } = require('../lib/core/table')
+const { Schema, DataTypes, DefaultSchemas } = require('../lib/schema/index')
+
+const testDir = './test-data/validation'
+
+// Test utilities
+async function cleanupTestData() {
+  await fs.rm(testDir, { recursive: true, force: true })
+}
+
+async function runTest(testName, testFn) {
+  console.log(`\n🧪 Testing: ${testName}`)
+  try {
+    await testFn()
+    console.log(`✅ ${testName} passed`)
+    return true
+  } catch (error) {
+    console.error(`❌ ${testName} failed:`, error.message)
+    console.error(error.stack)
+    return false
+  }
+}
+
+// Assert that `fn` throws a constraint violation for `field` and `rule`
+function assertViolation(fn, field, rule) {
+  assert.throws(fn, (error) => {
+    assert.strictEqual(error.code, 'CONSTRAINT_VIOLATION')
+    assert.strictEqual(error.field, field)
+    assert.strictEqual(error.rule, rule)
+    assert.ok(error.message.includes(`'${field}'`), error.message)
+    return true
+  })
+}
+
+async function testValidation() {
+  console.log('╔════════════════════════════════════════════════════════════════╗')
+  console.log('║                      Validation Tests                          ║')
+  console.log('╚════════════════════════════════════════════════════════════════╝')
+
+  const results = []
+
+  await cleanupTestData()
+
+  const peopleSchema = () => new Schema({
+    id: DataTypes.UINT32,
+    name: { type: DataTypes.VARCHAR(40), min: 2, pattern: /^[A-Z]/ },
+    age: { type: 'UINT8', nullable: true, max: 150 },
+    country: { type: DataTypes.VARCHAR(2), default: 'NL' },
+    score: { type: DataTypes.INT32, default: 0, check: v => v % 10 === 0 }
+  })
+
+  results.push(await runTest('Schema applies defaults and checks field rules', async () => {
+    const schema = peopleSchema()
+
+    assert.deepStrictEqual(schema.validate({ id: 1, name: 'Ann' }), {
+      id: 1, name: 'Ann', age: null, country: 'NL', score: 0
+    })
+    assert.strictEqual(schema.validate({ id: 1, name: 'Ann', country: 'BE' }).country, 'BE')
+
+    assertViolation(() => schema.validate({ name: 'Ann' }), 'id', 'nullable')
+    assertViolation(() => schema.validate({ id: 1, name: 'A' }), 'name', 'min')
+    assertViolation(() => schema.validate({ id: 1, name: 'ann' }), 'name', 'pattern')
+    assertViolation(() => schema.validate({ id: 1, name: 'Ann', age: 200 }), 'age', 'max')
+    assertViolation(() => schema.validate({ id: 1, name: 'Ann', score: 15 }), 'score', 'check')
+    assert.throws(() => schema.validate({ id: 1, name: 'Ann', age: 200 }), /Field 'age' violates max: 200 is greater than 150/)
+
+    assert.throws(() => new Schema({ id: { type: DataTypes.UINT32, nullable: true } }), /cannot be nullable/)
+    assert.throws(() => new Schema({ id: DataTypes.UINT32, x: { type: 'NOPE' } }), /Unknown data type/)
+  }))
+
+  results.push(await runTest('Null values round-trip and are skipped by indexes', async () => {
+    const table = new Table('people', peopleSchema(), testDir)
+    await table.open()
+    await table.createIndex('age')
+
+    await table.create({ id: 1, name: 'Ann', age: 30 })
+    await table.create({ id: 2, name: 'Bob' })
+    await table.create({ id: 3, name: 'Cy', age: null })
+    await assert.rejects(() => table.create({ id: 4, name: 'dan' }), /Field 'name' violates pattern/)
+    await assert.rejects(() => table.update(1, { score: 7 }), /Field 'score' violates check/)
+
+    assert.deepStrictEqual((await table.read({ key: 2 }))[0], { id: 2, name: 'Bob', age: null, country: 'NL', score: 0 })
+    assert.deepStrictEqual((await table.read({ where: { age: 30 } })).map(r => r.id), [1])
+    assert.deepStrictEqual((await table.read({ where: { age: null } })).map(r => r.id), [2, 3])
+
+    await table.update(2, { age: 41 })
+    await table.update(1, { age: null })
+    assert.deepStrictEqual((await table.read({ where: { age: { $gte: 0 } } })).map(r => r.id), [2])
+    await table.close()
+
+    // The stored schema cannot hold the `check` function, so it is needed again
+    await assert.rejects(new Table('people', null, testDir).open(), /has check functions or function defaults that are not stored \(score\.check\)\. Use createTable with schema/)
+    assert.deepStrictEqual(Schema.fromJSON(peopleSchema().toJSON()).unstored, ['score.check'])
+    const stamped = new Schema({ id: DataTypes.UINT32, at: { type: DataTypes.TIMESTAMP, default: () => new Date() } })
+    assert.deepStrictEqual(Schema.fromJSON(stamped.toJSON()).unstored, ['at.default'])
+
+    const reopened = new Table('people', peopleSchema(), testDir)
+    await reopened.open()
+    await assert.rejects(() => reopened.create({ id: 6, name: 'Fay', score: 7 }), /Field 'score' violates check/)
+    assert.deepStrictEqual((await reopened.read({ key: 1 }))[0].age, null)
+    await assert.rejects(() => reopened.create({ id: 5, name: 'Eve', age: 151 }), /Field 'age' violates max/)
+    await reopened.create({ id: 5, name: 'Eve' })
+    assert.strictEqual((await reopened.read({ key: 5 }))[0].country, 'NL')
+    await reopened.close()
+  }))
+
+  results.push(await runTest('DataTypes report structured type errors', async () => {
+    assert.strictEqual(DataTypes.INT32.validate(-5), null)
+    assert.deepStrictEqual(DataTypes.INT32.validate('5'), { expected: 'INT32', got: 'string' })
+    assert.deepStrictEqual(DataTypes.INT32.validate(2 ** 31), { expected: 'INT32', got: 'number', reason: '2147483648 is out of range' })
+    assert.deepStrictEqual(DataTypes.UINT8.validate(1.5), { expected: 'UINT8', got: 'number', reason: '1.5 is not an integer' })
+    assert.strictEqual(DataTypes.INT64.validate(2n ** 62n), null)
+    assert.strictEqual(DataTypes.DOUBLE.validate(0.25), null)
+    assert.deepStrictEqual(DataTypes.BOOLEAN.validate(1), { expected: 'BOOLEAN', got: 'number' })
+    assert.deepStrictEqual(DataTypes.VARCHAR(8).validate(42), { expected: 'VARCHAR(8)', got: 'number' })
+    assert.deepStrictEqual(DataTypes.VARCHAR(2).validate('abc'), { expected: 'VARCHAR(2)', got: 'string', reason: '3 bytes is longer than VARCHAR(2) allows' })
+    assert.deepStrictEqual(DataTypes.BINARY(4).validate('ab'), { expected: 'BINARY(4)', got: 'string' })
+    assert.strictEqual(DataTypes.JSON(20).validate({ a: [1, 2] }), null)
+    assert.strictEqual(DataTypes.JSON(20).validate(1n).got, 'bigint')
+
+    const table = new Table('typed', new Schema({ id: DataTypes.UINT32, active: DataTypes.BOOLEAN }), testDir)
+    await table.open()
+    await assert.rejects(() => table.create({ id: 1, active: 'yes' }), (error) => {
+      assert.strictEqual(error.code, 'INVALID_TYPE')
+      assert.strictEqual(error.message, "Field 'active' expects BOOLEAN, got string")
+      assert.deepStrictEqual(error.details, { field: 'active', expected: 'BOOLEAN', got: 'string' })
+      return true
+    })
+    await table.create({ id: 1, active: true })
+    await assert.rejects(() => table.update(1, { active: 0 }), /Field 'active' expects BOOLEAN, got number/)
+    assert.strictEqual(await table.count(), 1)
+    await table.close()
+  }))
+
+  results.push(await runTest('TIMESTAMP, DATE, UUID, DECIMAL and ENUM round-trip', async () => {
+    const orderSchema = new Schema({
+      id: DataTypes.UUID,
+      placed_at: DataTypes.TIMESTAMP,
+      ship_on: { type: 'DATE', nullable: true },
+      total: { type: 'DECIMAL(10,2)', min: 0 },
+      size: "ENUM('small','large')"
+    })
+    const ids = ['6f9619ff-8b86-d011-b42d-00c04fc964ff', '0a0eebc9-9c0b-4ef8-bb6d-6bb9bd380a11', 'C0FFEE00-0000-4000-8000-000000000000']
+
+    const table = new Table('orders', orderSchema, testDir)
+    await table.open()
+    await table.createIndex('total')
+    await table.create({ id: ids[0], placed_at: new Date('2024-03-01T09:30:00Z'), ship_on: '2024-03-04', total: '1999.90', size: 'large' })
+    await table.create({ id: ids[1], placed_at: '2024-03-02T10:00:00Z', total: 5, size: 'small' })
+    await table.create({ id: ids[2], placed_at: new Date(0), ship_on: new Date(Date.UTC(2024, 0, 31)), total: 0.1, size: 'small' })
+
+    await assert.rejects(() => table.create({ id: 'nope', placed_at: new Date(), total: 1, size: 'small' }), /Field 'id' expects UUID/)
+    await assert.rejects(() => table.create({ id: ids[0].replace('6f', '7f'), placed_at: new Date(), total: 0.005, size: 'small' }), /Field 'total' expects DECIMAL\(10,2\), got number: 0.005 has more than 2 decimal places/)
+    await assert.rejects(() => table.create({ id: ids[0].replace('6f', '7f'), placed_at: new Date(), total: 1, size: 'medium' }), /Field 'size' expects ENUM/)
+    await table.close()
+
+    const reopened = new Table('orders', null, testDir)
+    await reopened.open()
+    const rows = await reopened.read()
+    assert.deepStrictEqual(rows.map(row => row.id), [ids[1], ids[0], ids[2].toLowerCase()])
+    assert.deepStrictEqual(rows[1], {
+      id: ids[0],
+      placed_at: new Date('2024-03-01T09:30:00Z'),
+      ship_on: '2024-03-04',
+      total: '1999.90',
+      size: 'large'
+    })
+    assert.ok(rows[0].placed_at instanceof Date)
+    assert.strictEqual(rows[0].ship_on, null)
+    assert.strictEqual(rows[2].ship_on, '2024-01-31')
+    assert.strictEqual(rows[2].total, '0.10')
+
+    // Decimal order, not string order, in the index
+    const cheap = await reopened.read({ where: { total: { $lt: '10' } } })
+    assert.deepStrictEqual(cheap.map(row => row.total).sort(), ['0.10', '5.00'])
+    assert.strictEqual((await reopened.read({ key: ids[2] })).length, 1)
+    await reopened.close()
+
+    // Epoch milliseconds, as passed to the default schemas' timestamps, are accepted too
+    const now = Date.now()
+    assert.deepStrictEqual(DefaultSchemas.LogEntry.validate({ id: 1, timestamp: now, level: 'info', message: 'up', metadata: {} }).timestamp, new Date(now))
+    assert.throws(() => DefaultSchemas.Event.validate({ id: 1, user_id: 2, event_type: 'x', timestamp: Infinity, properties: {} }), /Field 'timestamp' expects TIMESTAMP.*invalid date/)
+  }))
+
+  results.push(await runTest('alter() rewrites rows into the new schema', async () => {
+    const table = new Table('staff', new Schema({
+      id: DataTypes.UINT32,
+      name: DataTypes.VARCHAR(20),
+      level: DataTypes.VARCHAR(4),
+      legacy: DataTypes.INT32
+    }), testDir)
+    await table.open()
+    await table.createIndex('level')
+    await table.createIndex('name', { unique: true })
+    for (let id = 1; id <= 200; id++) {
+      await table.create({ id, name: `n${id}`, level: String(id % 7), legacy: id })
+    }
+
+    const info = await table.alter({
+      dropColumn: 'legacy',
+      renameColumn: { from: 'id', to: 'staff_id' },
+      changeType: { name: 'level', type: 'UINT8' },
+      addColumn: [{ name: 'team', type: 'VARCHAR(8)', default: 'core' }, { name: 'note', type: 'VARCHAR(8)', nullable: true }]
+    })
+    assert.strictEqual(info.schemaVersion, 2)
+    assert.strictEqual(info.records, 200)
+    assert.deepStrictEqual(info.primaryKey, ['staff_id'])
+    assert.deepStrictEqual(info.indexes, [{ field: 'name', unique: true }, { field: 'level', unique: false }])
+
+    assert.deepStrictEqual((await table.read({ key: 9 }))[0], { staff_id: 9, name: 'n9', level: 2, team: 'core', note: null })
+    assert.strictEqual((await table.read({ where: { level: 3 } })).length, 29)
+    await table.create({ staff_id: 201, name: 'n201', level: 1 })
+    assert.strictEqual((await table.read({ key: 201 }))[0].team, 'core')
+
+    // A row that cannot be converted leaves the table untouched
+    await assert.rejects(() => table.alter({ changeType: { name: 'name', type: 'UINT8' } }), (error) => {
+      assert.strictEqual(error.code, 'INVALID_TYPE')
+      assert.ok(error.message.startsWith("Cannot alter table 'staff': row 1: Field 'name' expects UINT8"), error.message)
+      return true
+    })
+    await assert.rejects(() => table.alter({ dropColumn: 'staff_id' }), /Cannot drop primary key field 'staff_id'/)
+    await assert.rejects(() => table.alter({ renameColumn: { from: 'name', to: 'team' } }), /Field 'team' already exists/)
+    await assert.rejects(() => table.alter({ dropColumn: 'missing' }), /Field 'missing' does not exist/)
+    assert.strictEqual(table.getInfo().schemaVersion, 2)
+    await table.close()
+
+    const reopened = new Table('staff', null, testDir)
+    await reopened.open()
+    assert.strictEqual(reopened.getInfo().schemaVersion, 2)
+    assert.strictEqual(await reopened.count(), 201)
+    assert.deepStrictEqual((await reopened.read({ where: { name: 'n150' } })).map(row => row.staff_id), [150])
+    assert.ok((await reopened.verify()).ok)
+
+    await reopened.alter({ changeType: { name: 'level', type: 'VARCHAR(3)' } })
+    assert.strictEqual((await reopened.read({ key: 10 }))[0].level, '3')
+    assert.strictEqual(reopened.getInfo().schemaVersion, 3)
+
+    // A bulk load issued during an alter runs after it, into the new layout
+    const altering = reopened.alter({ addColumn: { name: 'flag', type: 'BOOLEAN', default: true } })
+    const loading = reopened.bulkLoad(Array.from({ length: 100 }, (_, i) => ({ staff_id: 1000 + i, name: `b${i}`, level: '1' })))
+    assert.strictEqual((await altering).records, 201)
+    assert.strictEqual((await loading).records, 301)
+    assert.deepStrictEqual((await reopened.read({ key: 1050 }))[0], { staff_id: 1050, name: 'b50', level: '1', team: 'core', note: null, flag: true })
+    assert.strictEqual(reopened.getInfo().schemaVersion, 4)
+    assert.ok((await reopened.verify()).ok)
+    await reopened.close()
+  }))
+
+  await cleanupTestData()
+
+  const passed = results.filter(Boolean).length
+  console.log('\n' + '='.repeat(60))
+  console.log(`TEST RESULTS: ${passed}/${results.length} tests passed`)
+  console.log('='.repeat(60))
+
+  return passed === results.length
+}
+
+// Run all tests
+if (require.main === module) {
+  testValidation()
+    .then((success) => {
+      if (!success) process.exit(1)
+    })
+    .catch((error) => {
+      console.error('❌ Test suite failed:', error)
+      process.exit(1)
+    })
+}
+
+module.exports = {
+  testValidation
+}